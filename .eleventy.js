@@ -2,11 +2,12 @@ module.exports = function (eleventyConfig) {
   // Get version from environment (set by build script)
   const version = process.env.DASHANA_VERSION || null;
 
-  // Build date for display in header (formatted as YYYY-MM-DD)
-  const buildDate = new Date().toISOString().split("T")[0];
-
   // Load config to get siteBase
   const config = require("./src/_data/config.js")();
+
+  // Build date for display in header (YYYY-MM-DD in the project timezone)
+  const { todayIn, dateOptionsFromConfig } = require("./src/_data/dates.js");
+  const buildDate = todayIn(dateOptionsFromConfig(config).timeZone);
   // Auto-detect siteBase from GITHUB_REPOSITORY if not explicitly set
   // GITHUB_REPOSITORY is "owner/repo", we extract "repo" for the path
   let siteBase = config.siteBase;
@@ -16,6 +17,24 @@ module.exports = function (eleventyConfig) {
   }
   siteBase = siteBase || "";
 
+  // Portfolio builds (scripts/build-portfolio.js): each project is built
+  // under its own path, then the landing page comparing them at the root
+  const project = process.env.DASHANA_PROJECT || null;
+  const portfolioLanding = Boolean(process.env.DASHANA_PORTFOLIO);
+  const portfolioPath = project || portfolioLanding ? `${siteBase}/` : null;
+  if (project) {
+    siteBase = `${siteBase}/${project}`;
+  }
+  if (portfolioLanding) {
+    eleventyConfig.ignores.add("src/!(portfolio).njk");
+  } else {
+    eleventyConfig.ignores.add("src/portfolio.njk");
+  }
+
+  // Report language and date format (see src/_data/i18n.js)
+  const { createI18n } = require("./src/_data/i18n.js");
+  let i18n = createI18n(config);
+
   eleventyConfig.addPassthroughCopy("src/css");
   eleventyConfig.addWatchTarget("dashana.config");
 
@@ -24,13 +43,24 @@ module.exports = function (eleventyConfig) {
     if (changedFiles.some((file) => file.endsWith("dashana.config"))) {
       const configPath = require.resolve("./src/_data/config.js");
       delete require.cache[configPath];
+      i18n = createI18n(require(configPath)());
     }
   });
 
+  // Translated labels ({{ "board.due" | t({ date: task.dueDate | date }) }})
+  // and dates in the report's format ({{ task.dueDate | date }})
+  eleventyConfig.addFilter("t", (key, params) => i18n.t(key, params));
+  eleventyConfig.addFilter("date", (value, pattern) =>
+    i18n.formatDate(value, pattern),
+  );
+
   // Add version and build date to global data
   eleventyConfig.addGlobalData("version", version);
   eleventyConfig.addGlobalData("buildDate", buildDate);
 
+  // portfolioPath: the portfolio landing page (null outside portfolio builds)
+  eleventyConfig.addGlobalData("portfolioPath", portfolioPath);
+
   // basePath: site base without version (for cross-version links)
   eleventyConfig.addGlobalData("basePath", siteBase);
 
@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+/**
+ * Build a portfolio report: every project in data/ with its full set of
+ * views under /<name>/, and a landing page comparing them at the root.
+ *
+ * Usage: node scripts/build-portfolio.js  (npm run build:portfolio)
+ * Projects are the CSVs in data/, or the files in PORTFOLIO_PROJECTS.
+ * data/<name>.config overrides dashana.config for that project.
+ */
+const fs = require("fs");
+const path = require("path");
+const { execFileSync } = require("child_process");
+const loadConfig = require("../src/_data/config.js");
+const { todayIn, dateOptionsFromConfig } = require("../src/_data/dates.js");
+const { resolveAsOfDate } = require("../src/_data/tasks.js");
+const {
+  discoverProjects,
+  summarizeProject,
+} = require("../src/_data/portfolio.js");
+
+const ROOT = path.join(__dirname, "..");
+const SITE_DIR = path.join(ROOT, "_site");
+// Finished project builds, moved under the landing page at the end
+const STAGING_DIR = path.join(ROOT, "_site_portfolio");
+
+function build(env) {
+  execFileSync("npm", ["run", "build"], {
+    cwd: ROOT,
+    env: { ...process.env, ...env },
+    stdio: "inherit",
+  });
+}
+
+function resetSite() {
+  fs.rmSync(SITE_DIR, { recursive: true, force: true });
+  fs.mkdirSync(SITE_DIR);
+}
+
+let projects;
+try {
+  projects = discoverProjects();
+} catch (e) {
+  console.error(`Error: ${e.message}`);
+  process.exit(1);
+}
+if (projects.length === 0) {
+  console.error("Error: no project CSVs found in data/");
+  process.exit(1);
+}
+
+// Every project is summarised as of the same day (DASHANA_AS_OF or today)
+const asOfDate = resolveAsOfDate();
+const today = asOfDate || todayIn(dateOptionsFromConfig(loadConfig()).timeZone);
+const summaries = [];
+fs.rmSync(STAGING_DIR, { recursive: true, force: true });
+fs.mkdirSync(STAGING_DIR);
+
+try {
+  for (const project of projects) {
+    console.log(
+      `Building ${project.slug} from ${path.relative(ROOT, project.dataPath)}...`,
+    );
+    // The build and the summary both read the project's settings from here
+    process.env.DASHANA_PROJECT_CONFIG_PATH = project.configPath || "";
+
+    resetSite();
+    build({
+      DASHANA_PROJECT: project.slug,
+      DASHANA_CSV_PATH: project.dataPath,
+    });
+    fs.renameSync(SITE_DIR, path.join(STAGING_DIR, project.slug));
+    summaries.push(summarizeProject(project, loadConfig(), today));
+  }
+
+  // Landing page with the shared settings only
+  process.env.DASHANA_PROJECT_CONFIG_PATH = "";
+  resetSite();
+  fs.writeFileSync(
+    path.join(SITE_DIR, "portfolio.json"),
+    JSON.stringify({ asOf: today, projects: summaries }),
+  );
+  console.log("Building portfolio landing page...");
+  build({ DASHANA_PORTFOLIO: "true" });
+
+  for (const project of projects) {
+    fs.renameSync(
+      path.join(STAGING_DIR, project.slug),
+      path.join(SITE_DIR, project.slug),
+    );
+  }
+} finally {
+  fs.rmSync(STAGING_DIR, { recursive: true, force: true });
+}
+
+console.log("Build complete!");
+console.log(`Projects built: ${projects.map((p) => p.slug).join(", ")}`);
@@ -42,16 +42,62 @@ extract_date() {
 }
 
 # Collect all valid version dates first (for versions.json), deduplicated
+# VALID_TAGS keeps the tag used for each date (newest first, same order)
 declare -A SEEN_DATES
 VALID_DATES=()
+VALID_TAGS=()
 for TAG in $TAGS; do
   DATE=$(extract_date "$TAG")
   if [ -n "$DATE" ] && [ -z "${SEEN_DATES[$DATE]:-}" ]; then
     VALID_DATES+=("$DATE")
+    VALID_TAGS+=("$TAG")
     SEEN_DATES[$DATE]=1
   fi
 done
 
+# Snapshot files extracted from tags (data/project.csv or data/project.json)
+SNAPSHOT_DIR=$(mktemp -d)
+# Per-tag stats for the dashboard trend charts
+HISTORY_DIR=$(mktemp -d)
+trap 'rm -rf "$SNAPSHOT_DIR" "$HISTORY_DIR"' EXIT
+
+# Extract a tag's project data to $2.csv or $2.json and print the path.
+# Fails if the tag has neither file.
+snapshot_data() {
+  local tag="$1" dest="$2" ext
+  for ext in csv json; do
+    if git show "$tag:data/project.$ext" > "$dest.$ext" 2>/dev/null; then
+      echo "$dest.$ext"
+      return 0
+    fi
+    rm -f "$dest.$ext"
+  done
+  return 1
+}
+
+# Export the data of the version before index $1 (in VALID_DATES order).
+# Sets DASHANA_PREVIOUS_* for the next build, or unsets them if there is none.
+set_previous_version() {
+  local prev_index="$1" previous
+  unset DASHANA_PREVIOUS_CSV_PATH DASHANA_PREVIOUS_VERSION
+  if [ "$prev_index" -lt "${#VALID_TAGS[@]}" ] &&
+    previous=$(snapshot_data "${VALID_TAGS[$prev_index]}" "$SNAPSHOT_DIR/${VALID_DATES[$prev_index]}"); then
+    export DASHANA_PREVIOUS_CSV_PATH="$previous"
+    export DASHANA_PREVIOUS_VERSION="${VALID_DATES[$prev_index]}"
+  fi
+}
+
+# Position of a date in VALID_DATES
+date_index() {
+  local i
+  for i in "${!VALID_DATES[@]}"; do
+    if [ "${VALID_DATES[$i]}" = "$1" ]; then
+      echo "$i"
+      return
+    fi
+  done
+}
+
 # Generate versions.json BEFORE building so it's available during all builds
 VERSIONS_JSON="["
 for i in "${!VALID_DATES[@]}"; do
@@ -64,8 +110,19 @@ VERSIONS_JSON="$VERSIONS_JSON]"
 echo "$VERSIONS_JSON" > _site/versions.json
 echo "Generated versions.json with ${#VALID_DATES[@]} versions"
 
-# Build latest (current state) first
+# Collect stats from every tagged snapshot (history.json) for trend charts
+HISTORY_ARGS=()
+for i in "${!VALID_TAGS[@]}"; do
+  if SNAPSHOT=$(snapshot_data "${VALID_TAGS[$i]}" "$SNAPSHOT_DIR/${VALID_DATES[$i]}"); then
+    HISTORY_ARGS+=("${VALID_DATES[$i]}=$SNAPSHOT")
+  fi
+done
+node scripts/collect-history.js "$HISTORY_DIR/history.json" "${HISTORY_ARGS[@]}"
+cp "$HISTORY_DIR/history.json" _site/history.json
+
+# Build latest (current state) first, compared against the newest tag
 echo "Building latest version..."
+set_previous_version 0
 npm run build
 cp -r _site _site_latest
 
@@ -82,27 +139,27 @@ for TAG in $TAGS; do
 
   echo "Building version: $DATE (from tag: $TAG)"
 
-  # Checkout the tagged version
-  if ! git checkout "$TAG" -- data/project.csv 2>/dev/null; then
-    echo "  Skipping $TAG: Could not checkout data/project.csv from this tag"
+  # Data as of the tagged version
+  if ! SNAPSHOT=$(snapshot_data "$TAG" "$SNAPSHOT_DIR/$DATE"); then
+    echo "  Skipping $TAG: No data/project.csv or data/project.json in this tag"
     continue
   fi
 
   # Clear _site before building to avoid accumulating previous version directories
   rm -rf _site
   mkdir -p _site
-  # Restore versions.json for this build
+  # Restore versions.json and history.json for this build
   echo "$VERSIONS_JSON" > _site/versions.json
+  cp "$HISTORY_DIR/history.json" _site/history.json
 
-  # Build with version prefix
-  DASHANA_VERSION="$DATE" npm run build
+  # Build with version prefix, compared against the version before it.
+  # DASHANA_VERSION also makes overdue/duration evaluate as of $DATE.
+  set_previous_version $(( $(date_index "$DATE") + 1 ))
+  DASHANA_VERSION="$DATE" DASHANA_CSV_PATH="$SNAPSHOT" npm run build
 
   # Move to versioned directory in latest build
   mkdir -p "_site_latest/$DATE"
   cp -r _site/* "_site_latest/$DATE/"
-
-  # Restore current CSV
-  git checkout HEAD -- data/project.csv
 done
 
 # Restore latest build as the root
@@ -0,0 +1,37 @@
+#!/usr/bin/env node
+/**
+ * Collect headline stats from each tagged snapshot for the trend charts.
+ *
+ * Usage: node scripts/collect-history.js <output.json> <date>=<csv> ...
+ * Called by build-versions.sh with one CSV per version tag.
+ */
+const fs = require("fs");
+const {
+  loadRecords,
+  processOptionsFromConfig,
+} = require("../src/_data/tasks.js");
+const { snapshotStats } = require("../src/_data/history.js");
+
+const [outputPath, ...snapshotArgs] = process.argv.slice(2);
+
+if (!outputPath) {
+  console.error("Usage: collect-history.js <output.json> <date>=<csv> ...");
+  process.exit(1);
+}
+
+const options = processOptionsFromConfig();
+const history = [];
+for (const arg of snapshotArgs) {
+  const eqIndex = arg.indexOf("=");
+  const date = arg.substring(0, eqIndex);
+  const csvPath = arg.substring(eqIndex + 1);
+  try {
+    history.push(snapshotStats(loadRecords(csvPath), date, options));
+  } catch (e) {
+    console.warn(`Skipping ${date} in history: ${e.message}`);
+  }
+}
+
+history.sort((a, b) => a.date.localeCompare(b.date));
+fs.writeFileSync(outputPath, JSON.stringify(history));
+console.log(`Generated history with ${history.length} snapshots`);
@@ -0,0 +1,221 @@
+#!/usr/bin/env node
+/**
+ * Fetch a project's tasks from the Asana API into data/project.csv or
+ * data/project.json, instead of exporting by hand.
+ *
+ * Usage: ASANA_TOKEN=... node scripts/fetch-asana.js [--project <gid>]
+ *          [--output <path>] [--api-url <url>]
+ *
+ * The project and API URL default to ASANA_PROJECT and ASANA_API_URL in
+ * dashana.config. The output defaults to the existing data file (CSV if
+ * there is none); a .json output is written as the API returned it, any
+ * other as an Asana-style CSV.
+ */
+const fs = require("fs");
+const loadConfig = require("../src/_data/config.js");
+const { dateOptionsFromConfig } = require("../src/_data/dates.js");
+const { importAsanaJson } = require("../src/_data/importers.js");
+const { resolveDataPath } = require("../src/_data/tasks.js");
+
+// Everything importAsanaJson reads, plus num_subtasks to skip leaf tasks
+const TASK_FIELDS = [
+  "name",
+  "notes",
+  "html_notes",
+  "assignee.name",
+  "assignee.email",
+  "start_on",
+  "due_on",
+  "due_at",
+  "completed",
+  "completed_at",
+  "created_at",
+  "modified_at",
+  "memberships.project.gid",
+  "memberships.project.name",
+  "memberships.section.name",
+  "tags.name",
+  "parent.name",
+  "dependencies",
+  "dependents",
+  "num_subtasks",
+  "custom_fields.name",
+  "custom_fields.type",
+  "custom_fields.resource_subtype",
+  "custom_fields.display_value",
+  "custom_fields.text_value",
+  "custom_fields.number_value",
+  "custom_fields.enum_value.name",
+  "custom_fields.multi_enum_values.name",
+  "custom_fields.date_value",
+  "custom_fields.people_value.name",
+].join(",");
+
+const PAGE_SIZE = 100;
+const MAX_RETRIES = 3;
+
+/**
+ * Minimal Asana API client. `fetchImpl` defaults to the global fetch and
+ * can be swapped out in tests; `baseUrl` can point at a local stand-in.
+ */
+function createClient({ token, baseUrl, fetchImpl = globalThis.fetch }) {
+  const root = baseUrl.replace(/\/+$/, "");
+
+  async function get(apiPath, params, attempt = 1) {
+    const url = new URL(root + apiPath);
+    Object.entries(params).forEach(([key, value]) => {
+      if (value !== undefined) url.searchParams.set(key, value);
+    });
+
+    const response = await fetchImpl(url.toString(), {
+      headers: { Authorization: `Bearer ${token}`, Accept: "application/json" },
+    });
+
+    // Rate limited: wait as long as Asana asks, then try again
+    if (response.status === 429 && attempt < MAX_RETRIES) {
+      const seconds = Number(response.headers.get("retry-after")) || 1;
+      await new Promise((resolve) => setTimeout(resolve, seconds * 1000));
+      return get(apiPath, params, attempt + 1);
+    }
+
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const detail = body.errors?.[0]?.message || response.statusText;
+      throw new Error(`Asana API ${response.status} for ${apiPath}: ${detail}`);
+    }
+    return body;
+  }
+
+  /** Every item of a paginated list endpoint. */
+  async function getAll(apiPath, params = {}) {
+    const items = [];
+    let offset;
+    do {
+      const page = await get(apiPath, { ...params, limit: PAGE_SIZE, offset });
+      items.push(...(page.data || []));
+      offset = page.next_page?.offset;
+    } while (offset);
+    return items;
+  }
+
+  return { get, getAll };
+}
+
+/**
+ * All tasks in a project, each followed by its subtasks at any depth.
+ * Asana lists subtasks separately from the project's tasks.
+ */
+async function fetchProjectTasks(client, projectGid) {
+  const params = { opt_fields: TASK_FIELDS };
+  const tasks = [];
+
+  async function addWithSubtasks(task) {
+    tasks.push(task);
+    if (!task.num_subtasks) return;
+    const subtasks = await client.getAll(`/tasks/${task.gid}/subtasks`, params);
+    for (const subtask of subtasks) {
+      await addWithSubtasks(subtask);
+    }
+  }
+
+  const topLevel = await client.getAll(`/projects/${projectGid}/tasks`, params);
+  for (const task of topLevel) {
+    await addWithSubtasks(task);
+  }
+  return tasks;
+}
+
+function csvField(value) {
+  const text = String(value ?? "");
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Asana-style CSV of the fetched tasks, with the sections of the project
+ * they were fetched from and timestamps dated in the configured TIMEZONE.
+ * Columns are the union of every record's keys, so custom fields only
+ * some tasks have still get a column.
+ */
+function toCsv(tasks, projectGid, config = loadConfig()) {
+  const records = importAsanaJson(
+    tasks,
+    dateOptionsFromConfig(config),
+    projectGid,
+  );
+  const headers = [];
+  records.forEach((record) => {
+    Object.keys(record).forEach((key) => {
+      if (!headers.includes(key)) headers.push(key);
+    });
+  });
+  const lines = [headers, ...records.map((r) => headers.map((h) => r[h]))];
+  return `${lines.map((line) => line.map(csvField).join(",")).join("\n")}\n`;
+}
+
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i += 2) {
+    const name = argv[i].replace(/^--/, "");
+    if (!["project", "output", "api-url"].includes(name) || !argv[i + 1]) {
+      throw new Error(`Unknown or incomplete option: ${argv[i]}`);
+    }
+    options[name] = argv[i + 1];
+  }
+  return options;
+}
+
+async function main() {
+  const usage =
+    "Usage: ASANA_TOKEN=... fetch-asana.js [--project <gid>] [--output <path>] [--api-url <url>]";
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (e) {
+    console.error(`${e.message}\n${usage}`);
+    process.exit(1);
+  }
+
+  const config = loadConfig();
+  const token = process.env.ASANA_TOKEN;
+  const projectGid = options.project || config.asana.project;
+  // DATA_FILES resolves to a list; with several exports, ask which to write
+  const outputPaths = [].concat(options.output || resolveDataPath());
+
+  if (!token || !projectGid) {
+    console.error(
+      `${!token ? "ASANA_TOKEN is not set" : "No project: set ASANA_PROJECT in dashana.config or pass --project"}\n${usage}`,
+    );
+    process.exit(1);
+  }
+  if (outputPaths.length > 1) {
+    console.error(
+      `DATA_FILES lists ${outputPaths.length} exports: pass --output to choose the file to write\n${usage}`,
+    );
+    process.exit(1);
+  }
+  const [outputPath] = outputPaths;
+
+  const client = createClient({
+    token,
+    baseUrl: options["api-url"] || config.asana.apiUrl,
+  });
+
+  try {
+    const tasks = await fetchProjectTasks(client, projectGid);
+    const content = outputPath.endsWith(".json")
+      ? `${JSON.stringify({ data: tasks }, null, 2)}\n`
+      : toCsv(tasks, projectGid, config);
+    fs.writeFileSync(outputPath, content);
+    console.log(`Fetched ${tasks.length} tasks into ${outputPath}`);
+  } catch (e) {
+    console.error(`Fetch failed: ${e.message}`);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+// Export for testing
+module.exports = { createClient, fetchProjectTasks, toCsv, parseArgs };
@@ -0,0 +1,145 @@
+const fs = require("fs");
+const path = require("path");
+const { parse } = require("csv-parse/sync");
+const loadConfig = require("./config.js");
+const { toDay, dayNumber, fromDayNumber, weekday } = require("./dates.js");
+
+/*
+ * Working calendar for BUSINESS_DAYS=YES: which weekdays are worked, plus
+ * the holidays listed in data/holidays.csv. tasks.js uses it to count
+ * durations and days until due in working days; the timeline shades the
+ * days that aren't worked.
+ */
+
+const WEEKDAYS = ["SUN", "MON", "TUE", "WED", "THU", "FRI", "SAT"];
+
+/**
+ * Parse WORKING_DAYS ("MON,TUE,WED,THU,FRI" or "MON-FRI") into weekday
+ * numbers (0 = Sunday). Falls back to Monday to Friday if nothing parses.
+ */
+function parseWorkingDays(value) {
+  const days = new Set();
+  (value || "").split(",").forEach((entry) => {
+    const [from, to] = entry
+      .trim()
+      .toUpperCase()
+      .split("-")
+      .map((name) => WEEKDAYS.indexOf(name.trim().substring(0, 3)));
+    if (from === -1 || to === -1) {
+      if (entry.trim()) {
+        console.warn(`WORKING_DAYS: unknown day "${entry.trim()}"`);
+      }
+      return;
+    }
+    // Ranges may wrap around the weekend (SAT-WED)
+    const last = to === undefined ? from : to;
+    for (let day = from; ; day = (day + 1) % 7) {
+      days.add(day);
+      if (day === last) break;
+    }
+  });
+  return days.size > 0 ? [...days].sort((a, b) => a - b) : [1, 2, 3, 4, 5];
+}
+
+/**
+ * Read the holiday list: a CSV with Date (YYYY-MM-DD) and optional Name
+ * columns. A missing file means no holidays.
+ */
+function loadHolidays(holidaysPath) {
+  if (!fs.existsSync(holidaysPath)) return [];
+  const rows = parse(fs.readFileSync(holidaysPath, "utf-8"), {
+    columns: true,
+    skip_empty_lines: true,
+    trim: true,
+    bom: true,
+  });
+  return rows
+    .filter((row) => {
+      const valid = /^\d{4}-\d{2}-\d{2}$/.test(row.Date || "");
+      if (!valid) {
+        console.warn(`Holidays: skipping "${row.Date}" (use YYYY-MM-DD)`);
+      }
+      return valid;
+    })
+    .map((row) => ({ date: row.Date, name: row.Name || "Holiday" }));
+}
+
+// Whole days since the epoch for a YYYY-MM-DD day or a Date (its UTC date)
+function dayOf(date) {
+  return dayNumber(toDay(date));
+}
+
+/**
+ * Build a calendar from working weekdays and holidays ([{ date, name }]).
+ */
+function createCalendar({ workingDays = [1, 2, 3, 4, 5], holidays = [] }) {
+  const holidayNames = new Map(holidays.map((h) => [h.date, h.name]));
+
+  const holidayOn = (day) => holidayNames.get(fromDayNumber(day)) || null;
+  const isWorkingDayNumber = (day) =>
+    workingDays.includes(weekday(fromDayNumber(day))) && !holidayOn(day);
+
+  return {
+    workingDays,
+    holidays,
+
+    /** Holiday name for a date (YYYY-MM-DD or Date), or null. */
+    holidayName(date) {
+      return holidayOn(dayOf(date));
+    },
+
+    isWorkingDay(date) {
+      return isWorkingDayNumber(dayOf(date));
+    },
+
+    /**
+     * Working days from `from` (inclusive) to `to` (exclusive); negative
+     * when `to` is earlier, so Friday to Monday is 1 and back is -1.
+     */
+    countWorkingDays(from, to) {
+      const start = dayOf(from);
+      const end = dayOf(to);
+      const [low, high] = start <= end ? [start, end] : [end, start];
+      let count = 0;
+      for (let day = low; day < high; day++) {
+        if (isWorkingDayNumber(day)) count++;
+      }
+      return start <= end ? count : -count;
+    },
+  };
+}
+
+/**
+ * The configured working calendar, or null when BUSINESS_DAYS is off and
+ * everything counts calendar days.
+ */
+function loadCalendar(
+  config = loadConfig(),
+  holidaysPath = process.env.DASHANA_HOLIDAYS_PATH ||
+    path.join(__dirname, "../../data/holidays.csv"),
+) {
+  if (!config.calendar.businessDays) return null;
+  return createCalendar({
+    workingDays: parseWorkingDays(config.calendar.workingDays),
+    holidays: loadHolidays(holidaysPath),
+  });
+}
+
+// Calendar settings for templates (day unit and the days worked)
+module.exports = function () {
+  const calendar = loadCalendar();
+  return {
+    businessDays: !!calendar,
+    unit: calendar ? "wd" : "d",
+    workingDays: calendar
+      ? calendar.workingDays.map((day) => WEEKDAYS[day])
+      : [],
+    holidays: calendar ? calendar.holidays : [],
+  };
+};
+
+// Export for tasks.js and testing
+module.exports.parseWorkingDays = parseWorkingDays;
+module.exports.loadHolidays = loadHolidays;
+module.exports.createCalendar = createCalendar;
+module.exports.loadCalendar = loadCalendar;
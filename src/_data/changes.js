@@ -0,0 +1,104 @@
+const { loadTasks, resolveDataPath } = require("./tasks.js");
+
+// Task fields compared between snapshots (section and done state are
+// reported separately as moves and completions)
+const TRACKED_FIELDS = [
+  { key: "dueDate", label: "Due date" },
+  { key: "assignee", label: "Assignee" },
+  { key: "priority", label: "Priority" },
+  { key: "status", label: "Status" },
+];
+
+/**
+ * Compare two task lists and report what changed, matched by Task ID.
+ * Tasks without an ID can't be matched reliably and are skipped.
+ */
+function diffTasks(previousTasks, currentTasks) {
+  const previousById = new Map();
+  previousTasks.forEach((t) => {
+    if (t.id) previousById.set(t.id, t);
+  });
+  const currentIds = new Set();
+
+  const added = [];
+  const completed = [];
+  const moved = [];
+  const changed = [];
+
+  currentTasks.forEach((task) => {
+    if (!task.id) return;
+    currentIds.add(task.id);
+
+    const before = previousById.get(task.id);
+    if (!before) {
+      added.push(task);
+      return;
+    }
+
+    if (task.isDone && !before.isDone) {
+      completed.push(task);
+    }
+
+    if (task.section !== before.section) {
+      moved.push({ task, from: before.section, to: task.section });
+    }
+
+    const fieldChanges = TRACKED_FIELDS.filter(
+      ({ key }) => (before[key] || null) !== (task[key] || null),
+    ).map(({ key, label }) => ({
+      field: key,
+      label,
+      from: before[key] || null,
+      to: task[key] || null,
+    }));
+    if (fieldChanges.length > 0) {
+      changed.push({ task, changes: fieldChanges });
+    }
+  });
+
+  const removed = previousTasks.filter((t) => t.id && !currentIds.has(t.id));
+
+  return {
+    added,
+    removed,
+    completed,
+    moved,
+    changed,
+    total:
+      added.length +
+      removed.length +
+      completed.length +
+      moved.length +
+      changed.length,
+  };
+}
+
+module.exports = function () {
+  // Set by build-versions.sh to the CSV of the snapshot before this one
+  const previousCsvPath = process.env.DASHANA_PREVIOUS_CSV_PATH;
+  const previousVersion = process.env.DASHANA_PREVIOUS_VERSION || null;
+
+  if (!previousCsvPath) {
+    return { hasPrevious: false, previousVersion: null };
+  }
+
+  const csvPath = process.env.DASHANA_CSV_PATH || resolveDataPath();
+
+  try {
+    const previous = loadTasks(previousCsvPath);
+    const current = loadTasks(csvPath);
+
+    return {
+      hasPrevious: true,
+      previousVersion,
+      ...diffTasks(previous.all, current.all),
+    };
+  } catch (e) {
+    console.warn("Snapshot comparison error:", e.message);
+    return { hasPrevious: false, previousVersion, error: e.message };
+  }
+};
+
+// Export for testing
+module.exports.diffTasks = diffTasks;
+module.exports.TRACKED_FIELDS = TRACKED_FIELDS;
@@ -34,18 +34,21 @@ const CONFIG_SCHEMA = {
   BOARD_NAME: { path: "viewNames.board", type: "string" },
   TASKS_NAME: { path: "viewNames.tasks", type: "string" },
   TIMELINE_NAME: { path: "viewNames.timeline", type: "string" },
+  DEPENDENCIES_NAME: { path: "viewNames.dependencies", type: "string" },
 
   // Page headings (main h2 on each page)
   DASHBOARD_HEADING: { path: "pageHeadings.dashboard", type: "string" },
   BOARD_HEADING: { path: "pageHeadings.board", type: "string" },
   TASKS_HEADING: { path: "pageHeadings.tasks", type: "string" },
   TIMELINE_HEADING: { path: "pageHeadings.timeline", type: "string" },
+  DEPENDENCIES_HEADING: { path: "pageHeadings.dependencies", type: "string" },
 
   // Tab visibility (boolean values)
   SHOW_DASHBOARD: { path: "tabs.dashboard", type: "boolean" },
   SHOW_BOARD: { path: "tabs.board", type: "boolean" },
   SHOW_TASKS: { path: "tabs.tasks", type: "boolean" },
   SHOW_TIMELINE: { path: "tabs.timeline", type: "boolean" },
+  SHOW_DEPENDENCIES: { path: "tabs.dependencies", type: "boolean" },
 
   // Tasks columns
   TASKS_COL_NAME: { path: "tasksColumns.name", type: "boolean" },
@@ -60,8 +63,21 @@ const CONFIG_SCHEMA = {
   TASKS_COL_NOTES: { path: "tasksColumns.notes", type: "boolean" },
   TASKS_COL_NOTES_TEXT: { path: "tasksColumns.notesText", type: "boolean" },
   TASKS_COL_CUSTOM: { path: "tasksColumns.custom", type: "boolean" },
+  TASKS_COL_DEPENDENCIES: {
+    path: "tasksColumns.dependencies",
+    type: "boolean",
+  },
   TASKS_NOTES_TEXT_MODE: { path: "tasksColumns.notesTextMode", type: "string" },
 
+  // Filter bar on the board, tasks and timeline pages
+  SHOW_FILTERS: { path: "showFilters", type: "boolean" },
+
+  // Task search box in the header
+  SHOW_SEARCH: { path: "showSearch", type: "boolean" },
+
+  // Timeline Gantt chart
+  TIMELINE_SHOW_GANTT: { path: "timelineGantt", type: "boolean" },
+
   // Timeline columns
   TIMELINE_COL_NAME: { path: "timelineColumns.name", type: "boolean" },
   TIMELINE_COL_PROGRESS: { path: "timelineColumns.progress", type: "boolean" },
@@ -69,6 +85,7 @@ const CONFIG_SCHEMA = {
   TIMELINE_COL_START: { path: "timelineColumns.start", type: "boolean" },
   TIMELINE_COL_DUE: { path: "timelineColumns.due", type: "boolean" },
   TIMELINE_COL_DURATION: { path: "timelineColumns.duration", type: "boolean" },
+  TIMELINE_COL_SLACK: { path: "timelineColumns.slack", type: "boolean" },
   TIMELINE_COL_STATUS: { path: "timelineColumns.status", type: "boolean" },
   TIMELINE_COL_TAGS: { path: "timelineColumns.tags", type: "boolean" },
   TIMELINE_COL_PARENT: { path: "timelineColumns.parent", type: "boolean" },
@@ -96,8 +113,77 @@ const CONFIG_SCHEMA = {
   CARD_SHOW_PARENT: { path: "cardItems.parent", type: "boolean" },
   CARD_SHOW_NOTES: { path: "cardItems.notes", type: "boolean" },
   CARD_SHOW_CUSTOM: { path: "cardItems.custom", type: "boolean" },
+  CARD_SHOW_DEPENDENCIES: { path: "cardItems.dependencies", type: "boolean" },
+
+  // Source of the CSV export: ASANA, JIRA, TRELLO or GITHUB
+  IMPORTER: { path: "importer", type: "string" },
+
+  // Workflow semantics (see workflow.js; blank = built-in English defaults)
+  DONE_SECTIONS: { path: "workflow.doneSections", type: "string" },
+  DONE_STATUSES: { path: "workflow.doneStatuses", type: "string" },
+  PRIORITIES: { path: "workflow.priorities", type: "string" },
+  STATUSES: { path: "workflow.statuses", type: "string" },
+
+  // Working calendar: count durations in working days (see calendar.js)
+  BUSINESS_DAYS: { path: "calendar.businessDays", type: "boolean" },
+  WORKING_DAYS: { path: "calendar.workingDays", type: "string" },
+
+  // Date parsing (see dates.js): day order of numeric dates in the export
+  // (AUTO, DMY, MDY or ISO) and the project's IANA timezone (blank = local)
+  DATE_FORMAT: { path: "dates.format", type: "string" },
+  TIMEZONE: { path: "dates.timeZone", type: "string" },
+
+  // Report language (see i18n.js): translation bundle and how dates are
+  // shown (blank = the bundle's format, e.g. DD.MM.YYYY for German)
+  LOCALE: { path: "i18n.locale", type: "string" },
+  DATE_DISPLAY_FORMAT: { path: "i18n.dateFormat", type: "string" },
+
+  // Data quality: fail the build on more errors than allowed (strict mode)
+  DATA_QUALITY_STRICT: { path: "dataQuality.strict", type: "boolean" },
+  DATA_QUALITY_MAX_ERRORS: { path: "dataQuality.maxErrors", type: "number" },
+
+  // Open tasks not modified for this many days are stale (0 = off)
+  STALE_DAYS: { path: "staleDays", type: "number" },
+
+  // Custom field types ("Story Points:number, Team:enum"); others inferred
+  CUSTOM_FIELD_TYPES: { path: "customFieldTypes", type: "string" },
+
+  // Several exports of one project in data/, merged by Task ID
+  // ("part-1.csv, part-2.csv"; blank = data/project.csv)
+  DATA_FILES: { path: "dataFiles", type: "string" },
+
+  // Portfolio build (scripts/build-portfolio.js): project files in data/
+  // ("acme.csv, globex.csv"; blank = every CSV there)
+  PORTFOLIO_PROJECTS: { path: "portfolio.projects", type: "string" },
+
+  // Asana API fetch (scripts/fetch-asana.js; token comes from ASANA_TOKEN)
+  ASANA_PROJECT: { path: "asana.project", type: "string" },
+  ASANA_API_URL: { path: "asana.apiUrl", type: "string" },
+
+  // Column mapping - CSV header that feeds each field (blank = Asana default)
+  COLUMN_TASK_ID: { path: "columns.taskId", type: "string" },
+  COLUMN_NAME: { path: "columns.name", type: "string" },
+  COLUMN_SECTION: { path: "columns.section", type: "string" },
+  COLUMN_ASSIGNEE: { path: "columns.assignee", type: "string" },
+  COLUMN_ASSIGNEE_EMAIL: { path: "columns.assigneeEmail", type: "string" },
+  COLUMN_START_DATE: { path: "columns.startDate", type: "string" },
+  COLUMN_DUE_DATE: { path: "columns.dueDate", type: "string" },
+  COLUMN_PRIORITY: { path: "columns.priority", type: "string" },
+  COLUMN_STATUS: { path: "columns.status", type: "string" },
+  COLUMN_NOTES: { path: "columns.notes", type: "string" },
+  COLUMN_CREATED_AT: { path: "columns.createdAt", type: "string" },
+  COLUMN_COMPLETED_AT: { path: "columns.completedAt", type: "string" },
+  COLUMN_LAST_MODIFIED: { path: "columns.lastModified", type: "string" },
+  COLUMN_TAGS: { path: "columns.tags", type: "string" },
+  COLUMN_PARENT: { path: "columns.parent", type: "string" },
+  COLUMN_PARENT_ID: { path: "columns.parentId", type: "string" },
+  COLUMN_BLOCKED_BY: { path: "columns.blockedBy", type: "string" },
+  COLUMN_BLOCKING: { path: "columns.blocking", type: "string" },
 };
 
+// Prefix of per-string translation overrides (see i18n.js)
+const TEXT_PREFIX = "TEXT.";
+
 /**
  * Set a nested property value using dot notation path.
  * Example: setNestedValue(obj, 'tabs.dashboard', false)
@@ -111,6 +197,50 @@ function setNestedValue(obj, pathStr, value) {
   current[parts[parts.length - 1]] = value;
 }
 
+/**
+ * Apply the KEY=value lines of a config file to `config`.
+ * Returns false if the file can't be read.
+ */
+function applyConfigFile(config, configPath) {
+  try {
+    const content = fs.readFileSync(configPath, "utf-8");
+    content.split("\n").forEach((line) => {
+      // Skip comments and empty lines
+      const trimmed = line.trim();
+      if (!trimmed || trimmed.startsWith("#")) return;
+
+      const eqIndex = line.indexOf("=");
+      if (eqIndex === -1) return;
+
+      const key = line.substring(0, eqIndex).trim();
+      const value = line.substring(eqIndex + 1).trim();
+
+      // TEXT.board.due=Fällig: {date} overrides one translated string
+      if (key.startsWith(TEXT_PREFIX)) {
+        config.text[key.substring(TEXT_PREFIX.length)] = value;
+        return;
+      }
+
+      // Look up key in schema
+      const schema = CONFIG_SCHEMA[key];
+      if (schema) {
+        let parsedValue;
+        if (schema.type === "boolean") {
+          parsedValue = parseYesNo(value);
+        } else if (schema.type === "number") {
+          parsedValue = parseNumber(value);
+        } else {
+          parsedValue = value;
+        }
+        setNestedValue(config, schema.path, parsedValue);
+      }
+    });
+    return true;
+  } catch (_e) {
+    return false;
+  }
+}
+
 module.exports = function () {
   // Allow override for testing (so tests never touch production config)
   const configPath =
@@ -129,6 +259,7 @@ module.exports = function () {
       board: "Board",
       tasks: "Tasks",
       timeline: "Timeline",
+      dependencies: "Dependencies",
     },
 
     // Page headings (main h2 on each page)
@@ -137,6 +268,7 @@ module.exports = function () {
       board: "Kanban Board",
       tasks: "Task List",
       timeline: "Timeline",
+      dependencies: "Dependency Graph",
     },
 
     // Tab visibility (all shown by default)
@@ -145,6 +277,7 @@ module.exports = function () {
       board: true,
       tasks: true,
       timeline: true,
+      dependencies: true,
     },
 
     // Tasks table columns (all shown by default)
@@ -162,8 +295,18 @@ module.exports = function () {
       notesText: true,
       notesTextMode: "preview",
       custom: true,
+      dependencies: true,
     },
 
+    // Filter bar on the board, tasks and timeline pages
+    showFilters: true,
+
+    // Task search box in the header
+    showSearch: true,
+
+    // Gantt chart above the timeline table
+    timelineGantt: true,
+
     // Timeline table columns (all shown by default)
     timelineColumns: {
       name: true,
@@ -172,6 +315,7 @@ module.exports = function () {
       start: true,
       due: true,
       duration: true,
+      slack: true,
       status: true,
       tags: true,
       parent: true,
@@ -195,40 +339,101 @@ module.exports = function () {
       parent: true,
       notes: true,
       custom: true,
+      dependencies: true,
     },
-  };
 
-  try {
-    const content = fs.readFileSync(configPath, "utf-8");
-    content.split("\n").forEach((line) => {
-      // Skip comments and empty lines
-      const trimmed = line.trim();
-      if (!trimmed || trimmed.startsWith("#")) return;
+    // Tool the CSV was exported from (see importers.js)
+    importer: "asana",
 
-      const eqIndex = line.indexOf("=");
-      if (eqIndex === -1) return;
+    // Workflow semantics (blank = built-in defaults)
+    workflow: {
+      doneSections: "",
+      doneStatuses: "",
+      priorities: "",
+      statuses: "",
+    },
 
-      const key = line.substring(0, eqIndex).trim();
-      const value = line.substring(eqIndex + 1).trim();
+    // Working calendar (off = calendar days)
+    calendar: {
+      businessDays: false,
+      workingDays: "MON,TUE,WED,THU,FRI",
+    },
 
-      // Look up key in schema
-      const schema = CONFIG_SCHEMA[key];
-      if (schema) {
-        let parsedValue;
-        if (schema.type === "boolean") {
-          parsedValue = parseYesNo(value);
-        } else if (schema.type === "number") {
-          parsedValue = parseNumber(value);
-        } else {
-          parsedValue = value;
-        }
-        setNestedValue(config, schema.path, parsedValue);
-      }
-    });
-  } catch (_e) {
+    // Dates read as the export writes them, "today" in the build's timezone
+    dates: {
+      format: "AUTO",
+      timeZone: "",
+    },
+
+    // English report with ISO dates
+    i18n: {
+      locale: "en",
+      dateFormat: "",
+    },
+
+    // Per-string overrides of the translations (TEXT.<key>=value)
+    text: {},
+
+    // Data quality report only; strict mode fails the build
+    dataQuality: {
+      strict: false,
+      maxErrors: 0,
+    },
+
+    // Days without an update before an open task is stale
+    staleDays: 30,
+
+    // Custom field types (blank = inferred from the values)
+    customFieldTypes: "",
+
+    // Project data: data/project.csv
+    dataFiles: "",
+
+    // Portfolio build: every CSV in data/
+    portfolio: {
+      projects: "",
+    },
+
+    // Asana API fetch
+    asana: {
+      project: "",
+      apiUrl: "https://app.asana.com/api/1.0",
+    },
+
+    // Column mapping (blank = the standard Asana CSV header)
+    columns: {
+      taskId: "",
+      name: "",
+      section: "",
+      assignee: "",
+      assigneeEmail: "",
+      startDate: "",
+      dueDate: "",
+      priority: "",
+      status: "",
+      notes: "",
+      createdAt: "",
+      completedAt: "",
+      lastModified: "",
+      tags: "",
+      parent: "",
+      parentId: "",
+      blockedBy: "",
+      blocking: "",
+    },
+  };
+
+  if (!applyConfigFile(config, configPath)) {
     console.warn("dashana.config not found, using defaults");
   }
 
+  // In a portfolio build, the project's own settings (data/<name>.config)
+  // override the shared ones
+  const projectConfigPath = process.env.DASHANA_PROJECT_CONFIG_PATH;
+  if (projectConfigPath && !applyConfigFile(config, projectConfigPath)) {
+    console.warn(`${projectConfigPath} not found, using the shared settings`);
+  }
+
   return config;
 };
 
@@ -237,3 +442,4 @@ module.exports.parseYesNo = parseYesNo;
 module.exports.parseNumber = parseNumber;
 module.exports.CONFIG_SCHEMA = CONFIG_SCHEMA;
 module.exports.setNestedValue = setNestedValue;
+module.exports.applyConfigFile = applyConfigFile;
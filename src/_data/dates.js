@@ -0,0 +1,251 @@
+const loadConfig = require("./config.js");
+
+/*
+ * Dates as calendar days. Every date in an export is read with parseDate,
+ * which turns it into YYYY-MM-DD using the configured day order
+ * (DATE_FORMAT) and, for timestamps, the project timezone (TIMEZONE).
+ * Overdue, durations, timeline offsets and the project range then count
+ * whole days between those strings, so a build gives the same answers on
+ * any machine.
+ */
+
+// Day order of numeric dates: AUTO guesses per value (month first when
+// both numbers could be either), ISO accepts only year-first dates
+const DATE_FORMATS = ["AUTO", "DMY", "MDY", "ISO"];
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+const MONTH_NAMES = [
+  "january",
+  "february",
+  "march",
+  "april",
+  "may",
+  "june",
+  "july",
+  "august",
+  "september",
+  "october",
+  "november",
+  "december",
+];
+
+const pad = (n) => String(n).padStart(2, "0");
+
+// "2026-01-12", "2026-01-12T10:30:00Z", "2026-03-29 01:30:00+01:00"
+const ISO_PATTERN =
+  /^(\d{4})[-/](\d{1,2})[-/](\d{1,2})(?:[T ](\d{1,2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?\s*(Z|[+-]\d{2}(?::?\d{2})?)?)?$/i;
+// "12/01/2026", "12.01.26", "1-12-2026 10:30"
+const NUMERIC_PATTERN =
+  /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4}|\d{2})(?:[T ,].*)?$/;
+// Jira's "12/Jan/26 10:30 AM", "12 Jan 2026", "12-January-2026"
+const DAY_MONTH_PATTERN =
+  /^(\d{1,2})[/ -]([A-Za-z]{3,})\.?[/ -](\d{4}|\d{2})(?:[T ,].*)?$/;
+// GitHub's "Jan 12, 2026", "January 12 2026"
+const MONTH_DAY_PATTERN = /^([A-Za-z]{3,})\.? (\d{1,2}),? (\d{4})(?:[T ,].*)?$/;
+
+/**
+ * YYYY-MM-DD for a year, month (1-12) and day, or null for days that
+ * don't exist (2026-02-30). Two-digit years are 20xx.
+ */
+function buildDate(year, month, day) {
+  const fullYear = String(year).length === 2 ? 2000 + Number(year) : +year;
+  if (!(month >= 1 && month <= 12) || !(day >= 1)) return null;
+  const date = new Date(Date.UTC(fullYear, month - 1, day));
+  if (date.getUTCMonth() !== month - 1) return null;
+  return `${fullYear}-${pad(month)}-${pad(day)}`;
+}
+
+// Month number from a name or its abbreviation ("Jan", "Sept"), or null
+function monthNumber(name) {
+  const lower = name.toLowerCase();
+  const index = MONTH_NAMES.findIndex((month) => month.startsWith(lower));
+  return lower.length >= 3 && index !== -1 ? index + 1 : null;
+}
+
+const formatters = new Map();
+
+/**
+ * The calendar day an instant falls on in an IANA timezone ("" = the
+ * build machine's own), as YYYY-MM-DD. Null for an invalid Date.
+ */
+function dateInTimeZone(instant, timeZone = "") {
+  if (Number.isNaN(instant.getTime())) return null;
+  if (!timeZone) {
+    return `${instant.getFullYear()}-${pad(instant.getMonth() + 1)}-${pad(instant.getDate())}`;
+  }
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+      }),
+    );
+  }
+  const parts = Object.fromEntries(
+    formatters
+      .get(timeZone)
+      .formatToParts(instant)
+      .map((part) => [part.type, part.value]),
+  );
+  return `${parts.year}-${parts.month}-${parts.day}`;
+}
+
+/**
+ * Read a date from an export as YYYY-MM-DD, or null if it isn't one.
+ * Options: format (DATE_FORMATS) for the day order of numeric dates, and
+ * timeZone for timestamps with a UTC offset ("2026-03-28T23:30:00Z" is
+ * the 29th in Europe/Berlin). Timestamps without an offset are already
+ * local to the project and keep their date. Month names are unambiguous
+ * and read in any format.
+ */
+function parseDate(value, { format = "AUTO", timeZone = "" } = {}) {
+  const text = (value || "").trim();
+  if (!text) return null;
+
+  let match = ISO_PATTERN.exec(text);
+  if (match) {
+    const [, year, month, day, hour, minute, second, zone] = match;
+    const date = buildDate(year, +month, +day);
+    if (!date || !zone) return date;
+    let offset = 0;
+    if (zone.toUpperCase() !== "Z") {
+      const digits = zone.replace(":", "");
+      const minutes = +digits.slice(1, 3) * 60 + +(digits.slice(3) || 0);
+      offset = zone[0] === "-" ? -minutes : minutes;
+    }
+    const instant = Date.UTC(
+      +year,
+      month - 1,
+      +day,
+      +hour,
+      +minute - offset,
+      +(second || 0),
+    );
+    return dateInTimeZone(new Date(instant), timeZone);
+  }
+
+  match = NUMERIC_PATTERN.exec(text);
+  if (match) {
+    const first = +match[1];
+    const second = +match[2];
+    if (format === "ISO") return null;
+    // A number over 12 can only be the day; otherwise month first, as
+    // JavaScript (and US exports) read it
+    const dayFirst = format === "DMY" || (format === "AUTO" && first > 12);
+    return dayFirst
+      ? buildDate(match[3], second, first)
+      : buildDate(match[3], first, second);
+  }
+
+  match = DAY_MONTH_PATTERN.exec(text);
+  if (match) {
+    return buildDate(match[3], monthNumber(match[2]), +match[1]);
+  }
+
+  match = MONTH_DAY_PATTERN.exec(text);
+  if (match) {
+    return buildDate(match[3], monthNumber(match[1]), +match[2]);
+  }
+
+  return null;
+}
+
+/**
+ * A day from a date string (read with parseDate) or a Date (its UTC
+ * date), as YYYY-MM-DD; null for anything else.
+ */
+function toDay(value, options = {}) {
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime())
+      ? null
+      : value.toISOString().split("T")[0];
+  }
+  return typeof value === "string" ? parseDate(value, options) : null;
+}
+
+/**
+ * Today's date in the project timezone ("" = the build machine's).
+ */
+function todayIn(timeZone = "", now = new Date()) {
+  return dateInTimeZone(now, timeZone);
+}
+
+// Whole days since 1970-01-01 for a YYYY-MM-DD day
+function dayNumber(day) {
+  const [year, month, date] = day.split("-").map(Number);
+  return Date.UTC(year, month - 1, date) / DAY_MS;
+}
+
+function fromDayNumber(number) {
+  return new Date(number * DAY_MS).toISOString().split("T")[0];
+}
+
+/**
+ * Days from one YYYY-MM-DD day to another (negative when `to` is earlier).
+ */
+function daysBetween(from, to) {
+  return dayNumber(to) - dayNumber(from);
+}
+
+function addDays(day, days) {
+  return fromDayNumber(dayNumber(day) + days);
+}
+
+// Day of the week, 0 = Sunday (1970-01-01 was a Thursday)
+function weekday(day) {
+  return (((dayNumber(day) + 4) % 7) + 7) % 7;
+}
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch (_e) {
+    return false;
+  }
+}
+
+/**
+ * parseDate options for the settings in dashana.config. Unknown formats
+ * fall back to AUTO and unknown timezones to the build machine's.
+ */
+function dateOptionsFromConfig(config = loadConfig()) {
+  const dates = config.dates || {};
+  let format = (dates.format || "AUTO").trim().toUpperCase();
+  if (!DATE_FORMATS.includes(format)) {
+    console.warn(
+      `DATE_FORMAT: unknown format "${dates.format}" (use ${DATE_FORMATS.join(", ")})`,
+    );
+    format = "AUTO";
+  }
+  let timeZone = (dates.timeZone || "").trim();
+  if (timeZone && !isValidTimeZone(timeZone)) {
+    console.warn(
+      `TIMEZONE: unknown timezone "${timeZone}", using the build machine's`,
+    );
+    timeZone = "";
+  }
+  return { format, timeZone };
+}
+
+// Date settings for templates
+module.exports = function () {
+  return dateOptionsFromConfig();
+};
+
+// Export for tasks.js, importers.js, calendar.js and testing
+module.exports.DATE_FORMATS = DATE_FORMATS;
+module.exports.parseDate = parseDate;
+module.exports.dateInTimeZone = dateInTimeZone;
+module.exports.toDay = toDay;
+module.exports.todayIn = todayIn;
+module.exports.dayNumber = dayNumber;
+module.exports.fromDayNumber = fromDayNumber;
+module.exports.daysBetween = daysBetween;
+module.exports.addDays = addDays;
+module.exports.weekday = weekday;
+module.exports.isValidTimeZone = isValidTimeZone;
+module.exports.dateOptionsFromConfig = dateOptionsFromConfig;
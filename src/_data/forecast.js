@@ -0,0 +1,195 @@
+const loadConfig = require("./config.js");
+const {
+  addDays,
+  daysBetween,
+  todayIn,
+  toDay,
+  dateOptionsFromConfig,
+} = require("./dates.js");
+const { loadSnapshots } = require("./history.js");
+const { loadTasks, resolveAsOfDate, resolveDataPath } = require("./tasks.js");
+
+/*
+ * Completion forecast: a Monte Carlo simulation that draws weekly
+ * throughput from past weeks until the open tasks are used up. Throughput
+ * comes from Completed At dates, or from the done counts of tagged
+ * versions when the export has no completion dates.
+ */
+
+const SIMULATION_RUNS = 2000;
+// Fixed seed so the same data always builds the same forecast
+const SIMULATION_SEED = 20260101;
+// A run that hasn't finished after this many weeks stops there
+const MAX_WEEKS = 520;
+const CONFIDENCE_LEVELS = [50, 85, 95];
+
+/**
+ * Seeded pseudo-random numbers in [0, 1) (mulberry32).
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Weekly completion counts from flowMetrics.throughput. The current week
+ * is still running, so it is left out unless it is the only one.
+ */
+function samplesFromThroughput(throughput) {
+  if (!throughput) return [];
+  const counts = throughput.weeks.map((week) => week.count);
+  return counts.length > 1 ? counts.slice(0, -1) : counts;
+}
+
+/**
+ * Weekly completion rates between consecutive snapshots ({ date, done }).
+ * A gap of several weeks adds that many weeks at its average rate; gaps
+ * under a week are skipped.
+ */
+function samplesFromHistory(snapshots) {
+  const samples = [];
+  for (let i = 1; i < snapshots.length; i++) {
+    const days = daysBetween(snapshots[i - 1].date, snapshots[i].date);
+    if (days < 7) continue;
+    const weeks = days / 7;
+    const rate = Math.max(0, snapshots[i].done - snapshots[i - 1].done) / weeks;
+    for (let w = 0; w < Math.round(weeks); w++) {
+      samples.push(Math.round(rate * 100) / 100);
+    }
+  }
+  return samples;
+}
+
+/**
+ * Weeks each simulated run needs to finish `remaining` tasks, drawing a
+ * past week's throughput at random for every week. Sorted ascending.
+ */
+function simulateWeeks(samples, remaining, runs, random) {
+  const results = [];
+  for (let run = 0; run < runs; run++) {
+    let left = remaining;
+    let weeks = 0;
+    while (left > 0 && weeks < MAX_WEEKS) {
+      left -= samples[Math.floor(random() * samples.length)];
+      weeks++;
+    }
+    results.push(weeks);
+  }
+  return results.sort((a, b) => a - b);
+}
+
+/**
+ * Forecast when `remaining` open tasks will be done, as of `today`
+ * (YYYY-MM-DD, or a Date for its UTC day).
+ * Returns { status } plus, when status is "forecast", the finish date at
+ * each confidence level, the chance of finishing by `plannedEnd`
+ * (YYYY-MM-DD, optional) and how far the 85% date is past it.
+ * Other statuses: "done" (nothing open), "no-data" (no throughput to go
+ * on) and "no-progress" (nothing was completed in the sampled weeks).
+ */
+function buildForecast({
+  remaining,
+  samples,
+  source,
+  today,
+  plannedEnd = null,
+  runs = SIMULATION_RUNS,
+  seed = SIMULATION_SEED,
+}) {
+  const base = { remaining, source, sampleWeeks: samples.length, plannedEnd };
+  const day = toDay(today);
+  if (remaining === 0) return { ...base, status: "done" };
+  if (samples.length === 0) return { ...base, status: "no-data" };
+  if (samples.every((count) => count === 0)) {
+    return { ...base, status: "no-progress" };
+  }
+
+  const weeks = simulateWeeks(samples, remaining, runs, createRandom(seed));
+  const outcomes = CONFIDENCE_LEVELS.map((confidence) => {
+    // Nearest rank: this share of runs finished within this many weeks
+    const needed = weeks[Math.ceil((confidence / 100) * runs) - 1];
+    return {
+      confidence,
+      weeks: needed,
+      date: addDays(day, needed * 7),
+    };
+  });
+  const likely = outcomes.find((o) => o.confidence === 85);
+
+  let chanceByPlannedEnd = null;
+  let slipDays = null;
+  if (plannedEnd) {
+    const daysAvailable = daysBetween(day, plannedEnd);
+    chanceByPlannedEnd = Math.round(
+      (weeks.filter((w) => w * 7 <= daysAvailable).length / runs) * 100,
+    );
+    slipDays = likely.weeks * 7 - daysAvailable;
+  }
+
+  const total = samples.reduce((sum, count) => sum + count, 0);
+  return {
+    ...base,
+    status: "forecast",
+    averagePerWeek: Math.round((total / samples.length) * 10) / 10,
+    outcomes,
+    likely,
+    chanceByPlannedEnd,
+    slipDays,
+  };
+}
+
+module.exports = function () {
+  const csvPath = process.env.DASHANA_CSV_PATH || resolveDataPath();
+  const asOfDate = resolveAsOfDate();
+
+  try {
+    const config = loadConfig();
+    const today = asOfDate || todayIn(dateOptionsFromConfig(config).timeZone);
+    const { stats, flowMetrics, projectRange } = loadTasks(
+      csvPath,
+      today,
+      config,
+    );
+
+    // Completion dates first; tagged versions when there are none
+    let samples = samplesFromThroughput(flowMetrics.throughput);
+    let source = "completions";
+    if (samples.length === 0) {
+      samples = samplesFromHistory([
+        ...loadSnapshots(today),
+        { date: today, done: stats.done },
+      ]);
+      source = "history";
+    }
+
+    return buildForecast({
+      remaining: stats.total - stats.done,
+      samples,
+      source,
+      today,
+      plannedEnd: projectRange.end,
+    });
+  } catch (_e) {
+    // CSV errors are reported by tasks.js
+    return {
+      remaining: 0,
+      source: null,
+      sampleWeeks: 0,
+      plannedEnd: null,
+      status: "no-data",
+    };
+  }
+};
+
+// Export for testing
+module.exports.createRandom = createRandom;
+module.exports.samplesFromThroughput = samplesFromThroughput;
+module.exports.samplesFromHistory = samplesFromHistory;
+module.exports.simulateWeeks = simulateWeeks;
+module.exports.buildForecast = buildForecast;
@@ -0,0 +1,172 @@
+const fs = require("fs");
+const path = require("path");
+const { dayNumber, todayIn, dateOptionsFromConfig } = require("./dates.js");
+const {
+  loadTasks,
+  processRecords,
+  parseAsOfDate,
+  resolveAsOfDate,
+  resolveDataPath,
+} = require("./tasks.js");
+
+// Trend chart geometry (SVG user units, scaled by CSS)
+const CHART_WIDTH = 320;
+const CHART_HEIGHT = 160;
+const CHART_PADDING = { top: 10, right: 12, bottom: 24, left: 32 };
+const MAX_X_LABELS = 6;
+
+/**
+ * Summarise one snapshot's records as of its own date.
+ * Only the headline counts are kept - enough to plot trends over time.
+ * `options` are passed on to processRecords (done sections and so on).
+ */
+function snapshotStats(records, date, options = {}) {
+  const { stats } = processRecords(records, parseAsOfDate(date), options);
+  return headlineCounts(stats, date);
+}
+
+/**
+ * The counts a snapshot keeps of processRecords `stats`.
+ */
+function headlineCounts(stats, date) {
+  return {
+    date,
+    total: stats.total,
+    done: stats.done,
+    open: stats.total - stats.done,
+    overdue: stats.overdue,
+    bySection: stats.bySection,
+  };
+}
+
+/**
+ * Build SVG geometry for a line chart of one or more snapshot series.
+ * X positions are proportional to snapshot dates so uneven gaps between
+ * tags show as uneven gaps on the chart.
+ */
+function buildTrendChart(snapshots, series) {
+  const plotWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+  const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+
+  const times = snapshots.map((s) => dayNumber(s.date));
+  const firstTime = times[0];
+  const timeSpan = times[times.length - 1] - firstTime;
+  // Coordinates rounded to 0.1 units to keep the markup small
+  const round = (n) => Math.round(n * 10) / 10;
+  const xFor = (i) =>
+    round(
+      CHART_PADDING.left +
+        (timeSpan > 0
+          ? ((times[i] - firstTime) / timeSpan) * plotWidth
+          : plotWidth / 2),
+    );
+
+  // Four evenly spaced gridlines with whole-number labels
+  const maxValue = Math.max(
+    0,
+    ...series.flatMap(({ key }) => snapshots.map((s) => s[key])),
+  );
+  const step = Math.max(1, Math.ceil(maxValue / 4));
+  const yMax = step * 4;
+  const yFor = (value) =>
+    round(CHART_PADDING.top + plotHeight - (value / yMax) * plotHeight);
+
+  const yTicks = [0, 1, 2, 3, 4].map((i) => ({
+    value: i * step,
+    y: yFor(i * step),
+  }));
+
+  // Label every snapshot when there are few, otherwise an even spread
+  const labelEvery = Math.ceil(snapshots.length / MAX_X_LABELS);
+  const xLabels = snapshots
+    .map((s, i) => ({ label: s.date, x: xFor(i), index: i }))
+    .filter(
+      ({ index }) => index % labelEvery === 0 || index === snapshots.length - 1,
+    )
+    .map(({ label, x }) => ({ label, x }));
+
+  return {
+    width: CHART_WIDTH,
+    height: CHART_HEIGHT,
+    plot: {
+      left: CHART_PADDING.left,
+      right: CHART_WIDTH - CHART_PADDING.right,
+      top: CHART_PADDING.top,
+      bottom: CHART_HEIGHT - CHART_PADDING.bottom,
+    },
+    yTicks,
+    xLabels,
+    series: series.map(({ key, label }) => {
+      const dots = snapshots.map((s, i) => ({
+        x: xFor(i),
+        y: yFor(s[key]),
+        value: s[key],
+        date: s.date,
+      }));
+      return {
+        key,
+        label,
+        dots,
+        points: dots.map((d) => `${d.x},${d.y}`).join(" "),
+      };
+    }),
+  };
+}
+
+/**
+ * Snapshots of tagged versions from before `currentDate`, oldest first.
+ * History is written by build-versions.sh; DASHANA_HISTORY_PATH overrides
+ * it for testing.
+ */
+function loadSnapshots(currentDate) {
+  const historyPath =
+    process.env.DASHANA_HISTORY_PATH ||
+    path.join(__dirname, "../../_site/history.json");
+
+  let snapshots = [];
+  try {
+    snapshots = JSON.parse(fs.readFileSync(historyPath, "utf-8"));
+  } catch (_e) {
+    // During development, history.json doesn't exist yet
+  }
+  return snapshots
+    .filter((s) => s.date < currentDate)
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+module.exports = function () {
+  // A versioned (or DASHANA_AS_OF) build only shows history up to its date
+  const asOfDate = resolveAsOfDate();
+  const currentDate = asOfDate || todayIn(dateOptionsFromConfig().timeZone);
+  const snapshots = loadSnapshots(currentDate);
+
+  // The current build is always the last point
+  const csvPath = process.env.DASHANA_CSV_PATH || resolveDataPath();
+  try {
+    snapshots.push(
+      headlineCounts(loadTasks(csvPath, currentDate).stats, currentDate),
+    );
+  } catch (_e) {
+    // CSV errors are reported by tasks.js
+  }
+
+  if (snapshots.length < 2) {
+    return { snapshots, hasTrends: false };
+  }
+
+  return {
+    snapshots,
+    hasTrends: true,
+    burnUp: buildTrendChart(snapshots, [
+      { key: "total", label: "Total scope" },
+      { key: "done", label: "Done" },
+    ]),
+    burnDown: buildTrendChart(snapshots, [{ key: "open", label: "Open" }]),
+    overdue: buildTrendChart(snapshots, [{ key: "overdue", label: "Overdue" }]),
+  };
+};
+
+// Export for testing, forecast.js and scripts/collect-history.js
+module.exports.snapshotStats = snapshotStats;
+module.exports.loadSnapshots = loadSnapshots;
+module.exports.buildTrendChart = buildTrendChart;
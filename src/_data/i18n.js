@@ -0,0 +1,284 @@
+const fs = require("fs");
+const path = require("path");
+const loadConfig = require("./config.js");
+const { dayNumber, fromDayNumber, weekday } = require("./dates.js");
+
+/*
+ * Report language. Every label in the templates is looked up by key in a
+ * translation bundle (src/_locales/<locale>.json) with the `t` filter, and
+ * every date goes through the `date` filter. Keys missing from a bundle
+ * fall back to English; TEXT.<key> lines in dashana.config override
+ * single strings.
+ */
+
+const LOCALES_PATH = path.join(__dirname, "../_locales");
+const DEFAULT_LOCALE = "en";
+
+// Values the data layer fills in for empty fields, shown translated
+const PLACEHOLDER_KEYS = {
+  Unassigned: "common.unassigned",
+  "No priority": "common.noPriority",
+  "No status": "common.noStatus",
+  "No value": "common.noValue",
+};
+
+// Built-in filter facets; custom field facets keep the field name
+const FACET_KEYS = [
+  "assignee",
+  "section",
+  "priority",
+  "status",
+  "tag",
+  "project",
+];
+
+// Field labels in search-index.json (buildSearchIndex in tasks.js)
+const SEARCH_FIELDS = ["Notes", "Tags", "Assignee"];
+
+const bundles = new Map();
+
+/**
+ * The bundled translations for a locale, or null if there are none.
+ */
+function loadBundle(locale) {
+  if (!bundles.has(locale)) {
+    const file = path.join(LOCALES_PATH, `${locale}.json`);
+    bundles.set(
+      locale,
+      fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf-8")) : null,
+    );
+  }
+  return bundles.get(locale);
+}
+
+/**
+ * The bundle for a LOCALE setting: the exact locale ("de-AT"), else its
+ * language ("de"), else English with a warning.
+ */
+function resolveLocale(locale) {
+  const requested = (locale || DEFAULT_LOCALE).trim().replace("_", "-");
+  const language = requested.split("-")[0].toLowerCase();
+  for (const candidate of [requested, language]) {
+    if (/^[A-Za-z-]+$/.test(candidate) && loadBundle(candidate)) {
+      return { locale: requested, bundle: candidate };
+    }
+  }
+  console.warn(`LOCALE: no translations for "${requested}", using English`);
+  return { locale: DEFAULT_LOCALE, bundle: DEFAULT_LOCALE };
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Copy of `base` with `overrides` laid over it, key by key.
+ */
+function mergeMessages(base, overrides) {
+  const merged = { ...base };
+  Object.entries(overrides || {}).forEach(([key, value]) => {
+    merged[key] =
+      isPlainObject(value) && isPlainObject(base[key])
+        ? mergeMessages(base[key], value)
+        : value;
+  });
+  return merged;
+}
+
+/**
+ * TEXT.<key> settings ({ "board.due": "Fällig: {date}" }) as nested
+ * messages. Lists such as dates.months are given comma-separated.
+ */
+function textOverrides(text = {}) {
+  const messages = {};
+  Object.entries(text).forEach(([key, value]) => {
+    const parts = key.split(".").filter(Boolean);
+    if (parts.length === 0) return;
+    let current = messages;
+    parts.slice(0, -1).forEach((part) => {
+      if (!isPlainObject(current[part])) current[part] = {};
+      current = current[part];
+    });
+    current[parts[parts.length - 1]] = value;
+  });
+  return messages;
+}
+
+/**
+ * The message at a dotted key ("dashboard.overdue.title"), or undefined.
+ */
+function lookup(messages, key) {
+  return String(key)
+    .split(".")
+    .reduce(
+      (current, part) =>
+        isPlainObject(current) && Object.hasOwn(current, part)
+          ? current[part]
+          : undefined,
+      messages,
+    );
+}
+
+/**
+ * Replace {name} placeholders with params; unknown names are left as-is.
+ */
+function interpolate(text, params = {}) {
+  return String(text).replace(/\{(\w+)\}/g, (match, name) =>
+    params[name] !== undefined && params[name] !== null
+      ? String(params[name])
+      : match,
+  );
+}
+
+/**
+ * The plural form of a message ({ one, other, ... }) for `count` under
+ * the locale's plural rules, falling back to "other".
+ */
+function pluralForm(message, count, locale) {
+  const category = new Intl.PluralRules(locale).select(Number(count) || 0);
+  return message[category] ?? message.other;
+}
+
+// A message list (dates.months) from a bundle array or a TEXT override
+function messageList(value) {
+  if (Array.isArray(value)) return value;
+  return typeof value === "string" ? value.split(",").map((v) => v.trim()) : [];
+}
+
+const DATE_TOKENS = /\[([^\]]*)\]|YYYY|YY|MMMM|MMM|MM|M|DD|D|dddd|ddd/g;
+
+/**
+ * Format a YYYY-MM-DD day with a pattern: YYYY, YY, MMMM (month name),
+ * MMM (short name), MM, M, DD, D, dddd (weekday), ddd (short weekday);
+ * text in [brackets] is kept as written. Anything that isn't a day
+ * (a version tag, a custom field value) is returned unchanged.
+ */
+function formatDate(value, pattern, messages) {
+  if (value === null || value === undefined || value === "") return "";
+  const day =
+    value instanceof Date && !Number.isNaN(value.getTime())
+      ? value.toISOString().split("T")[0]
+      : String(value);
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(day);
+  // Not a day, or one that doesn't exist (2026-02-30)
+  if (!match || fromDayNumber(dayNumber(day)) !== day) return day;
+
+  const [, year, month, date] = match;
+  const names = (key) => messageList(lookup(messages, `dates.${key}`));
+  const dayOfWeek = weekday(day);
+  const tokens = {
+    YYYY: year,
+    YY: year.slice(2),
+    MMMM: names("months")[month - 1],
+    MMM: names("monthsShort")[month - 1],
+    MM: month,
+    M: String(+month),
+    DD: date,
+    D: String(+date),
+    dddd: names("weekdays")[dayOfWeek],
+    ddd: names("weekdaysShort")[dayOfWeek],
+  };
+  return pattern.replace(DATE_TOKENS, (token, literal) =>
+    literal !== undefined ? literal : (tokens[token] ?? token),
+  );
+}
+
+/**
+ * Translation helpers for the settings in dashana.config: the locale,
+ * t(key, params) and formatDate(value, pattern), plus the view names and
+ * page headings (a name changed in the config wins over the translation).
+ */
+function createI18n(config = loadConfig()) {
+  const settings = config.i18n || {};
+  const { locale, bundle } = resolveLocale(settings.locale);
+  const english = loadBundle(DEFAULT_LOCALE);
+  const messages = mergeMessages(
+    mergeMessages(english, loadBundle(bundle)),
+    textOverrides(config.text),
+  );
+
+  const t = (key, params = {}) => {
+    const message = lookup(messages, key);
+    if (message === undefined) {
+      console.warn(`i18n: no text for "${key}"`);
+      return key;
+    }
+    const text = isPlainObject(message)
+      ? pluralForm(message, params.count, locale)
+      : message;
+    return interpolate(text, params);
+  };
+
+  const dateFormat =
+    (settings.dateFormat || "").trim() || lookup(messages, "dates.format");
+
+  const format = (value, pattern) =>
+    formatDate(value, pattern || dateFormat, messages);
+
+  // Config values still at their English default are translated
+  const configured = (group, configGroup = {}) =>
+    Object.fromEntries(
+      Object.entries(english[group]).map(([key, englishText]) => {
+        const value = configGroup[key];
+        return [
+          key,
+          value && value !== englishText ? value : t(`${group}.${key}`),
+        ];
+      }),
+    );
+
+  return {
+    locale,
+    messages,
+    dateFormat,
+    t,
+    formatDate: format,
+    viewNames: configured("nav", config.viewNames),
+    pageHeadings: configured("headings", config.pageHeadings),
+  };
+}
+
+// Lookup tables without prototype keys, so any data value can index them
+function table(entries) {
+  return Object.assign(Object.create(null), Object.fromEntries(entries));
+}
+
+// Locale, names and translated labels for templates (filters are in .eleventy.js)
+module.exports = function () {
+  const i18n = createI18n();
+  const { t } = i18n;
+  const client = {
+    noMatches: t("search.noMatches"),
+    more: t("search.more"),
+    unavailable: t("search.unavailable"),
+    filterSummary: t("filters.summary"),
+    fields: Object.fromEntries(
+      SEARCH_FIELDS.map((field) => [field, t(`search.fields.${field}`)]),
+    ),
+  };
+  return {
+    locale: i18n.locale,
+    dateFormat: i18n.dateFormat,
+    viewNames: i18n.viewNames,
+    pageHeadings: i18n.pageHeadings,
+    placeholders: table(
+      Object.entries(PLACEHOLDER_KEYS).map(([value, key]) => [value, t(key)]),
+    ),
+    facets: table(FACET_KEYS.map((key) => [key, t(`filters.facets.${key}`)])),
+    // Strings for the header search and filter scripts; "<" is escaped so
+    // an override can't close the <script> element
+    clientJson: JSON.stringify(client).replace(/</g, "\\u003c"),
+  };
+};
+
+// Export for .eleventy.js and testing
+module.exports.DEFAULT_LOCALE = DEFAULT_LOCALE;
+module.exports.loadBundle = loadBundle;
+module.exports.resolveLocale = resolveLocale;
+module.exports.mergeMessages = mergeMessages;
+module.exports.textOverrides = textOverrides;
+module.exports.lookup = lookup;
+module.exports.interpolate = interpolate;
+module.exports.pluralForm = pluralForm;
+module.exports.formatDate = formatDate;
+module.exports.createI18n = createI18n;
@@ -0,0 +1,410 @@
+const loadConfig = require("./config.js");
+const { parseDate } = require("./dates.js");
+
+/*
+ * Importers turn other tools' CSV exports into Asana-shaped records (keyed by
+ * the Asana headers tasks.js reads), so processRecords and the templates
+ * don't need to know where the data came from. Each importer's
+ * customField() picks the other columns worth keeping as custom fields.
+ */
+
+/**
+ * All non-empty values of a column. Exports that repeat a header (Jira
+ * writes one "Labels" column per label) are parsed into arrays.
+ */
+function valuesOf(record, column) {
+  const value = record[column];
+  const values = Array.isArray(value) ? value : [value];
+  return values.map((v) => (v || "").trim()).filter(Boolean);
+}
+
+/**
+ * First non-empty value among the given columns.
+ */
+function firstOf(record, ...columns) {
+  for (const column of columns) {
+    const [value] = valuesOf(record, column);
+    if (value) return value;
+  }
+  return "";
+}
+
+/**
+ * Convert the date formats these tools export to YYYY-MM-DD: ISO
+ * ("2026-01-12", "2026-01-12T10:30:00Z"), Jira ("12/Jan/26 10:30 AM") and
+ * GitHub ("Jan 12, 2026"), read with the DATE_FORMAT and TIMEZONE
+ * `options` (see dates.js). Returns "" for anything else.
+ */
+function toIsoDate(value, options = {}) {
+  return parseDate(value, options) || "";
+}
+
+/**
+ * Map the priority scales of other tools onto High / Medium / Low. Values
+ * in the configured PRIORITIES ladder (`ladder`, its names) are kept, so
+ * a "P0, P1, P2, P3" ladder matches the export. Unknown values are kept
+ * as they are.
+ */
+function normalizePriority(value, ladder = []) {
+  const scale = {
+    highest: "High",
+    blocker: "High",
+    critical: "High",
+    urgent: "High",
+    high: "High",
+    p0: "High",
+    p1: "High",
+    major: "Medium",
+    medium: "Medium",
+    p2: "Medium",
+    minor: "Low",
+    low: "Low",
+    lowest: "Low",
+    trivial: "Low",
+    p3: "Low",
+    p4: "Low",
+  };
+  const text = (value || "").trim();
+  const key = text.toLowerCase();
+  if (ladder.some((name) => name.toLowerCase() === key)) return text;
+  return scale[key] || text;
+}
+
+/**
+ * Short, stable ID for a GitHub issue or pull request:
+ * "https://github.com/acme/app/issues/12" and "acme/app#12" become "app#12".
+ */
+function githubRef(value) {
+  const text = (value || "").trim();
+  const match =
+    /github\.com\/[^/]+\/([^/]+)\/(?:issues|pull)\/(\d+)/.exec(text) ||
+    /^(?:[^/\s]+\/)?([^/#\s]+)#(\d+)$/.exec(text);
+  return match ? `${match[1]}#${match[2]}` : text;
+}
+
+const IMPORTERS = {
+  asana: {
+    label: "Asana",
+  },
+
+  // Sprints become sections and resolved issues count as completed. The
+  // workflow status fills Status when STATUSES lists it (Jira's defaults,
+  // To Do / In Progress / Done, aren't Asana's health statuses) and is
+  // always kept as the Jira Status custom field
+  jira: {
+    label: "Jira",
+    // Parent holds the parent's Issue id in Jira Cloud exports
+    prepare: (rows) => ({
+      keyOfId: new Map(
+        rows.map((row) => [
+          firstOf(row, "Issue id"),
+          firstOf(row, "Issue key"),
+        ]),
+      ),
+    }),
+    toRecord(row, { keyOfId, date, priority, status }) {
+      const done =
+        firstOf(row, "Status Category").toLowerCase() === "done" ||
+        !!firstOf(row, "Resolved");
+      const parent = firstOf(row, "Parent", "Parent id");
+      const sprints = valuesOf(row, "Sprint");
+      return {
+        "Task ID": firstOf(row, "Issue key", "Issue id"),
+        Name: firstOf(row, "Summary"),
+        "Section/Column": sprints[sprints.length - 1] || "Backlog",
+        Assignee: firstOf(row, "Assignee"),
+        "Start Date": date(
+          firstOf(row, "Custom field (Start date)", "Start date"),
+        ),
+        "Due Date": date(firstOf(row, "Due date", "Due Date")),
+        Priority: priority(firstOf(row, "Priority")),
+        Status: status(firstOf(row, "Status")),
+        Notes: firstOf(row, "Description"),
+        "Created At": date(firstOf(row, "Created")),
+        "Completed At": done ? date(firstOf(row, "Resolved")) || "Done" : "",
+        Tags: valuesOf(row, "Labels").join(", "),
+        "Parent task":
+          keyOfId.get(parent) ||
+          parent ||
+          firstOf(row, "Custom field (Epic Link)"),
+        "Blocked By (Dependencies)": valuesOf(
+          row,
+          "Inward issue link (Blocks)",
+        ).join(", "),
+        "Blocking (Dependencies)": valuesOf(
+          row,
+          "Outward issue link (Blocks)",
+        ).join(", "),
+        "Jira Status": firstOf(row, "Status"),
+      };
+    },
+    // "Custom field (Story Points)" -> "Story Points"; Jira's own columns
+    // (reporter, watchers, ...) are left out
+    customField(column) {
+      const match = /^Custom field \((.+)\)$/.exec(column);
+      return match && !["Start date", "Epic Link"].includes(match[1])
+        ? match[1]
+        : null;
+    },
+  },
+
+  // Lists become sections; archived cards are left out
+  trello: {
+    label: "Trello",
+    skip: (row) => firstOf(row, "Archived").toLowerCase() === "true",
+    toRecord: (row, { date }) => ({
+      "Task ID": firstOf(row, "Card ID"),
+      Name: firstOf(row, "Card Name"),
+      "Section/Column": firstOf(row, "List Name"),
+      Assignee: firstOf(row, "Members"),
+      "Start Date": date(firstOf(row, "Start Date")),
+      "Due Date": date(firstOf(row, "Due Date")),
+      Notes: firstOf(row, "Card Description"),
+      "Created At": date(firstOf(row, "Created Date")),
+      // Trello exports no completion timestamp, only the due-complete flag
+      "Completed At":
+        firstOf(row, "Due Complete").toLowerCase() === "true" ? "Done" : "",
+      // "Urgent (red), Design (blue)" -> "Urgent, Design"
+      Tags: firstOf(row, "Labels")
+        .split(",")
+        .map((label) => label.replace(/\s*\([^)]*\)\s*$/, "").trim())
+        .filter(Boolean)
+        .join(", "),
+    }),
+    customField: (column) => (TRELLO_COLUMNS.includes(column) ? null : column),
+  },
+
+  // The Status field (the project board's columns) becomes the section
+  github: {
+    label: "GitHub Projects",
+    toRecord: (row, { date, priority }) => ({
+      "Task ID": githubRef(firstOf(row, "URL")),
+      Name: firstOf(row, "Title"),
+      "Section/Column": firstOf(row, "Status") || "No Status",
+      Assignee: firstOf(row, "Assignees"),
+      "Start Date": date(firstOf(row, "Start date", "Start Date")),
+      "Due Date": date(
+        firstOf(row, "Target date", "Target Date", "Due date", "End date"),
+      ),
+      Priority: priority(firstOf(row, "Priority")),
+      Tags: firstOf(row, "Labels"),
+      "Parent task": githubRef(firstOf(row, "Parent issue")),
+    }),
+    customField: (column) => (GITHUB_COLUMNS.includes(column) ? null : column),
+  },
+};
+
+// Trello and GitHub columns that are read above or not worth reporting;
+// anything else in those exports is a custom field
+const TRELLO_COLUMNS = [
+  "Card ID",
+  "Card Name",
+  "Card URL",
+  "Card #",
+  "Card Description",
+  "Short Link",
+  "List ID",
+  "List Name",
+  "Board ID",
+  "Board Name",
+  "Members",
+  "Member Initials",
+  "Member Usernames",
+  "Labels",
+  "Start Date",
+  "Due Date",
+  "Due Complete",
+  "Created Date",
+  "Last Activity Date",
+  "Archived",
+  "Checklist Items Total",
+  "Checklist Items Completed",
+  "Attachment Count",
+  "Comment Count",
+  "Vote Count",
+];
+const GITHUB_COLUMNS = [
+  "Title",
+  "URL",
+  "Repository",
+  "Status",
+  "Assignees",
+  "Labels",
+  "Priority",
+  "Start date",
+  "Start Date",
+  "Target date",
+  "Target Date",
+  "Due date",
+  "End date",
+  "Parent issue",
+  "Linked pull requests",
+  "Reviewers",
+  "Sub-issues progress",
+];
+
+/**
+ * Look up an importer by its IMPORTER config value (case-insensitive).
+ * Unknown values fall back to Asana with a warning.
+ */
+function getImporter(name) {
+  const key = (name || "asana").trim().toLowerCase();
+  if (IMPORTERS[key]) return { name: key, ...IMPORTERS[key] };
+  console.warn(
+    `Unknown IMPORTER "${name}", reading the CSV as an Asana export`,
+  );
+  return { name: "asana", ...IMPORTERS.asana };
+}
+
+/**
+ * Run an importer over raw CSV rows. Custom fields that are empty for every
+ * task are dropped, so a wide export doesn't fill the tables with blank
+ * columns. Repeated columns are joined with commas. Dates are read with
+ * `dateOptions` (DATE_FORMAT and TIMEZONE). `workflow` holds the names
+ * of the configured priorities and statuses: priorities in it are kept as
+ * they are, and only statuses in it fill Status (in the configured
+ * spelling).
+ */
+function importRecords(
+  rows,
+  importer,
+  dateOptions = {},
+  { priorities = [], statuses = [] } = {},
+) {
+  const kept = rows.filter((row) => !importer.skip?.(row));
+  const context = {
+    ...(importer.prepare ? importer.prepare(kept) : {}),
+    date: (value) => toIsoDate(value, dateOptions),
+    priority: (value) => normalizePriority(value, priorities),
+    status: (value) =>
+      statuses.find(
+        (name) => name.toLowerCase() === (value || "").trim().toLowerCase(),
+      ) || "",
+  };
+
+  const customFields = new Map();
+  kept.forEach((row) => {
+    Object.keys(row).forEach((column) => {
+      const name = importer.customField(column);
+      if (name && valuesOf(row, column).length > 0) {
+        customFields.set(column, name);
+      }
+    });
+  });
+
+  return kept.map((row) => {
+    const record = importer.toRecord(row, context);
+    customFields.forEach((name, column) => {
+      record[name] = valuesOf(row, column).join(", ");
+    });
+    return record;
+  });
+}
+
+/**
+ * Plain text from Asana's html_notes, keeping paragraphs and list items
+ * on their own lines.
+ */
+function htmlToText(html) {
+  const entities = { amp: "&", lt: "<", gt: ">", quot: '"', "#39": "'" };
+  return (html || "")
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<li[^>]*>/gi, "\n• ")
+    .replace(/<\/(p|h\d|ul|ol|blockquote|pre)>/gi, "\n")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&(amp|lt|gt|quot|#39);/g, (_m, name) => entities[name])
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+/**
+ * Display value of an Asana custom field, by type. The API's display_value
+ * is used when present; older exports only have the typed values.
+ */
+function customFieldValue(field) {
+  if (field.display_value != null) return String(field.display_value);
+  switch (field.resource_subtype || field.type) {
+    case "number":
+      return field.number_value == null ? "" : String(field.number_value);
+    case "enum":
+      return field.enum_value?.name || "";
+    case "multi_enum":
+      return (field.multi_enum_values || []).map((v) => v.name).join(", ");
+    case "date":
+      return field.date_value?.date || "";
+    case "people":
+      return (field.people_value || []).map((p) => p.name).join(", ");
+    default:
+      return field.text_value || "";
+  }
+}
+
+/**
+ * Turn an Asana JSON export (or an API response: { data: [...] }) into the
+ * same records as the CSV export. Parents and dependencies use gids, so
+ * they resolve by Task ID even when task names repeat. A task in several
+ * sections goes in the first; the others are listed in "Other Sections".
+ * Given a `projectGid`, only that project's sections are read, so a task
+ * shared with another project keeps this project's column. Projects lists
+ * every project the task is in.
+ * Timestamps are dated in the TIMEZONE given in `dateOptions`.
+ */
+function importAsanaJson(json, dateOptions = {}, projectGid = "") {
+  const tasks = Array.isArray(json) ? json : json.data || [];
+  const gids = (list) => (list || []).map((t) => t.gid).join(", ");
+  const date = (value) => toIsoDate(value, dateOptions);
+
+  return tasks.map((task) => {
+    const memberships = task.memberships || [];
+    const sections = memberships
+      .filter((m) => !projectGid || m.project?.gid === projectGid)
+      .map((m) => m.section?.name)
+      .filter(Boolean);
+    const projects = [
+      ...new Set(memberships.map((m) => m.project?.name).filter(Boolean)),
+    ];
+    const record = {
+      "Task ID": task.gid || "",
+      Name: task.name || "",
+      "Section/Column": sections[0] || "",
+      Assignee: task.assignee?.name || "",
+      "Assignee Email": task.assignee?.email || "",
+      "Start Date": task.start_on || "",
+      "Due Date": task.due_on || date(task.due_at),
+      Notes: task.notes || htmlToText(task.html_notes),
+      "Created At": date(task.created_at),
+      "Completed At": task.completed ? date(task.completed_at) || "Done" : "",
+      "Last Modified": date(task.modified_at),
+      Tags: (task.tags || []).map((t) => t.name).join(", "),
+      Projects: projects.join(", "),
+      "Parent task": task.parent?.name || "",
+      "Parent Task ID": task.parent?.gid || "",
+      "Blocked By (Dependencies)": gids(task.dependencies),
+      "Blocking (Dependencies)": gids(task.dependents),
+    };
+    if (sections.length > 1) {
+      record["Other Sections"] = sections.slice(1).join(", ");
+    }
+    // Priority and Status are custom fields in Asana too
+    (task.custom_fields || []).forEach((field) => {
+      record[field.name] = customFieldValue(field);
+    });
+    return record;
+  });
+}
+
+// The importer in use, for templates
+module.exports = function () {
+  const { name, label } = getImporter(loadConfig().importer);
+  return { name, label };
+};
+
+// Export for tasks.js and testing
+module.exports.IMPORTERS = IMPORTERS;
+module.exports.getImporter = getImporter;
+module.exports.importRecords = importRecords;
+module.exports.importAsanaJson = importAsanaJson;
+module.exports.htmlToText = htmlToText;
+module.exports.toIsoDate = toIsoDate;
+module.exports.normalizePriority = normalizePriority;
+module.exports.githubRef = githubRef;
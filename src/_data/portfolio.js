@@ -0,0 +1,133 @@
+const fs = require("fs");
+const path = require("path");
+const loadConfig = require("./config.js");
+const { loadTasks } = require("./tasks.js");
+
+/*
+ * Portfolio builds (scripts/build-portfolio.js) report on several projects
+ * at once: every CSV in data/, or the files listed in PORTFOLIO_PROJECTS.
+ * Each project is built under /<name>/ with data/<name>.config laid over
+ * the shared dashana.config, and the landing page compares them.
+ */
+
+const DATA_DIR = path.join(__dirname, "../../data");
+const PORTFOLIO_PATH = path.join(__dirname, "../../_site/portfolio.json");
+
+// data/ files that aren't projects (the working calendar's holidays)
+const SHARED_FILES = ["holidays.csv"];
+
+// Site paths a project can't use
+const RESERVED_SLUGS = ["css"];
+
+/**
+ * URL path segment for a data file: "ACME Rollout.csv" -> "acme-rollout".
+ */
+function projectSlug(fileName) {
+  return path
+    .basename(fileName, path.extname(fileName))
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+/**
+ * The portfolio's projects, in order: [{ slug, dataPath, configPath }].
+ * configPath is data/<name>.config, or null if the project has none.
+ * Throws on listed files that don't exist and on clashing paths.
+ */
+function discoverProjects(
+  config = loadConfig(),
+  // Allow override for testing (so tests never touch production data)
+  dataDir = process.env.DASHANA_DATA_DIR || DATA_DIR,
+) {
+  const listed = (config.portfolio.projects || "")
+    .split(",")
+    .map((name) => name.trim())
+    .filter(Boolean);
+  const fileNames =
+    listed.length > 0
+      ? listed
+      : fs
+          .readdirSync(dataDir)
+          .filter(
+            (name) =>
+              path.extname(name).toLowerCase() === ".csv" &&
+              !SHARED_FILES.includes(name.toLowerCase()),
+          )
+          .sort((a, b) => a.localeCompare(b));
+
+  const seen = new Map();
+  return fileNames.map((fileName) => {
+    const dataPath = path.join(dataDir, fileName);
+    if (!fs.existsSync(dataPath)) {
+      throw new Error(
+        `PORTFOLIO_PROJECTS: ${fileName} not found in ${dataDir}`,
+      );
+    }
+    const slug = projectSlug(fileName);
+    if (!slug || RESERVED_SLUGS.includes(slug)) {
+      throw new Error(`Portfolio: rename ${fileName}, "${slug}" can't be used`);
+    }
+    if (seen.has(slug)) {
+      throw new Error(
+        `Portfolio: ${seen.get(slug)} and ${fileName} would both be /${slug}/`,
+      );
+    }
+    seen.set(slug, fileName);
+
+    const configPath = path.join(
+      dataDir,
+      `${path.basename(fileName, path.extname(fileName))}.config`,
+    );
+    return {
+      slug,
+      dataPath,
+      configPath: fs.existsSync(configPath) ? configPath : null,
+    };
+  });
+}
+
+/**
+ * One project's row on the landing page: its name, completion, overdue
+ * count and date range as of `today` (null = today). `config` is the
+ * project's merged settings. A project whose export can't be read gets
+ * an `error` instead of counts.
+ */
+function summarizeProject(project, config, today = null) {
+  const summary = {
+    slug: project.slug,
+    file: path.basename(project.dataPath),
+    name: config.projectName,
+    customer: config.customerName,
+  };
+  try {
+    const { stats, projectRange } = loadTasks(project.dataPath, today, config);
+    return {
+      ...summary,
+      total: stats.total,
+      done: stats.done,
+      open: stats.total - stats.done,
+      overdue: stats.overdue,
+      completionPercent: stats.completionPercent,
+      start: projectRange.start,
+      end: projectRange.end,
+    };
+  } catch (e) {
+    return { ...summary, error: e.message };
+  }
+}
+
+// Project summaries ({ asOf, projects }) written by build-portfolio.js
+// before the landing page is built; no projects outside portfolio builds
+module.exports = function () {
+  try {
+    return JSON.parse(fs.readFileSync(PORTFOLIO_PATH, "utf-8"));
+  } catch (_e) {
+    return { asOf: null, projects: [] };
+  }
+};
+
+// Export for scripts/build-portfolio.js and testing
+module.exports.projectSlug = projectSlug;
+module.exports.discoverProjects = discoverProjects;
+module.exports.summarizeProject = summarizeProject;
@@ -1,6 +1,35 @@
 const fs = require("fs");
 const path = require("path");
 const { parse } = require("csv-parse/sync");
+const loadConfig = require("./config.js");
+const { loadCalendar } = require("./calendar.js");
+const {
+  createWorkflow,
+  loadWorkflow,
+  parsePriorities,
+  parseStatuses,
+} = require("./workflow.js");
+const {
+  parseDate,
+  toDay,
+  todayIn,
+  dayNumber,
+  fromDayNumber,
+  daysBetween,
+  weekday,
+  dateOptionsFromConfig,
+} = require("./dates.js");
+const {
+  getImporter,
+  importRecords,
+  importAsanaJson,
+} = require("./importers.js");
+const {
+  DEFAULT_LOCALE,
+  loadBundle,
+  lookup,
+  interpolate,
+} = require("./i18n.js");
 
 // Standard Asana CSV fields - anything else is a custom field
 const KNOWN_FIELDS = [
@@ -20,14 +49,99 @@ const KNOWN_FIELDS = [
   "Tags",
   "Projects",
   "Parent task",
+  "Parent Task ID",
   "Blocked By (Dependencies)",
   "Blocking (Dependencies)",
 ];
 
+// Config column mapping key -> the standard Asana header it stands in for
+const COLUMN_FIELDS = {
+  taskId: "Task ID",
+  name: "Name",
+  section: "Section/Column",
+  assignee: "Assignee",
+  assigneeEmail: "Assignee Email",
+  startDate: "Start Date",
+  dueDate: "Due Date",
+  priority: "Priority",
+  status: "Status",
+  notes: "Notes",
+  createdAt: "Created At",
+  completedAt: "Completed At",
+  lastModified: "Last Modified",
+  tags: "Tags",
+  parent: "Parent task",
+  parentId: "Parent Task ID",
+  blockedBy: "Blocked By (Dependencies)",
+  blocking: "Blocking (Dependencies)",
+};
+
+// Built-in done sections, priorities and statuses, for callers that don't
+// pass the configured workflow
+const DEFAULT_WORKFLOW = createWorkflow();
+
+// Custom field types; anything not configured is inferred from its values
+const FIELD_TYPES = ["number", "date", "enum", "text"];
+// More distinct values than this and a field is free text, not an enum
+const ENUM_MAX_VALUES = 12;
+
+// Lead and cycle time histogram buckets ([min, max] days; null = no limit)
+const FLOW_BUCKETS = [
+  [0, 0],
+  [1, 1],
+  [2, 3],
+  [4, 7],
+  [8, 14],
+  [15, 30],
+  [31, null],
+];
+
+// Weeks of throughput shown, ending with the current week
+const THROUGHPUT_WEEKS = 12;
+
+// Open tasks untouched this many days are stale (STALE_DAYS)
+const DEFAULT_STALE_DAYS = 30;
+
+// Aging WIP buckets for open tasks ([min, max] days since created)
+const AGE_BUCKETS = [
+  [0, 7],
+  [8, 14],
+  [15, 30],
+  [31, 60],
+  [61, 90],
+  [91, null],
+];
+
+// Stalest open tasks listed on the aging WIP card
+const STALE_LIST_LIMIT = 5;
+
 // CSV validation constants
 const REQUIRED_FIELDS = ["Name"];
 const RECOMMENDED_FIELDS = ["Section/Column", "Assignee", "Due Date"];
 
+// Data quality checks, in the order the Data quality page lists them.
+// Errors count towards DATA_QUALITY_MAX_ERRORS in strict mode.
+const QUALITY_CHECKS = {
+  "missing-name": { label: "Missing name", severity: "error" },
+  "duplicate-id": { label: "Duplicate Task ID", severity: "error" },
+  "invalid-date": { label: "Unreadable date", severity: "error" },
+  "due-before-start": { label: "Due before start", severity: "error" },
+  "unknown-parent": { label: "Unknown parent task", severity: "error" },
+  "unknown-dependency": { label: "Unknown dependency", severity: "error" },
+  "missing-column": { label: "Missing column", severity: "warning" },
+  "no-assignee": { label: "Open task without assignee", severity: "warning" },
+  "no-dates": { label: "Open task without dates", severity: "warning" },
+};
+
+// Date columns checked for values that can't be read
+const DATE_FIELDS = [
+  "Start Date",
+  "Due Date",
+  "Created At",
+  "Completed At",
+  "Last Modified",
+];
+
 /**
  * Validate CSV records and log warnings for missing/invalid data.
  * Returns array of warnings (non-blocking).
@@ -58,65 +172,504 @@ function validateRecords(records) {
     console.warn("CSV validation warnings:");
     warnings.slice(0, 10).forEach((w) => console.warn(`  ${w}`));
     if (warnings.length > 10) {
-      console.warn(`  ... and ${warnings.length - 10} more warnings`);
+      console.warn(
+        `  ... and ${warnings.length - 10} more warnings (all problems are listed on the /quality/ page)`,
+      );
     }
   }
 
   return warnings;
 }
 
-module.exports = function () {
-  // Allow override for testing (so tests never touch production CSV)
-  const csvPath =
-    process.env.DASHANA_CSV_PATH ||
-    path.join(__dirname, "../../data/project.csv");
+/**
+ * Find problems in an export for the Data quality page. `tasks` must still
+ * be in record order; `links` carries what resolveParents and
+ * linkDependencies could not resolve; dates are read with `dateOptions`.
+ * Returns the issues ({ check, severity, row, task, key, message,
+ * messageKey, params }), error and warning counts, and a per-check
+ * summary. The page translates messageKey with params; message is the
+ * English text for build logs.
+ */
+function checkDataQuality(records, tasks, links, dateOptions = {}) {
+  const { parentIndex, unresolvedParents, unresolvedDependencies } = links;
+  const english = loadBundle(DEFAULT_LOCALE);
+  const issues = [];
+  const add = (check, index, name, params = {}) => {
+    const task = index === null ? null : tasks[index];
+    const messageKey = `quality.messages.${name}`;
+    issues.push({
+      check,
+      severity: QUALITY_CHECKS[check].severity,
+      // Spreadsheet row: the header is row 1
+      row: index === null ? null : index + 2,
+      task: task ? task.name || "" : null,
+      key: task ? task.key : null,
+      message: interpolate(lookup(english, messageKey), params),
+      messageKey,
+      params,
+    });
+  };
 
-  try {
-    const content = fs.readFileSync(csvPath, "utf-8");
-    const records = parse(content, {
+  if (records.length > 0) {
+    const fields = Object.keys(records[0]);
+    RECOMMENDED_FIELDS.filter((field) => !fields.includes(field)).forEach(
+      (field) => {
+        add("missing-column", null, "missingColumn", { field });
+      },
+    );
+  }
+
+  const firstRowOfId = new Map();
+  records.forEach((record, index) => {
+    const task = tasks[index];
+
+    if (!record.Name?.trim()) {
+      add("missing-name", index, "missingName");
+    }
+
+    const id = (record["Task ID"] || "").trim();
+    if (id && firstRowOfId.has(id)) {
+      add("duplicate-id", index, "duplicateId", {
+        id,
+        row: firstRowOfId.get(id) + 2,
+      });
+    } else if (id) {
+      firstRowOfId.set(id, index);
+    }
+
+    // Importers write "Done" when a task is complete without a date
+    DATE_FIELDS.forEach((field) => {
+      const value = (record[field] || "").trim();
+      if (!value || (field === "Completed At" && value === "Done")) return;
+      if (!parseDate(value, dateOptions)) {
+        add("invalid-date", index, "invalidDate", { field, value });
+      }
+    });
+
+    const start = parseDate(record["Start Date"], dateOptions);
+    const due = parseDate(record["Due Date"], dateOptions);
+    if (start && due && due < start) {
+      add("due-before-start", index, "dueBeforeStart", { due, start });
+    }
+
+    const parentRef = record["Parent Task ID"] || record["Parent task"];
+    if (parentRef && parentIndex[index] === -1) {
+      const missing = unresolvedParents.some(
+        (u) => u.task === record.Name && u.ref === parentRef,
+      );
+      add(
+        "unknown-parent",
+        index,
+        missing ? "unknownParent" : "circularParent",
+        { ref: parentRef },
+      );
+    }
+
+    if (!task.isDone) {
+      if (!record.Assignee) {
+        add("no-assignee", index, "noAssignee");
+      }
+      if (!record["Start Date"] && !record["Due Date"]) {
+        add("no-dates", index, "noDates");
+      }
+    }
+  });
+
+  // Dependency problems are reported on the task whose cell holds them
+  unresolvedDependencies.forEach(({ key, ref }) => {
+    const index = tasks.findIndex((t) => t.key === key);
+    add(
+      "unknown-dependency",
+      index === -1 ? null : index,
+      "unknownDependency",
+      {
+        ref,
+      },
+    );
+  });
+
+  // In check order (errors first), then by row
+  const checkNames = Object.keys(QUALITY_CHECKS);
+  issues.sort(
+    (a, b) =>
+      checkNames.indexOf(a.check) - checkNames.indexOf(b.check) ||
+      (a.row || 0) - (b.row || 0),
+  );
+
+  return {
+    issues,
+    errors: issues.filter((i) => i.severity === "error").length,
+    warnings: issues.filter((i) => i.severity === "warning").length,
+    checks: checkNames.map((check) => ({
+      check,
+      ...QUALITY_CHECKS[check],
+      count: issues.filter((i) => i.check === check).length,
+    })),
+  };
+}
+
+/**
+ * In strict mode (DATA_QUALITY_STRICT), fail the build when the export has
+ * more errors than DATA_QUALITY_MAX_ERRORS.
+ */
+function enforceDataQuality(dataQuality, config = loadConfig()) {
+  const { strict, maxErrors } = config.dataQuality;
+  if (!strict || dataQuality.errors <= maxErrors) return;
+
+  const listed = dataQuality.issues
+    .filter((issue) => issue.severity === "error")
+    .slice(0, 10)
+    .map(
+      (issue) =>
+        `  ${issue.row ? `Row ${issue.row}: ` : ""}${issue.message}${issue.task ? ` (${issue.task})` : ""}`,
+    );
+  const more =
+    dataQuality.errors > listed.length
+      ? [`  ... and ${dataQuality.errors - listed.length} more`]
+      : [];
+  const error = new Error(
+    [
+      `Data quality check failed: ${dataQuality.errors} error(s), at most ${maxErrors} allowed (DATA_QUALITY_MAX_ERRORS)`,
+      ...listed,
+      ...more,
+    ].join("\n"),
+  );
+  error.code = "DATA_QUALITY";
+  throw error;
+}
+
+/**
+ * Build the header mapping from the COLUMN_* settings in dashana.config,
+ * as { "Due Date": "Fälligkeitsdatum", ... }. Unset fields are left out.
+ */
+function columnMapFromConfig(config = loadConfig()) {
+  const columns = config.columns || {};
+  return Object.fromEntries(
+    Object.entries(COLUMN_FIELDS)
+      .filter(([key]) => columns[key])
+      .map(([key, header]) => [header, columns[key]]),
+  );
+}
+
+/**
+ * Rename mapped CSV headers to the standard Asana names the rest of the
+ * pipeline reads. A standard column that a mapping replaces is dropped, so
+ * it doesn't turn up as a custom field. Warns about mapped columns the CSV
+ * doesn't have.
+ */
+function mapHeader(header, columnMap) {
+  const fieldOfColumn = new Map();
+  Object.entries(columnMap).forEach(([field, column]) => {
+    if (header.includes(column)) {
+      fieldOfColumn.set(column, field);
+    } else {
+      console.warn(
+        `Column mapping: CSV has no column "${column}" (mapped to "${field}")`,
+      );
+    }
+  });
+
+  return header.map((column) => {
+    if (fieldOfColumn.has(column)) return fieldOfColumn.get(column);
+    // csv-parse skips columns named null
+    if (columnMap[column] && fieldOfColumn.has(columnMap[column])) return null;
+    return column;
+  });
+}
+
+/**
+ * The project data file: data/project.csv, or data/project.json when only
+ * the Asana JSON export is there. With DATA_FILES set, the list of those
+ * files in data/, to be merged into one project (see mergeRecords).
+ */
+function resolveDataPath(
+  // Allow override for testing (so tests never touch production data)
+  dataDir = process.env.DASHANA_DATA_DIR || path.join(__dirname, "../../data"),
+  config = loadConfig(),
+) {
+  const dataFiles = parseList(config.dataFiles);
+  if (dataFiles.length > 0) {
+    return dataFiles.map((fileName) => path.join(dataDir, fileName));
+  }
+
+  const csvPath = path.join(dataDir, "project.csv");
+  const jsonPath = path.join(dataDir, "project.json");
+  return !fs.existsSync(csvPath) && fs.existsSync(jsonPath)
+    ? jsonPath
+    : csvPath;
+}
+
+/**
+ * Read and parse an export into record objects keyed by Asana CSV header.
+ * .json files are Asana JSON exports. Asana CSVs get the column mapping
+ * from dashana.config; other tools' exports go through the importer chosen
+ * with IMPORTER. A list of paths is read file by file and merged.
+ * Throws on missing file or malformed data (callers decide how to recover).
+ */
+function loadRecords(csvPath, config = loadConfig()) {
+  if (Array.isArray(csvPath)) {
+    return mergeRecords(
+      csvPath.map((filePath) => loadRecords(filePath, config)),
+      dateOptionsFromConfig(config),
+    );
+  }
+
+  const content = fs.readFileSync(csvPath, "utf-8");
+  const dateOptions = dateOptionsFromConfig(config);
+  if (path.extname(csvPath).toLowerCase() === ".json") {
+    return importAsanaJson(
+      JSON.parse(content),
+      dateOptions,
+      config.asana.project,
+    );
+  }
+
+  const importer = getImporter(config.importer);
+
+  if (importer.name !== "asana") {
+    const rows = parse(content, {
       columns: true,
+      group_columns_by_name: true,
       skip_empty_lines: true,
       bom: true,
     });
+    const names = (entries) => entries.map((entry) => entry.name);
+    return importRecords(rows, importer, dateOptions, {
+      priorities: names(parsePriorities(config.workflow?.priorities)),
+      statuses: names(parseStatuses(config.workflow?.statuses)),
+    });
+  }
+
+  const columnMap = columnMapFromConfig(config);
+  return parse(content, {
+    columns: (header) => mapHeader(header, columnMap),
+    skip_empty_lines: true,
+    bom: true,
+  });
+}
+
+/**
+ * Merge the records of several exports of one project, in export order.
+ * A task in more than one export (same Task ID) keeps the copy with the
+ * latest Last Modified date (a dated copy beats an undated one; the later
+ * export's wins a tie or when neither has a date) and lists the Projects
+ * of every copy. Tasks without a Task ID, and repeats within one export,
+ * are kept as they are.
+ */
+function mergeRecords(recordLists, dateOptions = {}) {
+  const merged = [];
+  const indexById = new Map();
+  recordLists.forEach((records) => {
+    // Tasks first seen in this export, matched only by later exports
+    const added = new Map();
+    records.forEach((record) => {
+      const id = (record["Task ID"] || "").trim();
+      if (id && indexById.has(id)) {
+        const index = indexById.get(id);
+        merged[index] = mergeRecord(merged[index], record, dateOptions);
+        return;
+      }
+      if (id && !added.has(id)) added.set(id, merged.length);
+      merged.push(record);
+    });
+    added.forEach((index, id) => {
+      indexById.set(id, index);
+    });
+  });
+  return merged;
+}
+
+// The newer of two copies of a task, in the projects of both
+function mergeRecord(current, incoming, dateOptions) {
+  const currentDay = parseDate(current["Last Modified"], dateOptions);
+  const incomingDay = parseDate(incoming["Last Modified"], dateOptions);
+  // A dated copy beats an undated one; export order settles the rest
+  const newer =
+    currentDay && (!incomingDay || currentDay > incomingDay)
+      ? current
+      : incoming;
+  const projects = [
+    ...new Set([current, incoming].flatMap((r) => parseList(r.Projects))),
+  ];
+  return projects.length > 0
+    ? { ...newer, Projects: projects.join(", ") }
+    : newer;
+}
+
+/**
+ * Read an as-of date with dates.js: YYYY-MM-DD, or null if invalid.
+ */
+function parseAsOfDate(value) {
+  return parseDate(value, { format: "ISO" });
+}
+
+/**
+ * Resolve the date overdue, days-until-due and duration are evaluated
+ * against. DASHANA_AS_OF wins, then the snapshot date of a versioned
+ * build (DASHANA_VERSION). Returns null to mean "today".
+ */
+function resolveAsOfDate(env = process.env) {
+  const value = env.DASHANA_AS_OF || env.DASHANA_VERSION;
+  if (!value) return null;
+
+  const date = parseAsOfDate(value);
+  if (!date) {
+    console.warn(`Ignoring invalid as-of date "${value}", using today`);
+  }
+  return date;
+}
+
+/**
+ * Tasks data with no tasks, for builds without a readable export.
+ */
+function emptyTasksData() {
+  return {
+    all: [],
+    sections: {},
+    sectionNames: [],
+    stats: {
+      total: 0,
+      done: 0,
+      open: 0,
+      overdue: 0,
+      blocked: 0,
+      stale: 0,
+      completionPercent: 0,
+      bySection: {},
+      byStatus: {},
+      byPriority: {},
+      byAssignee: {},
+      byProject: {},
+    },
+    timeline: [],
+    gantt: { rows: [], months: [], weeks: [], nonWorking: [], today: null },
+    dependencyGraph: { nodes: [], edges: [], width: 0, height: 0 },
+    unresolvedDependencies: [],
+    criticalPath: { tasks: [], end: null, slipDays: 0 },
+    filterFacets: [],
+    searchIndex: [],
+    projectRange: { start: null, end: null, days: 0 },
+    customFieldNames: [],
+    customFieldTypes: {},
+    customFieldStats: { numbers: [], enums: [] },
+    flowMetrics: { leadTime: null, cycleTime: null, throughput: null },
+    agingWip: {
+      buckets: [],
+      noCreatedDate: 0,
+      stalest: [],
+      staleAfterDays: 0,
+    },
+    dataQuality: { issues: [], errors: 0, warnings: 0, checks: [] },
+  };
+}
 
-    return processRecords(records);
+// Processed tasks data by export, as-of day and settings
+const loadedTasks = new Map();
+
+/**
+ * loadRecords and processRecords for `csvPath` as of `today` (null =
+ * today in the project timezone), memoised so the data files of one
+ * build share a single parse of the export. The key includes each file's
+ * modification time, so `eleventy --serve` picks up a new export. The
+ * result is shared: read it, don't change it.
+ */
+function loadTasks(csvPath, today = null, config = loadConfig()) {
+  const day = today
+    ? toDay(today)
+    : todayIn(dateOptionsFromConfig(config).timeZone);
+  const modified = [].concat(csvPath).map((p) => fs.statSync(p).mtimeMs);
+  const key = JSON.stringify([csvPath, modified, day, config]);
+  if (!loadedTasks.has(key)) {
+    loadedTasks.set(
+      key,
+      processRecords(
+        loadRecords(csvPath, config),
+        day,
+        processOptionsFromConfig(config),
+      ),
+    );
+  }
+  return loadedTasks.get(key);
+}
+
+module.exports = function () {
+  // The portfolio landing page (scripts/build-portfolio.js) shows no
+  // single project's tasks
+  if (process.env.DASHANA_PORTFOLIO) return emptyTasksData();
+
+  // Allow override for testing (so tests never touch production CSV)
+  const csvPath = process.env.DASHANA_CSV_PATH || resolveDataPath();
+
+  // Historical snapshots are evaluated as of their own date, not build date
+  const asOfDate = resolveAsOfDate();
+
+  try {
+    const config = loadConfig();
+    const result = loadTasks(csvPath, asOfDate, config);
+    enforceDataQuality(result.dataQuality, config);
+    return { ...result, asOf: asOfDate };
   } catch (e) {
+    // Strict mode stops the build instead of falling back to empty data
+    if (e.code === "DATA_QUALITY") throw e;
     console.warn("CSV load error:", e.message);
     return {
-      all: [],
-      sections: {},
-      sectionNames: [],
-      stats: {
-        total: 0,
-        done: 0,
-        open: 0,
-        overdue: 0,
-        completionPercent: 0,
-        bySection: {},
-        byStatus: {},
-        byPriority: {},
-        byAssignee: {},
-      },
-      timeline: [],
-      projectRange: { start: null, end: null, days: 0 },
-      customFieldNames: [],
+      ...emptyTasksData(),
+      asOf: asOfDate,
       error: {
         message: e.message,
         type: e.code === "ENOENT" ? "CSV_NOT_FOUND" : "CSV_PARSE_ERROR",
         hint:
           e.code === "ENOENT"
-            ? "Ensure data/project.csv exists"
-            : "Check CSV format matches Asana export",
+            ? "Ensure data/project.csv (or data/project.json) exists"
+            : [].concat(csvPath).some((p) => p.endsWith(".json"))
+              ? "Check the file is an Asana JSON export"
+              : `Check CSV format matches ${getImporter(loadConfig().importer).label} export`,
       },
     };
   }
 };
 
-function processRecords(records, today = null) {
+/**
+ * processRecords options for the settings in dashana.config.
+ */
+function processOptionsFromConfig(config = loadConfig()) {
+  return {
+    fieldTypes: parseFieldTypes(config.customFieldTypes),
+    calendar: loadCalendar(config),
+    workflow: loadWorkflow(config),
+    staleAfterDays: config.staleDays,
+    dates: dateOptionsFromConfig(config),
+  };
+}
+
+/**
+ * Turn records into the tasks data the templates use. Options:
+ * - fieldTypes: custom field types ({ name: "number" | "date" | "enum" |
+ *   "text" }); fields not listed are typed from their values
+ * - calendar: working calendar (calendar.js) to count durations and days
+ *   until due in working days; calendar days if null
+ * - workflow: done sections and statuses, priority ladder and status
+ *   severities (workflow.js); the built-in English ones if not given
+ * - staleAfterDays: open tasks not modified for this many days are stale;
+ *   0 turns staleness off
+ * - dates: { format, timeZone } to read the export's dates with (dates.js)
+ * `today` is a YYYY-MM-DD day or a Date (read by its UTC day, like
+ * toDay); by default, today in the project timezone.
+ */
+function processRecords(records, today = null, options = {}) {
+  const {
+    fieldTypes = {},
+    calendar = null,
+    workflow = DEFAULT_WORKFLOW,
+    staleAfterDays = DEFAULT_STALE_DAYS,
+    dates = {},
+  } = options;
   if (!today) {
-    today = new Date();
+    today = todayIn(dates.timeZone);
+  } else if (today instanceof Date) {
+    today = toDay(today);
   }
-  today.setHours(0, 0, 0, 0);
+  const parse = (value) => parseDate(value, dates);
 
   // Validate records and log warnings (non-blocking)
   validateRecords(records);
@@ -133,18 +686,25 @@ function processRecords(records, today = null) {
         ]
       : [];
 
-  // Build a map of task names to their sections (for subtask inheritance)
-  // First occurrence wins - warn about duplicates that may cause incorrect inheritance
-  const taskSectionMap = {};
+  const customFieldTypes = Object.fromEntries(
+    customFieldNames.map((name) => [
+      name,
+      fieldTypes[name] ||
+        inferFieldType(
+          records.map((r) => r[name]),
+          dates,
+        ),
+    ]),
+  );
+
+  // Duplicate names can only be told apart by Task ID - warn in case a
+  // subtask refers to one of them by name
+  const seenNames = new Set();
   const duplicateNames = new Set();
   records.forEach((record) => {
-    if (record.Name && record["Section/Column"]) {
-      if (taskSectionMap[record.Name] !== undefined) {
-        duplicateNames.add(record.Name);
-      } else {
-        taskSectionMap[record.Name] = record["Section/Column"];
-      }
-    }
+    if (!record.Name) return;
+    if (seenNames.has(record.Name)) duplicateNames.add(record.Name);
+    seenNames.add(record.Name);
   });
 
   if (duplicateNames.size > 0) {
@@ -152,22 +712,31 @@ function processRecords(records, today = null) {
     const more =
       duplicateNames.size > 5 ? ` (and ${duplicateNames.size - 5} more)` : "";
     console.warn(
-      `CSV contains ${duplicateNames.size} duplicate task name(s). Subtask section inheritance may be incorrect for: ${names}${more}`,
+      `CSV contains ${duplicateNames.size} duplicate task name(s). Subtasks that reference a parent by name rather than Task ID may be attached to the wrong one: ${names}${more}`,
     );
   }
 
+  // Parent of each record (index into records, -1 for top-level tasks)
+  const { parentIndex, unresolved: unresolvedParents } =
+    resolveParents(records);
+
+  // Subtasks without a section inherit the nearest ancestor's section
+  const recordSections = [];
+  const sectionOfRecord = (index) => {
+    if (recordSections[index] === undefined) {
+      const parent = parentIndex[index];
+      recordSections[index] =
+        records[index]["Section/Column"] ||
+        (parent !== -1 ? sectionOfRecord(parent) : "Uncategorized");
+    }
+    return recordSections[index];
+  };
+
   // Extract unique section names in order of first appearance
   // Subtasks inherit parent's section, skip "Uncategorized" if it only contains subtasks
   const sectionNamesSet = new Set();
-  records.forEach((record) => {
-    let section = record["Section/Column"];
-    // If no section but has parent task, inherit parent's section
-    if (!section && record["Parent task"]) {
-      section = taskSectionMap[record["Parent task"]] || "Uncategorized";
-    } else if (!section) {
-      section = "Uncategorized";
-    }
-    sectionNamesSet.add(section);
+  records.forEach((_record, index) => {
+    sectionNamesSet.add(sectionOfRecord(index));
   });
   const sectionNames = Array.from(sectionNamesSet);
 
@@ -177,77 +746,141 @@ function processRecords(records, today = null) {
     sectionOrderMap[name] = index + 1;
   });
 
-  const tasks = records.map((record) => {
-    // Subtasks inherit parent's section if they don't have one
-    let section = record["Section/Column"];
-    if (!section && record["Parent task"]) {
-      section = taskSectionMap[record["Parent task"]] || "Uncategorized";
-    } else if (!section) {
-      section = "Uncategorized";
-    }
+  // Stable key per task for the tree views, anchors and /task/<key>/ pages;
+  // the Task ID (made URL-safe) unless missing or reused
+  const usedKeys = new Set();
+  const keyOfRecord = (record, index) => {
+    const id = (record["Task ID"] || "").trim().replace(/[^\w.-]+/g, "-");
+    const key = id && !usedKeys.has(id) ? id : `row-${index + 1}`;
+    usedKeys.add(key);
+    return key;
+  };
+
+  const tasks = records.map((record, index) => {
+    const section = sectionOfRecord(index);
+    const parent = parentIndex[index];
+    // Configured priorities and statuses take their configured spelling
+    const priority = workflow.priority(record.Priority);
+    const status = workflow.status(record.Status);
+    const isDone =
+      workflow.isDoneSection(section) ||
+      workflow.isDoneStatus(record.Status) ||
+      !!record["Completed At"];
+    const startDate = parse(record["Start Date"]);
+    const dueDate = parse(record["Due Date"]);
+    const createdAt = parse(record["Created At"]);
+    const lastModified = parse(record["Last Modified"]);
+    const staleDays = daysSince(lastModified || createdAt, today);
 
-    // Extract custom field values for this record
+    // Extract custom field values for this record; dates as YYYY-MM-DD
+    // so they sort and display like the standard date columns
     const customFields =
       customFieldNames.length > 0
         ? Object.fromEntries(
-            customFieldNames.map((name) => [name, record[name] || null]),
+            customFieldNames.map((name) => {
+              const value = record[name] || null;
+              return [
+                name,
+                value && customFieldTypes[name] === "date"
+                  ? parse(value) || value
+                  : value,
+              ];
+            }),
           )
         : null;
 
     return {
       id: record["Task ID"],
+      key: keyOfRecord(record, index),
       name: record.Name,
       section: section,
       assignee: record.Assignee || "Unassigned",
       assigneeEmail: record["Assignee Email"] || "",
-      startDate: record["Start Date"] || null,
-      dueDate: record["Due Date"] || null,
-      priority: record.Priority || null,
-      status: record.Status || null,
+      // Dates as YYYY-MM-DD; null when missing or not a date
+      startDate,
+      dueDate,
+      createdAt,
+      // Some importers only flag completion ("Done") without a date
+      completedAt: parse(record["Completed At"]),
+      lastModified,
+      priority: priority ? priority.name : record.Priority || null,
+      priorityColor: priority ? priority.color : null,
+      status: status ? status.name : record.Status || null,
+      statusSeverity: status ? status.severity : null,
+      statusIcon: status ? status.icon : null,
       notes: record.Notes || "",
-      tags: record.Tags
-        ? record.Tags.split(",")
-            .map((t) => t.trim())
-            .filter(Boolean)
-        : [],
-      parentTask: record["Parent task"] || null,
-      isSubtask: !!record["Parent task"],
+      tags: parseList(record.Tags),
+      // Asana projects the task belongs to (merged exports list them all)
+      projects: parseList(record.Projects),
+      // Resolved parent's name, or the raw reference if it matched no task
+      parentTask:
+        parent !== -1
+          ? records[parent].Name
+          : record["Parent task"] || record["Parent Task ID"] || null,
+      isSubtask: parent !== -1,
       customFields: customFields,
       // Computed
-      isOverdue: isOverdue(record["Due Date"], section, today),
-      isDone: isDoneSection(section) || !!record["Completed At"],
-      daysUntilDue: daysUntil(record["Due Date"], today),
-      priorityOrder: priorityOrder(record.Priority),
+      isOverdue: !isDone && isOverdue(dueDate, section, today, workflow),
+      isDone,
+      daysUntilDue: daysUntil(dueDate, today, calendar),
+      // Calendar days since created and since last touched (or created)
+      ageDays: daysSince(createdAt, today),
+      staleDays,
+      isStale:
+        !isDone &&
+        staleAfterDays > 0 &&
+        staleDays !== null &&
+        staleDays >= staleAfterDays,
+      priorityOrder: workflow.priorityOrder(record.Priority),
       sectionOrder: sectionOrderMap[section] || 999,
     };
   });
 
-  // Sort by section order, then priority, with subtasks grouped after their parent
-  // First, build a map of parent task names to their index for grouping
-  const parentTasks = tasks.filter((t) => !t.isSubtask);
-  const subtasksByParent = {};
-  tasks.forEach((t) => {
-    if (t.isSubtask && t.parentTask) {
-      if (!subtasksByParent[t.parentTask]) {
-        subtasksByParent[t.parentTask] = [];
-      }
-      subtasksByParent[t.parentTask].push(t);
-    }
+  // Resolve Blocked By / Blocking columns into task-to-task links
+  // (records and tasks still share the same order at this point)
+  const dependencyLinks = linkDependencies(tasks, records);
+  const dataQuality = checkDataQuality(
+    records,
+    tasks,
+    {
+      parentIndex,
+      unresolvedParents,
+      unresolvedDependencies: dependencyLinks.unresolved,
+    },
+    dates,
+  );
+
+  // Link the hierarchy (children keep export order)
+  tasks.forEach((task) => {
+    task.children = [];
+  });
+  tasks.forEach((task, index) => {
+    const parent = parentIndex[index] !== -1 ? tasks[parentIndex[index]] : null;
+    task.parentKey = parent ? parent.key : null;
+    task.parentInSameSection = !!parent && parent.section === task.section;
+    if (parent) parent.children.push(task);
   });
 
-  // Sort parent tasks by section order, then priority
-  parentTasks.sort((a, b) => {
+  // Sort top-level tasks by section order, then priority, and place each
+  // task's subtasks (at any depth) directly after it
+  const rootTasks = tasks.filter((t) => !t.isSubtask);
+  rootTasks.sort((a, b) => {
     if (a.sectionOrder !== b.sectionOrder)
       return a.sectionOrder - b.sectionOrder;
     return a.priorityOrder - b.priorityOrder;
   });
 
-  // Rebuild tasks array with subtasks immediately after their parent
   const sortedTasks = [];
-  parentTasks.forEach((parent) => {
-    sortedTasks.push(parent);
-    const subtasks = subtasksByParent[parent.name] || [];
-    subtasks.forEach((subtask) => sortedTasks.push(subtask));
+  const addWithSubtasks = (task, ancestorKeys) => {
+    task.depth = ancestorKeys.length;
+    task.ancestorKeys = ancestorKeys;
+    sortedTasks.push(task);
+    task.children.forEach((child) => {
+      addWithSubtasks(child, [...ancestorKeys, task.key]);
+    });
+  };
+  rootTasks.forEach((task) => {
+    addWithSubtasks(task, []);
   });
 
   // Replace tasks array with sorted version
@@ -265,110 +898,61 @@ function processRecords(records, today = null) {
     }
   });
 
-  // Build lookup maps for O(1) access - avoids O(n²) filtering
-  // Map: section -> Set of task names in that section
-  const taskNamesBySection = {};
-  // Map: section -> parentName -> subtasks array
-  const subtasksByParentInSection = {};
-  // Map: parentName -> all subtasks (regardless of section)
-  const allSubtasksByParent = {};
-
-  sectionNames.forEach((name) => {
-    taskNamesBySection[name] = new Set();
-    subtasksByParentInSection[name] = {};
-  });
-
-  // Single pass to build all lookup data - O(n)
-  tasks.forEach((task) => {
-    const section = task.section;
-    if (taskNamesBySection[section]) {
-      taskNamesBySection[section].add(task.name);
-    }
-    if (task.isSubtask && task.parentTask) {
-      // Track subtasks by section for board grouping
-      if (subtasksByParentInSection[section]) {
-        if (!subtasksByParentInSection[section][task.parentTask]) {
-          subtasksByParentInSection[section][task.parentTask] = [];
-        }
-        subtasksByParentInSection[section][task.parentTask].push(task);
-      }
-      // Track all subtasks for total count
-      if (!allSubtasksByParent[task.parentTask]) {
-        allSubtasksByParent[task.parentTask] = [];
-      }
-      allSubtasksByParent[task.parentTask].push(task);
-    }
-  });
-
-  // Mark subtasks and parent relationships - O(n) with O(1) lookups
+  // Board grouping: subtasks in the same column nest under their parent
   tasks.forEach((task) => {
-    const section = task.section;
-    // Check if this is a subtask with parent in same section
-    task.parentInSameSection =
-      task.isSubtask &&
-      task.parentTask &&
-      taskNamesBySection[section]?.has(task.parentTask);
-
-    // For parent tasks, collect their subtasks that are in same section
-    if (!task.isSubtask) {
-      task.subtasksInSection =
-        subtasksByParentInSection[section]?.[task.name] || [];
-      task.hasSubtasksInSection = task.subtasksInSection.length > 0;
-      // Track total subtask count for indicator display
-      const allSubtasks = allSubtasksByParent[task.name] || [];
-      task.totalSubtaskCount = allSubtasks.length;
-      task.subtasksElsewhereCount =
-        task.totalSubtaskCount - task.subtasksInSection.length;
-    }
+    task.subtasksInSection = task.children.filter(
+      (child) => child.section === task.section,
+    );
+    task.hasSubtasksInSection = task.subtasksInSection.length > 0;
+    // Track total subtask count for indicator display
+    task.totalSubtaskCount = task.children.length;
+    task.subtasksElsewhereCount =
+      task.totalSubtaskCount - task.subtasksInSection.length;
   });
 
   // Calculate stats
-  const stats = calculateStats(tasks, sections, sectionNames);
+  const stats = calculateStats(tasks, sections, sectionNames, workflow);
+  const customFieldStats = aggregateCustomFields(
+    tasks,
+    customFieldTypes,
+    sectionNames,
+  );
 
-  // Calculate project date range for timeline
-  // Helper to validate date objects (invalid dates have NaN time value)
-  const isValidDate = (d) => d instanceof Date && !Number.isNaN(d.getTime());
+  // Facets for the client-side filter bar
+  const filterFacets = buildFilterFacets(
+    tasks,
+    sectionNames,
+    customFieldNames,
+    workflow,
+  );
+  const searchIndex = buildSearchIndex(tasks, customFieldNames);
 
-  const tasksWithDates = tasks.filter((t) => t.startDate || t.dueDate);
+  // Calculate project date range for timeline (YYYY-MM-DD days)
   let projectStart = null;
   let projectEnd = null;
 
-  tasksWithDates.forEach((t) => {
-    const start = t.startDate ? new Date(t.startDate) : null;
-    const end = t.dueDate ? new Date(t.dueDate) : null;
-
-    // Only use valid dates for range calculation
-    if (isValidDate(start) && (!projectStart || start < projectStart))
-      projectStart = start;
-    if (isValidDate(end) && (!projectEnd || end > projectEnd)) projectEnd = end;
+  tasks.forEach((t) => {
+    const start = t.startDate;
+    const end = t.dueDate;
+    if (start && (!projectStart || start < projectStart)) projectStart = start;
+    if (end && (!projectEnd || end > projectEnd)) projectEnd = end;
     // Also consider start dates for project end if no due date
-    if (isValidDate(start) && (!projectEnd || start > projectEnd))
-      projectEnd = start;
+    if (start && (!projectEnd || start > projectEnd)) projectEnd = start;
   });
 
   const projectSpan =
     projectStart && projectEnd
-      ? Math.max(
-          1,
-          Math.ceil((projectEnd - projectStart) / (1000 * 60 * 60 * 24)) + 1,
-        )
+      ? Math.max(1, daysBetween(projectStart, projectEnd) + 1)
       : 30; // default 30 days
 
   // Add timeline position to each task
   tasks.forEach((task) => {
     if (task.startDate || task.dueDate) {
-      const start = task.startDate
-        ? new Date(task.startDate)
-        : new Date(task.dueDate);
-      const end = task.dueDate ? new Date(task.dueDate) : start;
-
-      const startOffset = projectStart
-        ? Math.ceil((start - projectStart) / (1000 * 60 * 60 * 24))
-        : 0;
-      const duration = Math.max(
-        1,
-        Math.ceil((end - start) / (1000 * 60 * 60 * 24)) + 1,
-      );
+      const start = task.startDate || task.dueDate;
+      const end = task.dueDate || start;
+
+      const startOffset = projectStart ? daysBetween(projectStart, start) : 0;
+      const duration = Math.max(1, daysBetween(start, end) + 1);
 
       const startPercent = Math.max(
         0,
@@ -386,9 +970,29 @@ function processRecords(records, today = null) {
     }
 
     // Calculate duration info for timeline display
-    task.duration = calculateDuration(task.startDate, task.dueDate, today);
+    task.duration = calculateDuration(
+      task.startDate,
+      task.dueDate,
+      today,
+      calendar,
+    );
+
+    // Days from creation (lead time) and from start (cycle time) to done
+    task.leadTimeDays = daysToComplete(
+      task.createdAt,
+      task.completedAt,
+      calendar,
+    );
+    task.cycleTimeDays = daysToComplete(
+      task.startDate,
+      task.completedAt,
+      calendar,
+    );
   });
 
+  const flowMetrics = buildFlowMetrics(tasks, today, sectionNames);
+  const agingWip = buildAgingWip(tasks, staleAfterDays);
+
   // Sort for timeline view - pure chronological order by date
   const timelineTasks = [...tasks].sort((a, b) => {
     const aDate = a.startDate || a.dueDate;
@@ -397,41 +1001,554 @@ function processRecords(records, today = null) {
     if (!aDate && !bDate) return 0;
     if (!aDate) return 1;
     if (!bDate) return -1;
-    return new Date(aDate) - new Date(bDate);
+    return aDate.localeCompare(bDate);
   });
 
+  // Gantt rows and date axis share the same scale as task.timeline
+  const gantt = buildGantt(tasks, projectStart, projectSpan, today, calendar);
+
+  // Static layout for the dependency graph view
+  const dependencyGraph = buildDependencyGraph(tasks);
+
+  // Critical path finish compared with the latest planned date
+  const criticalPath = computeCriticalPath(tasks, dependencyLinks.links);
+  criticalPath.slipDays =
+    criticalPath.end && projectEnd
+      ? daysBetween(projectEnd, criticalPath.end)
+      : 0;
+
   return {
     all: tasks,
     sections,
     sectionNames,
     stats,
     timeline: timelineTasks,
+    gantt,
+    dependencyGraph,
+    unresolvedDependencies: dependencyLinks.unresolved,
+    criticalPath,
+    filterFacets,
+    searchIndex,
     projectRange: {
-      start: projectStart ? projectStart.toISOString().split("T")[0] : null,
-      end: projectEnd ? projectEnd.toISOString().split("T")[0] : null,
+      start: projectStart,
+      end: projectEnd,
       days: projectSpan,
     },
     customFieldNames,
+    customFieldTypes,
+    customFieldStats,
+    flowMetrics,
+    agingWip,
+    dataQuality,
+  };
+}
+
+/**
+ * Resolve each record's parent to another record's index.
+ * "Parent Task ID" (or a "Parent task" value that is a Task ID) is matched
+ * first; task names are only a fallback, where the first occurrence wins.
+ * Links that would form a cycle are dropped so the hierarchy stays a tree.
+ * Returns { parentIndex, unresolved } with -1 for top-level records.
+ */
+function resolveParents(records) {
+  const indexById = new Map();
+  const indexByName = new Map();
+  records.forEach((record, index) => {
+    const id = record["Task ID"];
+    if (id && !indexById.has(id)) indexById.set(id, index);
+    if (record.Name && !indexByName.has(record.Name)) {
+      indexByName.set(record.Name, index);
+    }
+  });
+
+  const unresolved = [];
+  const parentIndex = records.map((record, index) => {
+    const parentId = record["Parent Task ID"];
+    const parentRef = record["Parent task"];
+    if (!parentId && !parentRef) return -1;
+
+    let parent = parentId ? indexById.get(parentId) : undefined;
+    if (parent === undefined && parentRef) {
+      parent = indexById.get(parentRef) ?? indexByName.get(parentRef);
+    }
+    if (parent === undefined || parent === index) {
+      unresolved.push({ task: record.Name, ref: parentId || parentRef });
+      return -1;
+    }
+    return parent;
+  });
+
+  // Break cycles (A -> B -> A) at the record that closes the loop
+  let cycles = 0;
+  parentIndex.forEach((_parent, index) => {
+    const seen = new Set([index]);
+    for (let p = parentIndex[index]; p !== -1; p = parentIndex[p]) {
+      if (p === index) {
+        parentIndex[index] = -1;
+        cycles++;
+        break;
+      }
+      if (seen.has(p)) break;
+      seen.add(p);
+    }
+  });
+
+  if (unresolved.length > 0) {
+    console.warn(
+      `CSV contains ${unresolved.length} subtask(s) whose parent matches no task; showing them as top-level tasks`,
+    );
+  }
+  if (cycles > 0) {
+    console.warn(
+      `CSV contains ${cycles} circular parent reference(s); showing them as top-level tasks`,
+    );
+  }
+
+  return { parentIndex, unresolved };
+}
+
+/**
+ * Split a comma-separated cell (Tags, Projects, dependency references)
+ * into its values.
+ */
+function parseList(value) {
+  if (!value) return [];
+  return value
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Resolve "Blocked By" / "Blocking" columns into links between tasks.
+ * References match Task ID first, then task name (first occurrence wins).
+ * Both columns can describe the same link, so links are de-duplicated.
+ * Sets blockedBy/blocking summaries and blocked flags on each task.
+ * Returns the resolved links as { from, to } task pairs.
+ */
+function linkDependencies(tasks, records) {
+  const byId = new Map();
+  const byName = new Map();
+  tasks.forEach((task) => {
+    if (task.id && !byId.has(task.id)) byId.set(task.id, task);
+    if (task.name && !byName.has(task.name)) byName.set(task.name, task);
+  });
+  const resolve = (ref) => byId.get(ref) || byName.get(ref) || null;
+
+  // A whole cell that matches a task is one reference (names may contain commas)
+  const refsIn = (value) => {
+    const whole = (value || "").trim();
+    if (!whole) return [];
+    return resolve(whole) ? [whole] : parseList(whole);
   };
+
+  // blocked task -> Set of tasks blocking it
+  const blockersOf = new Map(tasks.map((task) => [task, new Set()]));
+  const unresolved = [];
+
+  records.forEach((record, index) => {
+    const task = tasks[index];
+    refsIn(record["Blocked By (Dependencies)"]).forEach((ref) => {
+      const blocker = resolve(ref);
+      if (!blocker) {
+        unresolved.push({ task: task.name, key: task.key, ref });
+      } else if (blocker !== task) {
+        blockersOf.get(task).add(blocker);
+      }
+    });
+    refsIn(record["Blocking (Dependencies)"]).forEach((ref) => {
+      const blocked = resolve(ref);
+      if (!blocked) {
+        unresolved.push({ task: task.name, key: task.key, ref });
+      } else if (blocked !== task) {
+        blockersOf.get(blocked).add(task);
+      }
+    });
+  });
+
+  if (unresolved.length > 0) {
+    console.warn(
+      `CSV contains ${unresolved.length} dependency reference(s) that match no task`,
+    );
+  }
+
+  // Summaries (not task objects) keep the data free of circular references
+  const summarize = (task) => ({
+    id: task.id,
+    key: task.key,
+    name: task.name,
+    isDone: task.isDone,
+    isOverdue: task.isOverdue,
+  });
+  const blockedTasksOf = new Map(tasks.map((task) => [task, []]));
+  blockersOf.forEach((blockers, task) => {
+    blockers.forEach((blocker) => {
+      blockedTasksOf.get(blocker).push(task);
+    });
+  });
+
+  tasks.forEach((task) => {
+    const blockers = Array.from(blockersOf.get(task));
+    task.blockedBy = blockers.map(summarize);
+    task.blocking = blockedTasksOf.get(task).map(summarize);
+    // Only open tasks are "blocked" - done work has already moved past it
+    task.isBlocked = !task.isDone && blockers.some((b) => !b.isDone);
+    task.isBlockedByOverdue = !task.isDone && blockers.some((b) => b.isOverdue);
+  });
+
+  const links = [];
+  blockersOf.forEach((blockers, task) => {
+    blockers.forEach((blocker) => {
+      links.push({ from: blocker, to: task });
+    });
+  });
+
+  return { links, unresolved };
 }
 
+// Dependency graph layout (SVG user units)
+const GRAPH_NODE_WIDTH = 200;
+const GRAPH_NODE_HEIGHT = 44;
+const GRAPH_COLUMN_GAP = 64;
+const GRAPH_ROW_GAP = 16;
+const GRAPH_PADDING = 16;
+
 /**
- * Normalize a date to UTC midnight for consistent comparisons.
- * Avoids timezone-dependent behavior in overdue calculations.
+ * Lay out tasks that have dependencies as a left-to-right layered graph.
+ * Each task's column is the length of the longest chain of blockers before
+ * it, so every arrow points rightwards unless the export contains a cycle.
  */
-function normalizeToUTC(date) {
-  return new Date(
-    Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()),
+function buildDependencyGraph(tasks) {
+  // Unique per task, unlike names (and IDs, which exports can leave out)
+  const keyOf = (task) => task.key;
+  const linked = tasks.filter(
+    (t) => t.blockedBy.length > 0 || t.blocking.length > 0,
   );
+
+  // Longest-path layering; bounded passes so cycles can't loop forever
+  const layerOf = new Map(linked.map((t) => [keyOf(t), 0]));
+  for (let pass = 0; pass < linked.length; pass++) {
+    let changed = false;
+    linked.forEach((task) => {
+      task.blockedBy.forEach((blocker) => {
+        const layer = (layerOf.get(keyOf(blocker)) ?? 0) + 1;
+        if (layer > layerOf.get(keyOf(task))) {
+          layerOf.set(keyOf(task), layer);
+          changed = true;
+        }
+      });
+    });
+    if (!changed) break;
+  }
+
+  // Rows within a column follow the task list order (section, priority)
+  const rowsInLayer = [];
+  const positions = new Map();
+  const nodes = linked.map((task) => {
+    const layer = layerOf.get(keyOf(task));
+    const row = rowsInLayer[layer] || 0;
+    rowsInLayer[layer] = row + 1;
+    const x = GRAPH_PADDING + layer * (GRAPH_NODE_WIDTH + GRAPH_COLUMN_GAP);
+    const y = GRAPH_PADDING + row * (GRAPH_NODE_HEIGHT + GRAPH_ROW_GAP);
+    positions.set(keyOf(task), { x, y });
+    return {
+      id: task.id,
+      name: task.name,
+      section: task.section,
+      isDone: task.isDone,
+      isOverdue: task.isOverdue,
+      isBlocked: task.isBlocked,
+      layer,
+      x,
+      y,
+    };
+  });
+
+  // Curved arrows from the right edge of a blocker to the left edge of the task
+  const edges = [];
+  linked.forEach((task) => {
+    const to = positions.get(keyOf(task));
+    task.blockedBy.forEach((blocker) => {
+      const from = positions.get(keyOf(blocker));
+      if (!from) return;
+      const x1 = from.x + GRAPH_NODE_WIDTH;
+      const y1 = from.y + GRAPH_NODE_HEIGHT / 2;
+      const x2 = to.x;
+      const y2 = to.y + GRAPH_NODE_HEIGHT / 2;
+      const bend = GRAPH_COLUMN_GAP / 2;
+      edges.push({
+        from: blocker.name,
+        to: task.name,
+        isOpen: !blocker.isDone,
+        isOverdue: blocker.isOverdue,
+        path: `M ${x1} ${y1} C ${x1 + bend} ${y1}, ${x2 - bend} ${y2}, ${x2} ${y2}`,
+      });
+    });
+  });
+
+  const layerCount = rowsInLayer.length;
+  const maxRows = Math.max(0, ...rowsInLayer.filter(Boolean));
+  return {
+    nodes,
+    edges,
+    nodeWidth: GRAPH_NODE_WIDTH,
+    nodeHeight: GRAPH_NODE_HEIGHT,
+    width:
+      layerCount > 0
+        ? GRAPH_PADDING * 2 +
+          layerCount * GRAPH_NODE_WIDTH +
+          (layerCount - 1) * GRAPH_COLUMN_GAP
+        : 0,
+    height:
+      maxRows > 0
+        ? GRAPH_PADDING * 2 +
+          maxRows * GRAPH_NODE_HEIGHT +
+          (maxRows - 1) * GRAPH_ROW_GAP
+        : 0,
+  };
+}
+
+/**
+ * Critical path method over dated tasks and their finish-to-start links.
+ * A task can't start before its own start date or before every blocker
+ * has finished. Total float (slackDays) is how many days a task can slip
+ * without pushing out the latest finish; zero-float tasks are critical.
+ * Undated tasks and tasks caught in a dependency cycle have no float.
+ */
+function computeCriticalPath(tasks, links) {
+  const dayOf = (value) => {
+    const day = toDay(value);
+    return day ? dayNumber(day) : null;
+  };
+
+  tasks.forEach((task) => {
+    task.slackDays = null;
+    task.isCritical = false;
+  });
+
+  // Day numbers (inclusive) for every task with a usable date
+  const plan = new Map();
+  tasks.forEach((task) => {
+    const start = dayOf(task.startDate || task.dueDate);
+    const end = dayOf(task.dueDate || task.startDate);
+    if (start === null || end === null) return;
+    plan.set(task, {
+      start: Math.min(start, end),
+      length: Math.abs(end - start) + 1,
+      blockers: [],
+      blocking: [],
+    });
+  });
+  if (plan.size === 0) {
+    return { tasks: [], end: null };
+  }
+
+  links.forEach(({ from, to }) => {
+    if (plan.has(from) && plan.has(to)) {
+      plan.get(to).blockers.push(from);
+      plan.get(from).blocking.push(to);
+    }
+  });
+
+  // Topological order (Kahn); tasks left over are part of a cycle
+  const waiting = new Map();
+  const order = [];
+  plan.forEach((node, task) => {
+    waiting.set(task, node.blockers.length);
+    if (node.blockers.length === 0) order.push(task);
+  });
+  for (let i = 0; i < order.length; i++) {
+    plan.get(order[i]).blocking.forEach((next) => {
+      waiting.set(next, waiting.get(next) - 1);
+      if (waiting.get(next) === 0) order.push(next);
+    });
+  }
+  if (order.length < plan.size) {
+    console.warn(
+      `Dependencies contain a cycle; ${plan.size - order.length} task(s) left out of the critical path`,
+    );
+  }
+  if (order.length === 0) {
+    return { tasks: [], end: null };
+  }
+  // Links to tasks in a cycle are left out of both passes
+  const ordered = new Set(order);
+  const inOrder = (list) => list.filter((task) => ordered.has(task));
+
+  // Forward pass: earliest start/finish
+  order.forEach((task) => {
+    const node = plan.get(task);
+    node.earlyStart = Math.max(
+      node.start,
+      ...inOrder(node.blockers).map((b) => plan.get(b).earlyFinish + 1),
+    );
+    node.earlyFinish = node.earlyStart + node.length - 1;
+  });
+  const finish = Math.max(...order.map((task) => plan.get(task).earlyFinish));
+
+  // Backward pass: latest finish without moving the overall finish
+  [...order].reverse().forEach((task) => {
+    const node = plan.get(task);
+    node.lateFinish = Math.min(
+      finish,
+      ...inOrder(node.blocking).map((next) => plan.get(next).lateStart - 1),
+    );
+    node.lateStart = node.lateFinish - node.length + 1;
+    task.slackDays = node.lateStart - node.earlyStart;
+    task.isCritical = task.slackDays === 0;
+  });
+
+  const critical = order
+    .filter((task) => task.isCritical)
+    .sort((a, b) => plan.get(a).earlyStart - plan.get(b).earlyStart);
+
+  return {
+    tasks: critical.map((task) => ({ id: task.id, name: task.name })),
+    end: fromDayNumber(finish),
+  };
+}
+
+const MONTH_NAMES = [
+  "Jan",
+  "Feb",
+  "Mar",
+  "Apr",
+  "May",
+  "Jun",
+  "Jul",
+  "Aug",
+  "Sep",
+  "Oct",
+  "Nov",
+  "Dec",
+];
+
+/**
+ * Build Gantt chart data for the timeline view.
+ * Rows are in date order with subtasks nested directly under their parent.
+ * Gridlines, the today marker and the bands shading non-working days (with
+ * a calendar) are percentages of the project span, so they line up with
+ * task.timeline.startPercent/widthPercent. `projectStart` and `today`
+ * are YYYY-MM-DD days (or Dates, read by their UTC date).
+ */
+function buildGantt(tasks, projectStart, projectSpan, today, calendar = null) {
+  const toPercent = (days) => (days / projectSpan) * 100;
+
+  // Chronological order, tasks without dates last (same as timeline sort)
+  const byDate = (a, b) => {
+    const aDate = a.startDate || a.dueDate;
+    const bDate = b.startDate || b.dueDate;
+    if (!aDate && !bDate) return 0;
+    if (!aDate) return 1;
+    if (!bDate) return -1;
+    return aDate.localeCompare(bDate);
+  };
+
+  // Subtasks nest under their parent at any depth, siblings in date order
+  const rows = [];
+  const addRow = (task, depth) => {
+    rows.push({ task, depth });
+    [...(task.children || [])].sort(byDate).forEach((child) => {
+      addRow(child, depth + 1);
+    });
+  };
+  tasks
+    .filter((t) => !t.isSubtask)
+    .sort(byDate)
+    .forEach((task) => {
+      addRow(task, 0);
+    });
+
+  const months = [];
+  const weeks = [];
+  const nonWorking = [];
+  let todayMarker = null;
+
+  const startDay = toDay(projectStart);
+  if (startDay) {
+    // Day numbers; the range ends before `last`
+    const first = dayNumber(startDay);
+    const last = first + projectSpan;
+
+    // Month bands - first and last are clipped to the project range
+    const [year, month] = startDay.split("-").map(Number);
+    const monthStart = (index) =>
+      Date.UTC(year, index, 1) / (1000 * 60 * 60 * 24);
+    for (let index = month - 1; monthStart(index) < last; index++) {
+      const bandStart = Math.max(first, monthStart(index));
+      const bandEnd = Math.min(last, monthStart(index + 1));
+      months.push({
+        date: fromDayNumber(monthStart(index)),
+        label: `${MONTH_NAMES[index % 12]} ${year + Math.floor(index / 12)}`,
+        leftPercent: toPercent(bandStart - first),
+        widthPercent: toPercent(bandEnd - bandStart),
+      });
+    }
+
+    // Week gridlines on each Monday inside the range
+    const firstMondayOffset = (8 - weekday(startDay)) % 7;
+    for (let day = firstMondayOffset; day < projectSpan; day += 7) {
+      if (day === 0) continue;
+      weeks.push({
+        date: fromDayNumber(first + day),
+        leftPercent: toPercent(day),
+      });
+    }
+
+    // Runs of consecutive non-working days (weekends, holidays) as one band
+    if (calendar) {
+      for (let day = 0; day < projectSpan; day++) {
+        const date = fromDayNumber(first + day);
+        if (calendar.isWorkingDay(date)) continue;
+        const label = calendar.holidayName(date) || "Non-working day";
+        const last = nonWorking[nonWorking.length - 1];
+        if (last && last.endDay === day) {
+          last.endDay = day + 1;
+          if (!last.labels.includes(label)) last.labels.push(label);
+        } else {
+          nonWorking.push({
+            date,
+            startDay: day,
+            endDay: day + 1,
+            labels: [label],
+          });
+        }
+      }
+    }
+
+    const todayDay = toDay(today);
+    const todayOffset = dayNumber(todayDay) - first;
+    if (todayOffset >= 0 && todayOffset < projectSpan) {
+      todayMarker = {
+        date: todayDay,
+        leftPercent: toPercent(todayOffset),
+      };
+    }
+  }
+
+  return {
+    rows,
+    months,
+    weeks,
+    nonWorking: nonWorking.map((band) => ({
+      date: band.date,
+      days: band.endDay - band.startDay,
+      label: band.labels.join(", "),
+      leftPercent: toPercent(band.startDay),
+      widthPercent: toPercent(band.endDay - band.startDay),
+    })),
+    today: todayMarker,
+  };
 }
 
 /**
  * Calculate duration info for a task.
  * Days calculation: inclusive of start, exclusive of end (e.g., Jan 1-5 = 4 days).
+ * With a working calendar, only working days are counted.
  */
-function calculateDuration(startDate, dueDate, today) {
-  const start = startDate ? new Date(startDate) : null;
-  const end = dueDate ? new Date(dueDate) : null;
+function calculateDuration(startDate, dueDate, today, calendar = null) {
+  const start = toDay(startDate);
+  const end = toDay(dueDate);
 
   // No dates = no duration
   if (!start && !end) {
@@ -441,18 +1558,17 @@ function calculateDuration(startDate, dueDate, today) {
   // Use start for both if only start, or due for both if only due
   const effectiveStart = start || end;
   const effectiveEnd = end || start;
+  const todayDay = toDay(today);
+  const countDays = (from, to) =>
+    calendar ? calendar.countWorkingDays(from, to) : daysBetween(from, to);
 
   // Duration in days (exclusive of end)
-  const durationDays = Math.max(
-    1,
-    Math.ceil((effectiveEnd - effectiveStart) / (1000 * 60 * 60 * 24)),
-  );
+  const durationDays = Math.max(1, countDays(effectiveStart, effectiveEnd));
 
   // Days elapsed from start to today (capped at duration)
-  const elapsedMs = today - effectiveStart;
   const elapsedDays = Math.max(
     0,
-    Math.min(durationDays, Math.ceil(elapsedMs / (1000 * 60 * 60 * 24))),
+    Math.min(durationDays, countDays(effectiveStart, todayDay)),
   );
 
   // Percentage elapsed (capped at 100)
@@ -466,53 +1582,449 @@ function calculateDuration(startDate, dueDate, today) {
     elapsed: elapsedDays,
     remaining: Math.max(0, durationDays - elapsedDays),
     percentElapsed: percentElapsed,
-    hasStarted: elapsedMs >= 0,
+    hasStarted: todayDay >= effectiveStart,
     isComplete: elapsedDays >= durationDays,
   };
 }
 
-// Check if a section represents "done" tasks
-function isDoneSection(section) {
-  if (!section) return false;
-  const lower = section.toLowerCase();
-  const donePatterns = [
-    "done",
-    "complete",
-    "completed",
-    "finished",
-    "closed",
-    "resolved",
-  ];
-  return donePatterns.some((pattern) => lower.includes(pattern));
+// Check if a section represents "done" tasks (DONE_SECTIONS)
+function isDoneSection(section, workflow = DEFAULT_WORKFLOW) {
+  return workflow.isDoneSection(section);
 }
 
-function isOverdue(dueDate, section, today) {
+// Overdue once the due day is behind today; dates and today are compared
+// as days (YYYY-MM-DD, or a Date's UTC date), never as instants
+function isOverdue(dueDate, section, today, workflow = DEFAULT_WORKFLOW) {
   if (!dueDate) return false;
-  if (isDoneSection(section)) return false;
-  const dueDateUTC = normalizeToUTC(new Date(dueDate));
-  const todayUTC = normalizeToUTC(today);
-  return dueDateUTC < todayUTC;
+  if (isDoneSection(section, workflow)) return false;
+  const due = toDay(dueDate);
+  return !!due && due < toDay(today);
 }
 
-function daysUntil(dueDate, today) {
-  if (!dueDate) return null;
-  const due = new Date(dueDate);
-  const diff = due - today;
-  return Math.ceil(diff / (1000 * 60 * 60 * 24));
+// Days from today until the due date (negative once past), in working
+// days if there is a calendar
+function daysUntil(dueDate, today, calendar = null) {
+  const due = toDay(dueDate);
+  if (!due) return null;
+  if (calendar) return calendar.countWorkingDays(today, due);
+  return daysBetween(toDay(today), due);
 }
 
-function priorityOrder(priority) {
-  const order = { High: 1, Medium: 2, Low: 3 };
-  return order[priority] || 4;
+// Whole calendar days from a date to today; null without a valid date,
+// 0 for dates after today
+function daysSince(date, today) {
+  const day = toDay(date);
+  if (!day) return null;
+  return Math.max(0, daysBetween(day, toDay(today)));
 }
 
-function calculateStats(tasks, sections, sectionNames) {
+// Days from a start date to completion, in working days if there is a
+// calendar; null if either date is missing or completion comes first
+function daysToComplete(fromDate, completedAt, calendar = null) {
+  const from = toDay(fromDate);
+  const to = toDay(completedAt);
+  if (!from || !to || to < from) return null;
+  return calendar ? calendar.countWorkingDays(from, to) : daysBetween(from, to);
+}
+
+// Position on the priority ladder (PRIORITIES); unknown ones sort last
+function priorityOrder(priority, workflow = DEFAULT_WORKFLOW) {
+  return workflow.priorityOrder(priority);
+}
+
+/**
+ * Turn a custom field name into a URL-safe filter key ("Story Points" -> "cf-story-points").
+ */
+function filterKey(fieldName) {
+  const slug = fieldName
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
+  return `cf-${slug}`;
+}
+
+/**
+ * Build the filter bar facets and each task's filterValues.
+ * Facet keys double as query string parameters (?assignee=Alice&priority=High),
+ * and filterValues is rendered as a data attribute for the browser to match on.
+ * Empty priority/status use the same "No ..." labels as the dashboard.
+ */
+function buildFilterFacets(
+  tasks,
+  sectionNames,
+  customFieldNames,
+  workflow = DEFAULT_WORKFLOW,
+) {
+  const byText = (a, b) => a.localeCompare(b, undefined, { numeric: true });
+
+  tasks.forEach((task) => {
+    const values = {
+      key: task.key,
+      assignee: task.assignee,
+      section: task.section,
+      priority: task.priority || "No priority",
+      status: task.status || "No status",
+      tag: task.tags,
+      project: task.projects,
+      due: task.dueDate || "",
+      overdue: task.isOverdue,
+    };
+    customFieldNames.forEach((fieldName) => {
+      values[filterKey(fieldName)] = task.customFields?.[fieldName] || "";
+    });
+    task.filterValues = values;
+  });
+
+  const distinct = (key) => [
+    ...new Set(tasks.flatMap((t) => t.filterValues[key]).filter(Boolean)),
+  ];
+
+  const facets = [
+    {
+      key: "assignee",
+      label: "Assignee",
+      // Unassigned last
+      values: distinct("assignee").sort((a, b) =>
+        a === "Unassigned" ? 1 : b === "Unassigned" ? -1 : byText(a, b),
+      ),
+    },
+    {
+      key: "section",
+      label: "Section",
+      values: sectionNames.filter((name) => distinct("section").includes(name)),
+    },
+    {
+      key: "priority",
+      label: "Priority",
+      values: distinct("priority").sort(
+        (a, b) =>
+          priorityOrder(a, workflow) - priorityOrder(b, workflow) ||
+          byText(a, b),
+      ),
+    },
+    { key: "status", label: "Status", values: distinct("status").sort(byText) },
+    { key: "tag", label: "Tag", values: distinct("tag").sort(byText) },
+    {
+      key: "project",
+      label: "Project",
+      // Only worth filtering on when tasks come from several projects
+      values:
+        distinct("project").length > 1 ? distinct("project").sort(byText) : [],
+    },
+    ...customFieldNames.map((fieldName) => ({
+      key: filterKey(fieldName),
+      label: fieldName,
+      values: distinct(filterKey(fieldName)).sort(byText),
+    })),
+  ];
+
+  return facets.filter((facet) => facet.values.length > 0);
+}
+
+/**
+ * Build the header search index, written to /search-index.json.
+ * Only text worth searching is kept; empty fields are dropped to keep the
+ * file small for projects with hundreds of tasks.
+ */
+function buildSearchIndex(tasks, customFieldNames) {
+  return tasks.map((task) => {
+    const fields = {};
+    const add = (label, value) => {
+      if (value) fields[label] = value;
+    };
+    add("Notes", task.notes);
+    add("Tags", task.tags.join(", "));
+    add("Assignee", task.assignee !== "Unassigned" ? task.assignee : "");
+    customFieldNames.forEach((fieldName) => {
+      add(fieldName, task.customFields?.[fieldName]);
+    });
+    return { key: task.key, name: task.name, section: task.section, fields };
+  });
+}
+
+/**
+ * Parse CUSTOM_FIELD_TYPES ("Story Points:number, Team:enum") into
+ * { fieldName: type }. Unknown types are ignored with a warning.
+ */
+function parseFieldTypes(value) {
+  const types = {};
+  (value || "").split(",").forEach((entry) => {
+    const colon = entry.lastIndexOf(":");
+    if (colon === -1) return;
+    const name = entry.substring(0, colon).trim();
+    const type = entry
+      .substring(colon + 1)
+      .trim()
+      .toLowerCase();
+    if (!name) return;
+    if (!FIELD_TYPES.includes(type)) {
+      console.warn(
+        `CUSTOM_FIELD_TYPES: unknown type "${type}" for "${name}" (use ${FIELD_TYPES.join(", ")})`,
+      );
+      return;
+    }
+    types[name] = type;
+  });
+  return types;
+}
+
+/**
+ * Numeric value of a custom field, or null. Accepts a leading currency
+ * symbol and thousands separators ("$1,200", "3.5").
+ */
+function parseNumericValue(value) {
+  const text = String(value ?? "")
+    .trim()
+    .replace(/^[$€£¥]\s*/, "")
+    .replace(/,(?=\d{3}\b)/g, "");
+  return /^-?\d+(\.\d+)?$/.test(text) ? Number(text) : null;
+}
+
+/**
+ * Guess a custom field's type from its non-empty values: number or date if
+ * every value parses as one, enum if a few values repeat, text otherwise.
+ */
+function inferFieldType(values, dateOptions = {}) {
+  const filled = values.map((v) => (v || "").trim()).filter(Boolean);
+  if (filled.length === 0) return "text";
+  if (filled.every((v) => parseNumericValue(v) !== null)) return "number";
+  if (filled.every((v) => parseDate(v, dateOptions))) return "date";
+  const distinct = new Set(filled).size;
+  return distinct <= ENUM_MAX_VALUES && distinct < filled.length
+    ? "enum"
+    : "text";
+}
+
+/**
+ * Sums and averages of number fields (overall, by section and by
+ * assignee) and value counts of enum fields, for the dashboard and board.
+ */
+function aggregateCustomFields(tasks, customFieldTypes, sectionNames) {
+  const round = (n) => Math.round(n * 100) / 100;
+  const summarise = (values) => {
+    const total = values.reduce((sum, v) => sum + v, 0);
+    return {
+      total: round(total),
+      average: values.length > 0 ? round(total / values.length) : 0,
+      count: values.length,
+    };
+  };
+  const fieldsOfType = (type) =>
+    Object.keys(customFieldTypes).filter((n) => customFieldTypes[n] === type);
+
+  const numbers = fieldsOfType("number").map((name) => {
+    const valued = tasks
+      .map((task) => ({
+        task,
+        value: parseNumericValue(task.customFields?.[name]),
+      }))
+      .filter(({ value }) => value !== null);
+    const groupBy = (keyOf, keys) => {
+      const groups = {};
+      keys.forEach((key) => {
+        groups[key] = [];
+      });
+      valued.forEach(({ task, value }) => {
+        const key = keyOf(task);
+        groups[key] = groups[key] || [];
+        groups[key].push(value);
+      });
+      return Object.fromEntries(
+        Object.entries(groups)
+          .filter(([, values]) => values.length > 0)
+          .map(([key, values]) => [key, summarise(values)]),
+      );
+    };
+    return {
+      name,
+      ...summarise(valued.map(({ value }) => value)),
+      bySection: groupBy((t) => t.section, sectionNames),
+      byAssignee: groupBy((t) => t.assignee, []),
+    };
+  });
+
+  const enums = fieldsOfType("enum").map((name) => {
+    const counts = {};
+    let noValueCount = 0;
+    tasks.forEach((task) => {
+      const value = task.customFields?.[name];
+      if (value) {
+        counts[value] = (counts[value] || 0) + 1;
+      } else {
+        noValueCount++;
+      }
+    });
+    if (noValueCount > 0) {
+      counts["No value"] = noValueCount;
+    }
+    return { name, counts };
+  });
+
+  return { numbers, enums };
+}
+
+/**
+ * Lead time, cycle time and weekly throughput of the tasks completed by
+ * `today`. Lead and cycle times get an average, median, 85th percentile,
+ * a histogram and averages by section and assignee; throughput counts
+ * completions per week (Monday to Sunday) for the last THROUGHPUT_WEEKS
+ * weeks. Each is null when no task has the dates it needs.
+ */
+function buildFlowMetrics(tasks, today, sectionNames) {
+  const round = (n) => Math.round(n * 10) / 10;
+  const todayKey = toDay(today);
+  const completed = tasks.filter(
+    (t) => t.completedAt && t.completedAt <= todayKey,
+  );
+
+  const summarise = (days) => {
+    const total = days.reduce((sum, d) => sum + d, 0);
+    return { average: round(total / days.length), count: days.length };
+  };
+
+  const timeMetric = (field) => {
+    const measured = completed.filter((t) => t[field] !== null);
+    if (measured.length === 0) return null;
+    const sorted = measured.map((t) => t[field]).sort((a, b) => a - b);
+    // Nearest-rank percentile: the value p% of tasks finished within
+    const percentile = (p) =>
+      sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)];
+
+    const histogram = FLOW_BUCKETS.map(([min, max]) => ({
+      min,
+      max,
+      count: sorted.filter((d) => d >= min && (max === null || d <= max))
+        .length,
+    }));
+    const largest = Math.max(...histogram.map((b) => b.count));
+    histogram.forEach((bucket) => {
+      bucket.percent = Math.round((bucket.count / largest) * 100);
+    });
+
+    const groupBy = (keyOf, keys) => {
+      const groups = {};
+      keys.forEach((key) => {
+        groups[key] = [];
+      });
+      measured.forEach((task) => {
+        const key = keyOf(task);
+        groups[key] = groups[key] || [];
+        groups[key].push(task[field]);
+      });
+      return Object.fromEntries(
+        Object.entries(groups)
+          .filter(([, days]) => days.length > 0)
+          .map(([key, days]) => [key, summarise(days)]),
+      );
+    };
+
+    return {
+      ...summarise(sorted),
+      median: percentile(50),
+      p85: percentile(85),
+      histogram,
+      bySection: groupBy((t) => t.section, sectionNames),
+      byAssignee: groupBy((t) => t.assignee, []),
+    };
+  };
+
+  // Completions per week, Monday to Sunday, by day number
+  let throughput = null;
+  if (completed.length > 0) {
+    const weekStart = (day) => dayNumber(day) - ((weekday(day) + 6) % 7);
+    const lastWeek = weekStart(todayKey);
+    const firstWeek = Math.max(
+      lastWeek - (THROUGHPUT_WEEKS - 1) * 7,
+      Math.min(...completed.map((t) => weekStart(t.completedAt))),
+    );
+    const weeks = [];
+    for (let start = firstWeek; start <= lastWeek; start += 7) {
+      weeks.push({ start: fromDayNumber(start), count: 0 });
+    }
+    completed.forEach((task) => {
+      const week = weeks[(weekStart(task.completedAt) - firstWeek) / 7];
+      if (week) week.count++;
+    });
+    const total = weeks.reduce((sum, w) => sum + w.count, 0);
+    const busiest = Math.max(1, ...weeks.map((w) => w.count));
+    weeks.forEach((week) => {
+      week.percent = Math.round((week.count / busiest) * 100);
+    });
+    throughput = {
+      weeks,
+      total,
+      averagePerWeek: round(total / weeks.length),
+    };
+  }
+
+  return {
+    leadTime: timeMetric("leadTimeDays"),
+    cycleTime: timeMetric("cycleTimeDays"),
+    throughput,
+  };
+}
+
+/**
+ * Open tasks bucketed by age (days since created), with the stale ones
+ * that have gone longest without an update listed first for chasing.
+ */
+function buildAgingWip(tasks, staleAfterDays) {
+  const open = tasks.filter((t) => !t.isDone);
+  const aged = open.filter((t) => t.ageDays !== null);
+
+  const buckets = AGE_BUCKETS.map(([min, max]) => {
+    const inBucket = aged.filter(
+      (t) => t.ageDays >= min && (max === null || t.ageDays <= max),
+    );
+    return {
+      min,
+      max,
+      count: inBucket.length,
+      stale: inBucket.filter((t) => t.isStale).length,
+    };
+  });
+  const largest = Math.max(1, ...buckets.map((b) => b.count));
+  buckets.forEach((bucket) => {
+    bucket.percent = Math.round((bucket.count / largest) * 100);
+  });
+
+  const stalest = open
+    .filter((t) => t.isStale)
+    .sort((a, b) => b.staleDays - a.staleDays)
+    .slice(0, STALE_LIST_LIMIT);
+
+  return {
+    buckets: aged.length > 0 ? buckets : [],
+    noCreatedDate: open.length - aged.length,
+    stalest,
+    staleAfterDays,
+  };
+}
+
+function calculateStats(
+  tasks,
+  sections,
+  sectionNames,
+  workflow = DEFAULT_WORKFLOW,
+) {
   const total = tasks.length;
   const done = tasks.filter((t) => t.isDone).length;
   const overdue = tasks.filter((t) => t.isOverdue).length;
+  const blocked = tasks.filter((t) => t.isBlocked).length;
+  const stale = tasks.filter((t) => t.isStale).length;
+
+  // Configured values first, in config order, then any others as found
+  const inOrder = (counts, configuredNames) =>
+    Object.fromEntries(
+      Object.entries(counts).sort(
+        ([a], [b]) =>
+          (configuredNames.indexOf(a) + 1 || Infinity) -
+            (configuredNames.indexOf(b) + 1 || Infinity) || 0,
+      ),
+    );
 
   // By status - dynamically collect all statuses (including "No status")
-  const byStatus = {};
+  let byStatus = {};
   let noStatusCount = 0;
   tasks.forEach((t) => {
     if (t.status) {
@@ -521,12 +2033,16 @@ function calculateStats(tasks, sections, sectionNames) {
       noStatusCount++;
     }
   });
+  byStatus = inOrder(
+    byStatus,
+    workflow.statuses.map((st) => st.name),
+  );
   if (noStatusCount > 0) {
     byStatus["No status"] = noStatusCount;
   }
 
   // By priority - dynamically collect all priorities (including "No priority")
-  const byPriority = {};
+  let byPriority = {};
   let noPriorityCount = 0;
   tasks.forEach((t) => {
     if (t.priority) {
@@ -535,6 +2051,10 @@ function calculateStats(tasks, sections, sectionNames) {
       noPriorityCount++;
     }
   });
+  byPriority = inOrder(
+    byPriority,
+    workflow.priorities.map((p) => p.name),
+  );
   if (noPriorityCount > 0) {
     byPriority["No priority"] = noPriorityCount;
   }
@@ -545,6 +2065,14 @@ function calculateStats(tasks, sections, sectionNames) {
     byAssignee[t.assignee] = (byAssignee[t.assignee] || 0) + 1;
   });
 
+  // By project - a task in several projects counts in each
+  const byProject = {};
+  tasks.forEach((t) => {
+    t.projects.forEach((project) => {
+      byProject[project] = (byProject[project] || 0) + 1;
+    });
+  });
+
   // By section
   const bySection = {};
   sectionNames.forEach((name) => {
@@ -555,20 +2083,50 @@ function calculateStats(tasks, sections, sectionNames) {
     total,
     done,
     overdue,
+    blocked,
+    stale,
     completionPercent: total > 0 ? Math.round((done / total) * 100) : 0,
     byStatus,
     byPriority,
     byAssignee,
+    byProject,
     bySection,
   };
 }
 
 // Export helper functions for testing
-module.exports.normalizeToUTC = normalizeToUTC;
+module.exports.loadRecords = loadRecords;
+module.exports.loadTasks = loadTasks;
+module.exports.mergeRecords = mergeRecords;
+module.exports.processOptionsFromConfig = processOptionsFromConfig;
+module.exports.resolveDataPath = resolveDataPath;
+module.exports.columnMapFromConfig = columnMapFromConfig;
+module.exports.mapHeader = mapHeader;
+module.exports.parseAsOfDate = parseAsOfDate;
+module.exports.resolveAsOfDate = resolveAsOfDate;
 module.exports.validateRecords = validateRecords;
+module.exports.checkDataQuality = checkDataQuality;
+module.exports.enforceDataQuality = enforceDataQuality;
+module.exports.QUALITY_CHECKS = QUALITY_CHECKS;
 module.exports.isDoneSection = isDoneSection;
 module.exports.isOverdue = isOverdue;
 module.exports.priorityOrder = priorityOrder;
 module.exports.processRecords = processRecords;
 module.exports.calculateStats = calculateStats;
+module.exports.parseFieldTypes = parseFieldTypes;
+module.exports.parseNumericValue = parseNumericValue;
+module.exports.inferFieldType = inferFieldType;
+module.exports.aggregateCustomFields = aggregateCustomFields;
+module.exports.daysToComplete = daysToComplete;
+module.exports.buildFlowMetrics = buildFlowMetrics;
+module.exports.daysSince = daysSince;
+module.exports.buildAgingWip = buildAgingWip;
+module.exports.buildFilterFacets = buildFilterFacets;
+module.exports.buildSearchIndex = buildSearchIndex;
 module.exports.calculateDuration = calculateDuration;
+module.exports.buildGantt = buildGantt;
+module.exports.resolveParents = resolveParents;
+module.exports.parseList = parseList;
+module.exports.linkDependencies = linkDependencies;
+module.exports.buildDependencyGraph = buildDependencyGraph;
+module.exports.computeCriticalPath = computeCriticalPath;
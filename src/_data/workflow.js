@@ -0,0 +1,168 @@
+const loadConfig = require("./config.js");
+
+/*
+ * Workflow semantics from dashana.config: which sections and statuses mean
+ * done, the priority ladder with its colors, and the status values with
+ * their severity and icon. tasks.js uses them for done detection and
+ * sorting; templates use them to color priorities and statuses.
+ */
+
+// Built-in semantics, used for any setting left blank in dashana.config
+const DEFAULTS = {
+  doneSections: "done, complete, completed, finished, closed, resolved",
+  doneStatuses: "",
+  priorities: "High:red, Medium:amber, Low:green",
+  statuses: "On track:ok, At risk:warning, Off track:critical",
+};
+
+// Colors a priority can take (theme colors, light and dark)
+const PRIORITY_COLORS = ["red", "amber", "green", "blue", "gray"];
+
+// Status severities and the icon each shows unless one is configured
+const STATUS_ICONS = {
+  ok: "●",
+  warning: "▲",
+  critical: "■",
+  info: "◆",
+};
+
+/**
+ * Split a comma-separated config list of "Name:attr:attr" entries.
+ */
+function parseEntries(value) {
+  return (value || "")
+    .split(",")
+    .map((entry) => entry.split(":").map((part) => part.trim()))
+    .filter(([name]) => name);
+}
+
+/**
+ * Parse PRIORITIES ("P0:red, P1:amber, P2:green"): highest first. An entry
+ * without a color (or an unknown one) is gray.
+ */
+function parsePriorities(value) {
+  return parseEntries(value).map(([name, color = ""], index) => {
+    const known = PRIORITY_COLORS.includes(color.toLowerCase());
+    if (color && !known) {
+      console.warn(
+        `PRIORITIES: unknown color "${color}" for "${name}" (use ${PRIORITY_COLORS.join(", ")})`,
+      );
+    }
+    return {
+      name,
+      rank: index + 1,
+      color: known ? color.toLowerCase() : "gray",
+    };
+  });
+}
+
+/**
+ * Parse STATUSES ("On track:ok, At risk:warning:!, Blocked:critical"):
+ * each status's severity and, optionally, its icon.
+ */
+function parseStatuses(value) {
+  return parseEntries(value).map(([name, severity = "", icon]) => {
+    const level = severity.toLowerCase();
+    const known = level in STATUS_ICONS;
+    if (!known) {
+      console.warn(
+        `STATUSES: unknown severity "${severity}" for "${name}" (use ${Object.keys(STATUS_ICONS).join(", ")})`,
+      );
+    }
+    return {
+      name,
+      severity: known ? level : "info",
+      icon: icon || STATUS_ICONS[known ? level : "info"],
+    };
+  });
+}
+
+/**
+ * Build the workflow from config values (blank = built-in default).
+ * Priorities and statuses are matched case-insensitively.
+ */
+function createWorkflow(values = {}) {
+  const { doneSections, doneStatuses, priorities, statuses } = {
+    ...DEFAULTS,
+    ...Object.fromEntries(Object.entries(values).filter(([, v]) => v)),
+  };
+  const lowerList = (list) =>
+    list
+      .split(",")
+      .map((s) => s.trim().toLowerCase())
+      .filter(Boolean);
+  const sectionPatterns = lowerList(doneSections);
+  const doneStatusNames = lowerList(doneStatuses);
+  const ladder = parsePriorities(priorities);
+  const statusList = parseStatuses(statuses);
+
+  const byLowerName = (list) =>
+    new Map(list.map((entry) => [entry.name.toLowerCase(), entry]));
+  const priorityByName = byLowerName(ladder);
+  const statusByName = byLowerName(statusList);
+  const lookup = (map, value) =>
+    value ? map.get(value.trim().toLowerCase()) || null : null;
+
+  return {
+    priorities: ladder,
+    statuses: statusList,
+
+    /** Sections count as done if their name contains a DONE_SECTIONS entry. */
+    isDoneSection(section) {
+      if (!section) return false;
+      const lower = section.toLowerCase();
+      return sectionPatterns.some((pattern) => lower.includes(pattern));
+    },
+
+    /** Statuses count as done if they are listed in DONE_STATUSES. */
+    isDoneStatus(status) {
+      return !!status && doneStatusNames.includes(status.trim().toLowerCase());
+    },
+
+    /** Configured entry for a priority value, or null. */
+    priority(value) {
+      return lookup(priorityByName, value);
+    },
+
+    /** Configured entry for a status value, or null. */
+    status(value) {
+      return lookup(statusByName, value);
+    },
+
+    /** Sort position of a priority; unknown and missing ones come last. */
+    priorityOrder(value) {
+      const entry = lookup(priorityByName, value);
+      return entry ? entry.rank : ladder.length + 1;
+    },
+  };
+}
+
+/**
+ * The workflow configured in dashana.config.
+ */
+function loadWorkflow(config = loadConfig()) {
+  return createWorkflow(config.workflow);
+}
+
+// Priority colors and status icons for templates, keyed by the configured
+// name ({{ workflow.priorityColors[task.priority] }})
+module.exports = function () {
+  const workflow = loadWorkflow();
+  return {
+    priorityColors: Object.fromEntries(
+      workflow.priorities.map((p) => [p.name, p.color]),
+    ),
+    statusStyles: Object.fromEntries(
+      workflow.statuses.map((s) => [
+        s.name,
+        { severity: s.severity, icon: s.icon },
+      ]),
+    ),
+  };
+};
+
+// Export for tasks.js and testing
+module.exports.createWorkflow = createWorkflow;
+module.exports.loadWorkflow = loadWorkflow;
+module.exports.parsePriorities = parsePriorities;
+module.exports.parseStatuses = parseStatuses;
@@ -0,0 +1,218 @@
+/**
+ * Working Calendar Tests
+ *
+ * Tests the business-day calendar (calendar.js): working weekdays, the
+ * holiday list, working-day durations and days until due, and the shaded
+ * non-working days on the timeline.
+ *
+ * Fixtures:
+ * - test-holidays.csv: 2026-01-01 (New Year's Day), 2026-12-25
+ * - config-business-days.config: BUSINESS_DAYS=YES, WORKING_DAYS=MON-FRI
+ *
+ * The test project runs from Thu 2026-01-01 to Sat 2026-01-10, so the
+ * non-working days are Jan 1 (holiday), Jan 3-4 and Jan 10 (weekends).
+ */
+const fs = require("fs");
+const path = require("path");
+const { execSync } = require("child_process");
+const cheerio = require("cheerio");
+
+const {
+  parseWorkingDays,
+  loadHolidays,
+  createCalendar,
+  loadCalendar,
+} = require("../src/_data/calendar.js");
+const {
+  loadRecords,
+  processRecords,
+  calculateDuration,
+} = require("../src/_data/tasks.js");
+
+const FIXTURE_CSV = path.join(__dirname, "fixtures/test-project.csv");
+const FIXTURE_HOLIDAYS = path.join(__dirname, "fixtures/test-holidays.csv");
+const FIXTURE_CONFIG = path.join(
+  __dirname,
+  "fixtures/config-business-days.config",
+);
+const SITE_DIR = path.join(__dirname, "../_site");
+
+const calendar = createCalendar({
+  workingDays: [1, 2, 3, 4, 5],
+  holidays: loadHolidays(FIXTURE_HOLIDAYS),
+});
+const date = (iso) => new Date(iso);
+
+describe("parseWorkingDays", () => {
+  test("reads lists and ranges of day names", () => {
+    expect(parseWorkingDays("MON,TUE,WED,THU,FRI")).toEqual([1, 2, 3, 4, 5]);
+    expect(parseWorkingDays("mon-fri")).toEqual([1, 2, 3, 4, 5]);
+    expect(parseWorkingDays("SUN-THU")).toEqual([0, 1, 2, 3, 4]);
+    expect(parseWorkingDays("Saturday-Tuesday")).toEqual([0, 1, 2, 6]);
+  });
+
+  test("falls back to Monday to Friday", () => {
+    const warnSpy = jest.spyOn(console, "warn").mockImplementation();
+    expect(parseWorkingDays("")).toEqual([1, 2, 3, 4, 5]);
+    expect(parseWorkingDays("Weekdays")).toEqual([1, 2, 3, 4, 5]);
+    expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining("Weekdays"));
+    warnSpy.mockRestore();
+  });
+});
+
+describe("loadHolidays", () => {
+  test("reads dates and names", () => {
+    expect(loadHolidays(FIXTURE_HOLIDAYS)).toEqual([
+      { date: "2026-01-01", name: "New Year's Day" },
+      { date: "2026-12-25", name: "Christmas Day" },
+    ]);
+  });
+
+  test("treats a missing file as no holidays", () => {
+    expect(loadHolidays(path.join(__dirname, "fixtures/none.csv"))).toEqual([]);
+  });
+});
+
+describe("createCalendar", () => {
+  test("weekends and holidays are not working days", () => {
+    expect(calendar.isWorkingDay(date("2026-01-02"))).toBe(true);
+    expect(calendar.isWorkingDay(date("2026-01-03"))).toBe(false);
+    expect(calendar.isWorkingDay(date("2026-01-01"))).toBe(false);
+    expect(calendar.holidayName(date("2026-01-01"))).toBe("New Year's Day");
+  });
+
+  test("counts a Friday to Monday gap as one working day", () => {
+    expect(
+      calendar.countWorkingDays(date("2026-01-09"), date("2026-01-12")),
+    ).toBe(1);
+    expect(
+      calendar.countWorkingDays(date("2026-01-12"), date("2026-01-09")),
+    ).toBe(-1);
+  });
+
+  test("skips holidays", () => {
+    // Wed Dec 31 to Fri Jan 2: only Dec 31 is worked
+    expect(
+      calendar.countWorkingDays(date("2025-12-31"), date("2026-01-02")),
+    ).toBe(1);
+  });
+});
+
+describe("loadCalendar", () => {
+  test("is off unless BUSINESS_DAYS is set", () => {
+    expect(
+      loadCalendar({ calendar: { businessDays: false } }, FIXTURE_HOLIDAYS),
+    ).toBeNull();
+  });
+
+  test("combines working days and holidays", () => {
+    const loaded = loadCalendar(
+      { calendar: { businessDays: true, workingDays: "SUN-THU" } },
+      FIXTURE_HOLIDAYS,
+    );
+    expect(loaded.workingDays).toEqual([0, 1, 2, 3, 4]);
+    expect(loaded.isWorkingDay(date("2026-01-04"))).toBe(true);
+    expect(loaded.isWorkingDay(date("2026-01-02"))).toBe(false);
+  });
+});
+
+describe("Working-day durations", () => {
+  test("calculateDuration counts working days only", () => {
+    // Mon Jan 5 to Mon Jan 12, halfway through on Thu Jan 8
+    const duration = calculateDuration(
+      "2026-01-05",
+      "2026-01-12",
+      date("2026-01-08"),
+      calendar,
+    );
+    expect(duration.days).toBe(5);
+    expect(duration.elapsed).toBe(3);
+    expect(duration.remaining).toBe(2);
+    expect(duration.percentElapsed).toBe(60);
+  });
+
+  test("a task due Monday is one working day away on Friday", () => {
+    const records = [
+      { Name: "SLA", "Section/Column": "To do", "Due Date": "2026-01-12" },
+    ];
+    const friday = () => new Date("2026-01-09");
+    // Silence expected warnings for minimal test data
+    const warnSpy = jest.spyOn(console, "warn").mockImplementation();
+    expect(processRecords(records, friday()).all[0].daysUntilDue).toBe(3);
+    expect(
+      processRecords(records, friday(), { calendar }).all[0].daysUntilDue,
+    ).toBe(1);
+    warnSpy.mockRestore();
+  });
+
+  test("processRecords uses the calendar for every task", () => {
+    const data = processRecords(loadRecords(FIXTURE_CSV), date("2026-01-15"), {
+      calendar,
+    });
+    const byName = (name) => data.all.find((t) => t.name === name);
+    expect(byName("Task One").duration.days).toBe(6);
+    expect(byName("Task Two").duration.days).toBe(1);
+    expect(byName("Task Three").duration.days).toBe(3);
+  });
+
+  test("gantt shades runs of non-working days", () => {
+    const data = processRecords(loadRecords(FIXTURE_CSV), date("2026-01-15"), {
+      calendar,
+    });
+    expect(
+      data.gantt.nonWorking.map(({ date, days, label }) => [date, days, label]),
+    ).toEqual([
+      ["2026-01-01", 1, "New Year's Day"],
+      ["2026-01-03", 2, "Non-working day"],
+      ["2026-01-10", 1, "Non-working day"],
+    ]);
+    expect(data.gantt.nonWorking[1].leftPercent).toBe(20);
+    expect(data.gantt.nonWorking[1].widthPercent).toBe(20);
+  });
+
+  test("calendar days when there is no calendar", () => {
+    const data = processRecords(loadRecords(FIXTURE_CSV), date("2026-01-15"));
+    expect(data.all.find((t) => t.name === "Task One").duration.days).toBe(9);
+    expect(data.gantt.nonWorking).toEqual([]);
+  });
+});
+
+describe("Timeline with Business Days", () => {
+  let $;
+
+  beforeAll(() => {
+    execSync("npm run build", {
+      cwd: path.join(__dirname, ".."),
+      stdio: "pipe",
+      env: {
+        ...process.env,
+        DASHANA_CSV_PATH: FIXTURE_CSV,
+        DASHANA_CONFIG_PATH: FIXTURE_CONFIG,
+        DASHANA_HOLIDAYS_PATH: FIXTURE_HOLIDAYS,
+      },
+    });
+    $ = cheerio.load(
+      fs.readFileSync(path.join(SITE_DIR, "timeline/index.html"), "utf-8"),
+    );
+  });
+
+  test("shades non-working days on the Gantt chart", () => {
+    expect($(".gantt-nonworking").length).toBe(3);
+  });
+
+  test("lists holidays in the project range", () => {
+    const holidays = $(".gantt-holiday")
+      .map((_i, el) => $(el).text())
+      .get();
+    expect(holidays).toEqual(["2026-01-01 New Year's Day"]);
+  });
+
+  test("shows durations in working days", () => {
+    const taskOne = $(".timeline-table tbody tr").filter(
+      (_i, el) => $(el).find(".task-link").first().text() === "Task One",
+    );
+    expect(
+      taskOne.find(".duration-text").text().replace(/\s+/g, " ").trim(),
+    ).toBe("6wd (overdue)");
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * Snapshot Comparison Tests
+ *
+ * Tests the "What changed" diff between two CSV snapshots (changes.js)
+ * and the rendered /changes/ page.
+ *
+ * Previous snapshot fixture (test-project-previous.csv) differs from
+ * test-project.csv by:
+ * - Task Eight: not present (added since)
+ * - Retired Task (ID 11): present (removed since)
+ * - Task Five: was In Progress (completed and moved to Done since)
+ * - Task Two: was assigned to Alice, due 2026-01-07 (now Bob, 2026-01-05)
+ * - Task Three: was At risk (now On track)
+ */
+const fs = require("fs");
+const path = require("path");
+const { execSync } = require("child_process");
+const cheerio = require("cheerio");
+
+const { diffTasks } = require("../src/_data/changes.js");
+const { loadRecords, processRecords } = require("../src/_data/tasks.js");
+
+const FIXTURE_CSV = path.join(__dirname, "fixtures/test-project.csv");
+const PREVIOUS_CSV = path.join(__dirname, "fixtures/test-project-previous.csv");
+const FIXTURE_CONFIG = path.join(__dirname, "fixtures/test-dashana.config");
+const SITE_DIR = path.join(__dirname, "../_site");
+
+function loadTasks(csvPath) {
+  return processRecords(loadRecords(csvPath), new Date("2026-01-15")).all;
+}
+
+function loadPage(pagePath) {
+  const filePath = path.join(SITE_DIR, pagePath);
+  const html = fs.readFileSync(filePath, "utf-8");
+  return cheerio.load(html);
+}
+
+describe("diffTasks", () => {
+  let diff;
+
+  beforeAll(() => {
+    diff = diffTasks(loadTasks(PREVIOUS_CSV), loadTasks(FIXTURE_CSV));
+  });
+
+  test("lists tasks added since the previous snapshot", () => {
+    expect(diff.added.map((t) => t.name)).toEqual(["Task Eight"]);
+  });
+
+  test("lists tasks removed since the previous snapshot", () => {
+    expect(diff.removed.map((t) => t.name)).toEqual(["Retired Task"]);
+  });
+
+  test("lists tasks completed since the previous snapshot", () => {
+    expect(diff.completed.map((t) => t.name)).toEqual(["Task Five"]);
+  });
+
+  test("lists tasks moved between sections", () => {
+    expect(diff.moved).toHaveLength(1);
+    expect(diff.moved[0].task.name).toBe("Task Five");
+    expect(diff.moved[0].from).toBe("In Progress");
+    expect(diff.moved[0].to).toBe("Done");
+  });
+
+  test("reports due date and assignee changes", () => {
+    const taskTwo = diff.changed.find((c) => c.task.name === "Task Two");
+    expect(taskTwo.changes).toEqual([
+      {
+        field: "dueDate",
+        label: "Due date",
+        from: "2026-01-07",
+        to: "2026-01-05",
+      },
+      { field: "assignee", label: "Assignee", from: "Alice", to: "Bob" },
+    ]);
+  });
+
+  test("reports status changes", () => {
+    const taskThree = diff.changed.find((c) => c.task.name === "Task Three");
+    expect(taskThree.changes).toEqual([
+      { field: "status", label: "Status", from: "At risk", to: "On track" },
+    ]);
+  });
+
+  test("counts every change in total", () => {
+    // 1 added + 1 removed + 1 completed + 1 moved + 2 updated
+    expect(diff.total).toBe(6);
+  });
+
+  test("reports no changes for identical snapshots", () => {
+    const tasks = loadTasks(FIXTURE_CSV);
+    expect(diffTasks(tasks, tasks).total).toBe(0);
+  });
+
+  test("matches by Task ID, not name", () => {
+    const before = [{ id: "1", name: "Old name", section: "To do" }];
+    const after = [{ id: "1", name: "New name", section: "To do" }];
+    const result = diffTasks(before, after);
+    expect(result.added).toEqual([]);
+    expect(result.removed).toEqual([]);
+  });
+
+  test("skips tasks without a Task ID", () => {
+    const result = diffTasks([], [{ id: "", name: "No ID", section: "To do" }]);
+    expect(result.added).toEqual([]);
+  });
+});
+
+describe("What Changed Page", () => {
+  let $;
+
+  beforeAll(() => {
+    execSync("npm run build", {
+      cwd: path.join(__dirname, ".."),
+      stdio: "pipe",
+      env: {
+        ...process.env,
+        DASHANA_CSV_PATH: FIXTURE_CSV,
+        DASHANA_CONFIG_PATH: FIXTURE_CONFIG,
+        DASHANA_PREVIOUS_CSV_PATH: PREVIOUS_CSV,
+        DASHANA_PREVIOUS_VERSION: "2026-01-01",
+      },
+    });
+    $ = loadPage("changes/index.html");
+  });
+
+  test("names the snapshot it compares against", () => {
+    expect($(".page-subtitle").text()).toContain("compared with 2026-01-01");
+  });
+
+  test("renders a group per kind of change", () => {
+    expect($(".changes-added .change-item").length).toBe(1);
+    expect($(".changes-removed .change-item").length).toBe(1);
+    expect($(".changes-completed .change-item").length).toBe(1);
+    expect($(".changes-moved .change-item").length).toBe(1);
+    expect($(".changes-updated .change-item").length).toBe(2);
+  });
+
+  test("shows before and after values for updated fields", () => {
+    const detail = $(".changes-updated .change-dueDate").text();
+    expect(detail).toContain("2026-01-07");
+    expect(detail).toContain("2026-01-05");
+  });
+});
+
+describe("What Changed Page - No Previous Snapshot", () => {
+  test("explains there is nothing to compare", () => {
+    execSync("npm run build", {
+      cwd: path.join(__dirname, ".."),
+      stdio: "pipe",
+      env: {
+        ...process.env,
+        DASHANA_CSV_PATH: FIXTURE_CSV,
+        DASHANA_CONFIG_PATH: FIXTURE_CONFIG,
+      },
+    });
+    const $ = loadPage("changes/index.html");
+    expect($(".page-subtitle").text()).toContain("No earlier snapshot");
+    expect($(".change-item").length).toBe(0);
+  });
+});
@@ -0,0 +1,180 @@
+/**
+ * Column Mapping Tests
+ *
+ * Tests the COLUMN_* settings that map non-standard CSV headers onto
+ * Dashana's fields (tasks.js mapHeader / loadRecords).
+ *
+ * Uses test-project-mapped.csv (German Asana export headers, 4 tasks) with
+ * config-column-mapping.config. "Tests schreiben" is a subtask of
+ * "Umsetzung", which is blocked by "Konzept" (by ID).
+ */
+const fs = require("fs");
+const path = require("path");
+const { execSync } = require("child_process");
+const cheerio = require("cheerio");
+
+const {
+  loadRecords,
+  processRecords,
+  columnMapFromConfig,
+  mapHeader,
+} = require("../src/_data/tasks.js");
+const loadConfig = require("../src/_data/config.js");
+
+const MAPPED_CSV = path.join(__dirname, "fixtures/test-project-mapped.csv");
+const MAPPING_CONFIG = path.join(
+  __dirname,
+  "fixtures/config-column-mapping.config",
+);
+const SITE_DIR = path.join(__dirname, "../_site");
+
+function loadPage(pagePath) {
+  const filePath = path.join(SITE_DIR, pagePath);
+  const html = fs.readFileSync(filePath, "utf-8");
+  return cheerio.load(html);
+}
+
+describe("mapHeader", () => {
+  let warnSpy;
+
+  beforeEach(() => {
+    warnSpy = jest.spyOn(console, "warn").mockImplementation();
+  });
+
+  afterEach(() => {
+    warnSpy.mockRestore();
+  });
+
+  test("renames mapped columns and keeps the rest", () => {
+    expect(
+      mapHeader(["Aufgabe", "Fällig", "Sprint"], {
+        Name: "Aufgabe",
+        "Due Date": "Fällig",
+      }),
+    ).toEqual(["Name", "Due Date", "Sprint"]);
+    expect(warnSpy).not.toHaveBeenCalled();
+  });
+
+  test("drops a standard column that a mapped column replaces", () => {
+    expect(mapHeader(["Name", "Status", "Stage"], { Status: "Stage" })).toEqual(
+      ["Name", null, "Status"],
+    );
+  });
+
+  test("keeps the standard column when the mapped column is missing", () => {
+    expect(mapHeader(["Name", "Status"], { Status: "Stage" })).toEqual([
+      "Name",
+      "Status",
+    ]);
+  });
+
+  test("warns about mapped columns missing from the header", () => {
+    mapHeader(["Name"], { "Due Date": "Fällig" });
+    expect(warnSpy).toHaveBeenCalledWith(
+      expect.stringContaining('no column "Fällig"'),
+    );
+  });
+});
+
+describe("columnMapFromConfig", () => {
+  afterEach(() => {
+    delete process.env.DASHANA_CONFIG_PATH;
+  });
+
+  test("is empty without COLUMN_* settings", () => {
+    expect(columnMapFromConfig({ columns: { name: "", dueDate: "" } })).toEqual(
+      {},
+    );
+  });
+
+  test("maps config fields to standard headers", () => {
+    process.env.DASHANA_CONFIG_PATH = MAPPING_CONFIG;
+    const columnMap = columnMapFromConfig(loadConfig());
+    expect(columnMap.Name).toBe("Name der Aufgabe");
+    expect(columnMap["Section/Column"]).toBe("Abschnitt");
+    expect(columnMap["Parent task"]).toBe("Übergeordnete Aufgabe");
+    expect(columnMap["Blocked By (Dependencies)"]).toBe("Blockiert durch");
+    expect(columnMap.Status).toBeUndefined();
+  });
+});
+
+describe("Processing a mapped export", () => {
+  let data;
+  let warnSpy;
+
+  beforeAll(() => {
+    warnSpy = jest.spyOn(console, "warn").mockImplementation();
+    process.env.DASHANA_CONFIG_PATH = MAPPING_CONFIG;
+    data = processRecords(loadRecords(MAPPED_CSV), new Date("2026-01-15"));
+    delete process.env.DASHANA_CONFIG_PATH;
+  });
+
+  afterAll(() => {
+    warnSpy.mockRestore();
+  });
+
+  const byName = (name) => data.all.find((t) => t.name === name);
+
+  test("reads fields from the mapped columns", () => {
+    const task = byName("Konzept");
+    expect(task.id).toBe("1");
+    expect(task.section).toBe("Offen");
+    expect(task.assignee).toBe("Alice");
+    expect(task.dueDate).toBe("2026-01-10");
+    expect(task.priority).toBe("High");
+    expect(task.notes).toBe("Erster Entwurf");
+  });
+
+  test("mapped columns are not custom fields", () => {
+    expect(data.customFieldNames).toEqual(["Sprint"]);
+  });
+
+  test("resolves parents and dependencies from mapped columns", () => {
+    expect(byName("Tests schreiben").isSubtask).toBe(true);
+    expect(byName("Tests schreiben").section).toBe("In Arbeit");
+    expect(byName("Umsetzung").blockedBy.map((t) => t.name)).toEqual([
+      "Konzept",
+    ]);
+  });
+
+  test("warns about a mapped column the export lacks", () => {
+    expect(warnSpy).toHaveBeenCalledWith(
+      expect.stringContaining('no column "Erledigt am"'),
+    );
+  });
+});
+
+describe("Site built from a mapped export", () => {
+  let $;
+
+  beforeAll(() => {
+    execSync("npm run build", {
+      cwd: path.join(__dirname, ".."),
+      stdio: "pipe",
+      env: {
+        ...process.env,
+        DASHANA_CSV_PATH: MAPPED_CSV,
+        DASHANA_CONFIG_PATH: MAPPING_CONFIG,
+      },
+    });
+    $ = loadPage("tasks/index.html");
+  });
+
+  test("renders every task with its section", () => {
+    expect($(".task-table tbody tr").length).toBe(4);
+    const sections = $(".task-table .col-section")
+      .map((_i, el) => $(el).text().trim())
+      .get();
+    expect(sections).toContain("Offen");
+    expect(sections).toContain("Erledigt");
+  });
+
+  test("only unmapped columns become custom field columns", () => {
+    const headers = $(".task-table th")
+      .map((_i, el) => $(el).text().trim())
+      .get();
+    expect(headers).toContain("Sprint");
+    expect(headers).not.toContain("Abschnitt");
+    expect(headers).not.toContain("Priorität");
+  });
+});
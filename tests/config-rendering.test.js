@@ -41,9 +41,11 @@ beforeAll(() => {
 
 /*
  * Test config: test-config-disabled.config
- * - SHOW_TIMELINE=NO
- * - TASKS_COL_PRIORITY=NO, TASKS_COL_TAGS=NO, TASKS_COL_PARENT=NO, TASKS_COL_NOTES=NO, TASKS_COL_CUSTOM=NO
- * - CARD_SHOW_PRIORITY=NO, CARD_SHOW_TAGS=NO, CARD_SHOW_PARENT=NO, CARD_SHOW_NOTES=NO, CARD_SHOW_CUSTOM=NO
+ * - SHOW_TIMELINE=NO, SHOW_DEPENDENCIES=NO, SHOW_FILTERS=NO, SHOW_SEARCH=NO
+ * - TASKS_COL_PRIORITY=NO, TASKS_COL_TAGS=NO, TASKS_COL_PARENT=NO, TASKS_COL_NOTES=NO, TASKS_COL_CUSTOM=NO,
+ *   TASKS_COL_DEPENDENCIES=NO
+ * - CARD_SHOW_PRIORITY=NO, CARD_SHOW_TAGS=NO, CARD_SHOW_PARENT=NO, CARD_SHOW_NOTES=NO, CARD_SHOW_CUSTOM=NO,
+ *   CARD_SHOW_DEPENDENCIES=NO
  */
 
 describe("Tab Visibility Config", () => {
@@ -66,6 +68,30 @@ describe("Tab Visibility Config", () => {
     const pageContent = $("body").text();
     expect(pageContent).toContain("disabled");
   });
+
+  test("Dependencies tab is hidden when SHOW_DEPENDENCIES=NO", () => {
+    const $ = loadPage("index.html");
+    const navLinks = $(".nav-link")
+      .map((_i, el) => $(el).text().trim())
+      .get();
+
+    expect(navLinks).not.toContain("Dependencies");
+  });
+
+  test("Dependencies page shows disabled message", () => {
+    const $ = loadPage("dependencies/index.html");
+    expect($(".dependency-graph").length).toBe(0);
+    expect($("body").text()).toContain("disabled");
+  });
+
+  test("Filter bar is hidden when SHOW_FILTERS=NO", () => {
+    expect(loadPage("board/index.html")(".task-filters").length).toBe(0);
+    expect(loadPage("tasks/index.html")(".task-filters").length).toBe(0);
+  });
+
+  test("Header search is hidden when SHOW_SEARCH=NO", () => {
+    expect(loadPage("index.html")(".task-search").length).toBe(0);
+  });
 });
 
 describe("Tasks Table Column Config", () => {
@@ -110,6 +136,11 @@ describe("Tasks Table Column Config", () => {
     expect(headers).not.toContain("Story Points");
   });
 
+  test("Dependencies column is hidden when TASKS_COL_DEPENDENCIES=NO", () => {
+    expect(headers).not.toContain("Dependencies");
+    expect($(".task-table .blocked-badge").length).toBe(0);
+  });
+
   // Enabled columns (=YES in config)
   test("Enabled columns still appear", () => {
     expect(headers).toContain("Name");
@@ -162,6 +193,11 @@ describe("Board Card Config", () => {
     expect(customFields).toBe(0);
   });
 
+  test("Dependencies are hidden when CARD_SHOW_DEPENDENCIES=NO", () => {
+    const cardDependencies = $(".card-dependencies").length;
+    expect(cardDependencies).toBe(0);
+  });
+
   // Enabled card items (=YES in config)
   test("Enabled card items still appear", () => {
     // Due dates should still appear (CARD_SHOW_DUE=YES)
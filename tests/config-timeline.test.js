@@ -53,6 +53,7 @@ beforeAll(() => {
  * - TIMELINE_COL_CUSTOM=NO
  *
  * Only TIMELINE_COL_NAME=YES is enabled
+ * Gantt chart disabled: TIMELINE_SHOW_GANTT=NO
  */
 
 describe("Timeline Column Config", () => {
@@ -90,6 +91,11 @@ describe("Timeline Column Config", () => {
     expect(durationBars).toBe(0);
   });
 
+  test("Slack column is hidden when TIMELINE_COL_SLACK=NO", () => {
+    expect(headers).not.toContain("Slack");
+    expect($(".timeline-table .col-slack").length).toBe(0);
+  });
+
   test("Status column is hidden when TIMELINE_COL_STATUS=NO", () => {
     expect(headers).not.toContain("Status");
   });
@@ -115,6 +121,10 @@ describe("Timeline Column Config", () => {
     expect(headers).not.toContain("Story Points");
   });
 
+  test("Gantt chart is hidden when TIMELINE_SHOW_GANTT=NO", () => {
+    expect($(".gantt").length).toBe(0);
+  });
+
   // Enabled column (=YES in config)
   test("Name column still appears when TIMELINE_COL_NAME=YES", () => {
     expect(headers).toContain("Task");
@@ -148,24 +148,81 @@ describe("Config Module", () => {
     expect(config.tabs.board).toBe(true);
     expect(config.tabs.tasks).toBe(true);
     expect(config.tabs.timeline).toBe(true);
+    expect(config.tabs.dependencies).toBe(true);
 
     // View names default to standard labels
     expect(config.viewNames.dashboard).toBe("Dashboard");
     expect(config.viewNames.board).toBe("Board");
     expect(config.viewNames.tasks).toBe("Tasks");
     expect(config.viewNames.timeline).toBe("Timeline");
+    expect(config.viewNames.dependencies).toBe("Dependencies");
 
     // Page headings default to descriptive titles
     expect(config.pageHeadings.dashboard).toBe("Project Overview");
     expect(config.pageHeadings.board).toBe("Kanban Board");
     expect(config.pageHeadings.tasks).toBe("Task List");
     expect(config.pageHeadings.timeline).toBe("Timeline");
+    expect(config.pageHeadings.dependencies).toBe("Dependency Graph");
 
     // All column options default to true
     expect(config.tasksColumns.name).toBe(true);
     expect(config.tasksColumns.notes).toBe(true);
     expect(config.timelineColumns.duration).toBe(true);
+    expect(config.timelineColumns.slack).toBe(true);
     expect(config.cardItems.tags).toBe(true);
+    expect(config.tasksColumns.dependencies).toBe(true);
+    expect(config.cardItems.dependencies).toBe(true);
+
+    // Gantt chart shown by default
+    expect(config.timelineGantt).toBe(true);
+
+    // Asana export by default
+    expect(config.importer).toBe("asana");
+
+    // Calendar days unless BUSINESS_DAYS is on
+    expect(config.calendar.businessDays).toBe(false);
+    expect(config.calendar.workingDays).toBe("MON,TUE,WED,THU,FRI");
+
+    // Day order detected per value, "today" in the machine's timezone
+    expect(config.dates).toEqual({ format: "AUTO", timeZone: "" });
+
+    // English labels, dates in the bundle's format, no overrides
+    expect(config.i18n).toEqual({ locale: "en", dateFormat: "" });
+    expect(config.text).toEqual({});
+
+    // data/project.csv, not several merged exports
+    expect(config.dataFiles).toBe("");
+
+    // Portfolio builds take every CSV in data/
+    expect(config.portfolio).toEqual({ projects: "" });
+
+    // Data quality reported, not enforced
+    expect(config.dataQuality).toEqual({ strict: false, maxErrors: 0 });
+
+    // Open tasks are stale after 30 days without an update
+    expect(config.staleDays).toBe(30);
+
+    // Custom field types inferred
+    expect(config.customFieldTypes).toBe("");
+
+    // Built-in done sections, priority ladder and statuses
+    expect(config.workflow).toEqual({
+      doneSections: "",
+      doneStatuses: "",
+      priorities: "",
+      statuses: "",
+    });
+
+    // Asana API fetch: no project, the public API
+    expect(config.asana.project).toBe("");
+    expect(config.asana.apiUrl).toBe("https://app.asana.com/api/1.0");
+
+    // Column mapping unset - standard Asana headers
+    expect(Object.values(config.columns).every((v) => v === "")).toBe(true);
+
+    // Filter bar and header search shown by default
+    expect(config.showFilters).toBe(true);
+    expect(config.showSearch).toBe(true);
 
     // Notes text columns default to true (shown by default)
     expect(config.tasksColumns.notesText).toBe(true);
@@ -393,6 +450,74 @@ CUSTOMER_NAME=Acme Corp
     expect(config.projectName).toBe("Test = Project");
   });
 
+  test("collects TEXT.<key> lines as translation overrides", () => {
+    fs.writeFileSync(
+      tempConfigPath,
+      `LOCALE=de\nTEXT.board.due=Termin: {date}\nTEXT.nav.board = Tafel\n`,
+    );
+    process.env.DASHANA_CONFIG_PATH = tempConfigPath;
+
+    delete require.cache[require.resolve("../src/_data/config.js")];
+    const configFn = require("../src/_data/config.js");
+    const config = configFn();
+
+    expect(config.i18n.locale).toBe("de");
+    expect(config.text).toEqual({
+      "board.due": "Termin: {date}",
+      "nav.board": "Tafel",
+    });
+  });
+
+  test("lays a portfolio project's settings over the shared ones", () => {
+    const projectConfigPath = path.join(
+      __dirname,
+      "fixtures/temp-project.config",
+    );
+    fs.writeFileSync(
+      tempConfigPath,
+      `PROJECT_NAME=Shared\nCUSTOMER_NAME=Agency\nSHOW_BOARD=NO\n`,
+    );
+    fs.writeFileSync(projectConfigPath, `PROJECT_NAME=Acme Rollout\n`);
+    process.env.DASHANA_CONFIG_PATH = tempConfigPath;
+    process.env.DASHANA_PROJECT_CONFIG_PATH = projectConfigPath;
+
+    try {
+      delete require.cache[require.resolve("../src/_data/config.js")];
+      const configFn = require("../src/_data/config.js");
+      const config = configFn();
+
+      expect(config.projectName).toBe("Acme Rollout");
+      expect(config.customerName).toBe("Agency");
+      expect(config.tabs.board).toBe(false);
+    } finally {
+      fs.unlinkSync(projectConfigPath);
+      delete process.env.DASHANA_PROJECT_CONFIG_PATH;
+    }
+  });
+
+  test("warns and keeps the shared settings when a project config is missing", () => {
+    const warnSpy = jest.spyOn(console, "warn").mockImplementation();
+    fs.writeFileSync(tempConfigPath, `PROJECT_NAME=Shared\n`);
+    process.env.DASHANA_CONFIG_PATH = tempConfigPath;
+    process.env.DASHANA_PROJECT_CONFIG_PATH = path.join(
+      __dirname,
+      "fixtures/nonexistent-project.config",
+    );
+
+    try {
+      delete require.cache[require.resolve("../src/_data/config.js")];
+      const configFn = require("../src/_data/config.js");
+
+      expect(configFn().projectName).toBe("Shared");
+      expect(warnSpy).toHaveBeenCalledWith(
+        expect.stringContaining("nonexistent-project.config"),
+      );
+    } finally {
+      warnSpy.mockRestore();
+      delete process.env.DASHANA_PROJECT_CONFIG_PATH;
+    }
+  });
+
   test("handles very long config values", () => {
     const longValue = "A".repeat(1000);
     fs.writeFileSync(tempConfigPath, `PROJECT_NAME=${longValue}\n`);
@@ -444,6 +569,18 @@ describe("CONFIG_SCHEMA", () => {
       path: "tabs.timeline",
       type: "boolean",
     });
+    expect(CONFIG_SCHEMA.SHOW_DEPENDENCIES).toEqual({
+      path: "tabs.dependencies",
+      type: "boolean",
+    });
+    expect(CONFIG_SCHEMA.SHOW_FILTERS).toEqual({
+      path: "showFilters",
+      type: "boolean",
+    });
+    expect(CONFIG_SCHEMA.SHOW_SEARCH).toEqual({
+      path: "showSearch",
+      type: "boolean",
+    });
   });
 
   test("has core settings as string type", () => {
@@ -494,14 +631,14 @@ describe("CONFIG_SCHEMA", () => {
     const tasksColKeys = Object.keys(CONFIG_SCHEMA).filter((k) =>
       k.startsWith("TASKS_COL_"),
     );
-    expect(tasksColKeys.length).toBe(12); // name, progress, section, assignee, due, priority, status, tags, parent, notes, notesText, custom
+    expect(tasksColKeys.length).toBe(13); // name, progress, section, assignee, due, priority, status, tags, parent, notes, notesText, custom, dependencies
   });
 
   test("has all timeline column options", () => {
     const timelineColKeys = Object.keys(CONFIG_SCHEMA).filter((k) =>
       k.startsWith("TIMELINE_COL_"),
     );
-    expect(timelineColKeys.length).toBe(12); // +notesText
+    expect(timelineColKeys.length).toBe(13); // +notesText, slack
   });
 
   test("has notes text schema entries", () => {
@@ -531,6 +668,17 @@ describe("CONFIG_SCHEMA", () => {
     const cardKeys = Object.keys(CONFIG_SCHEMA).filter((k) =>
       k.startsWith("CARD_SHOW_"),
     );
-    expect(cardKeys.length).toBe(9); // progress, assignee, due, status, priority, tags, parent, notes, custom
+    expect(cardKeys.length).toBe(10); // progress, assignee, due, status, priority, tags, parent, notes, custom, dependencies
+  });
+
+  test("has a string column mapping option per standard field", () => {
+    const columnKeys = Object.keys(CONFIG_SCHEMA).filter((k) =>
+      k.startsWith("COLUMN_"),
+    );
+    expect(columnKeys.length).toBe(18);
+    columnKeys.forEach((key) => {
+      expect(CONFIG_SCHEMA[key].type).toBe("string");
+      expect(CONFIG_SCHEMA[key].path).toMatch(/^columns\./);
+    });
   });
 });
@@ -1,17 +1,29 @@
 const fs = require("fs");
+const os = require("os");
 const path = require("path");
 const { parse } = require("csv-parse/sync");
 
 // Import processing functions from the actual source
 const tasksModule = require("../src/_data/tasks.js");
 const {
-  normalizeToUTC,
   validateRecords,
   isDoneSection,
   isOverdue,
   priorityOrder,
   processRecords,
   calculateDuration,
+  buildGantt,
+  resolveParents,
+  linkDependencies,
+  buildDependencyGraph,
+  computeCriticalPath,
+  buildFilterFacets,
+  buildSearchIndex,
+  parseAsOfDate,
+  resolveAsOfDate,
+  parseFieldTypes,
+  parseNumericValue,
+  inferFieldType,
 } = tasksModule;
 
 // Load test fixture
@@ -25,27 +37,6 @@ function loadTestData() {
   });
 }
 
-describe("normalizeToUTC", () => {
-  test("normalizes a date to UTC midnight", () => {
-    const date = new Date("2026-01-15T14:30:00Z");
-    const normalized = normalizeToUTC(date);
-    expect(normalized.getUTCHours()).toBe(0);
-    expect(normalized.getUTCMinutes()).toBe(0);
-    expect(normalized.getUTCSeconds()).toBe(0);
-    expect(normalized.getUTCFullYear()).toBe(2026);
-    expect(normalized.getUTCMonth()).toBe(0); // January
-    expect(normalized.getUTCDate()).toBe(15);
-  });
-
-  test("preserves the UTC date regardless of input time", () => {
-    const date1 = new Date("2026-01-15T00:00:00Z");
-    const date2 = new Date("2026-01-15T23:59:59Z");
-    const normalized1 = normalizeToUTC(date1);
-    const normalized2 = normalizeToUTC(date2);
-    expect(normalized1.getTime()).toBe(normalized2.getTime());
-  });
-});
-
 describe("isDoneSection", () => {
   test('recognizes "Done" section', () => {
     expect(isDoneSection("Done")).toBe(true);
@@ -343,6 +334,111 @@ describe("Custom Fields", () => {
   });
 });
 
+describe("Custom Field Types", () => {
+  test("infers number and enum fields from the fixture", () => {
+    const data = processRecords(loadTestData(), new Date("2026-01-15"));
+    expect(data.customFieldTypes).toEqual({
+      Sprint: "enum",
+      "Story Points": "number",
+    });
+  });
+
+  test("inferFieldType tells numbers, dates, enums and text apart", () => {
+    expect(inferFieldType(["3", "", "1.5", "$1,200"])).toBe("number");
+    expect(inferFieldType(["2026-01-08", "Jan 9, 2026"])).toBe("date");
+    expect(inferFieldType(["Web", "Design", "Web"])).toBe("enum");
+    expect(inferFieldType(["Call the supplier", "Book the venue"])).toBe(
+      "text",
+    );
+    expect(inferFieldType(["", ""])).toBe("text");
+  });
+
+  test("parseNumericValue accepts currency and thousands separators", () => {
+    expect(parseNumericValue("$1,200")).toBe(1200);
+    expect(parseNumericValue("-2.5")).toBe(-2.5);
+    expect(parseNumericValue("3 days")).toBeNull();
+    expect(parseNumericValue("")).toBeNull();
+  });
+
+  test("parseFieldTypes reads name:type pairs", () => {
+    const warnSpy = jest.spyOn(console, "warn").mockImplementation();
+    expect(
+      parseFieldTypes("Story Points:number, Ref: 12:text, Team:colour"),
+    ).toEqual({ "Story Points": "number", "Ref: 12": "text" });
+    expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining("colour"));
+    warnSpy.mockRestore();
+  });
+
+  test("configured types override inference", () => {
+    const data = processRecords(loadTestData(), new Date("2026-01-15"), {
+      fieldTypes: { "Story Points": "text" },
+    });
+    expect(data.customFieldTypes["Story Points"]).toBe("text");
+    expect(data.customFieldStats.numbers).toEqual([]);
+  });
+
+  test("date fields are stored as YYYY-MM-DD", () => {
+    // Silence expected warnings for minimal test data
+    const warnSpy = jest.spyOn(console, "warn").mockImplementation();
+    const data = processRecords(
+      [
+        { Name: "A", "Section/Column": "To do", Review: "Jan 9, 2026" },
+        { Name: "B", "Section/Column": "To do", Review: "2026-01-12T10:00Z" },
+      ],
+      new Date("2026-01-15"),
+      { dates: { timeZone: "UTC" } },
+    );
+    expect(data.customFieldTypes.Review).toBe("date");
+    expect(data.all.map((t) => t.customFields.Review)).toEqual([
+      "2026-01-09",
+      "2026-01-12",
+    ]);
+
+    warnSpy.mockRestore();
+  });
+});
+
+describe("aggregateCustomFields", () => {
+  let stats;
+
+  beforeAll(() => {
+    stats = processRecords(
+      loadTestData(),
+      new Date("2026-01-15"),
+    ).customFieldStats;
+  });
+
+  test("sums and averages number fields", () => {
+    const [points] = stats.numbers;
+    expect(points.name).toBe("Story Points");
+    // 3 + 5 + 2 + 8 + 1 across five tasks with a value
+    expect(points.total).toBe(19);
+    expect(points.average).toBe(3.8);
+    expect(points.count).toBe(5);
+  });
+
+  test("breaks number fields down by section and assignee", () => {
+    const [points] = stats.numbers;
+    expect(points.bySection["To do"]).toEqual({
+      total: 9,
+      average: 3,
+      count: 3,
+    });
+    // Sections without values are left out
+    expect(points.bySection.Done).toBeUndefined();
+    expect(points.byAssignee.Alice.total).toBe(5);
+  });
+
+  test("counts enum values, including tasks without one", () => {
+    expect(stats.enums).toEqual([
+      {
+        name: "Sprint",
+        counts: { "Sprint 1": 4, "Sprint 2": 2, "No value": 4 },
+      },
+    ]);
+  });
+});
+
 describe("Tags, Parent Task, and Notes", () => {
   let data;
 
@@ -729,3 +825,755 @@ describe("calculateDuration", () => {
     expect(result.remaining).toBe(0);
   });
 });
+
+describe("buildGantt", () => {
+  let data;
+
+  beforeAll(() => {
+    const records = loadTestData();
+    data = processRecords(records, new Date("2026-01-05"));
+  });
+
+  test("has one row per task", () => {
+    expect(data.gantt.rows.length).toBe(10);
+  });
+
+  test("nests subtasks directly under their parent", () => {
+    const names = data.gantt.rows.map((r) => r.task.name);
+    const taskTwoIndex = names.indexOf("Task Two");
+    expect(names[taskTwoIndex + 1]).toBe("Subtask A");
+    expect(names[taskTwoIndex + 2]).toBe("Subtask B");
+    expect(data.gantt.rows[taskTwoIndex].depth).toBe(0);
+    expect(data.gantt.rows[taskTwoIndex + 1].depth).toBe(1);
+  });
+
+  test("orders top-level rows by date with undated tasks last", () => {
+    const topLevel = data.gantt.rows
+      .filter((r) => r.depth === 0)
+      .map((r) => r.task.name);
+    expect(topLevel.slice(0, 3)).toEqual(["Task One", "Task Five", "Task Two"]);
+    expect(topLevel.slice(3)).toEqual(
+      expect.arrayContaining(["Task Four", "Task Six", "Task Eight"]),
+    );
+  });
+
+  test("builds month bands clipped to the project range", () => {
+    // Project range: 2026-01-01 to 2026-01-10
+    expect(data.gantt.months).toEqual([
+      {
+        date: "2026-01-01",
+        label: "Jan 2026",
+        leftPercent: 0,
+        widthPercent: 100,
+      },
+    ]);
+  });
+
+  test("places week gridlines on Mondays", () => {
+    // 2026-01-05 is a Monday, 4 days into a 10-day span
+    expect(data.gantt.weeks).toEqual([{ date: "2026-01-05", leftPercent: 40 }]);
+  });
+
+  test("places today marker on the date axis", () => {
+    expect(data.gantt.today).toEqual({ date: "2026-01-05", leftPercent: 40 });
+  });
+
+  test("omits today marker when today is outside the project range", () => {
+    const records = loadTestData();
+    const result = processRecords(records, new Date("2026-03-01"));
+    expect(result.gantt.today).toBeNull();
+  });
+
+  test("spans month boundaries with proportional bands", () => {
+    const start = new Date("2026-01-22");
+    // 20-day span: 10 days in January, 10 in February
+    const result = buildGantt([], start, 20, new Date("2026-01-22"));
+    expect(result.months.map((m) => m.label)).toEqual(["Jan 2026", "Feb 2026"]);
+    expect(result.months[0].widthPercent).toBe(50);
+    expect(result.months[1].leftPercent).toBe(50);
+  });
+
+  test("returns empty axis when there are no dates", () => {
+    const result = buildGantt([], null, 30, new Date("2026-01-15"));
+    expect(result).toEqual({
+      rows: [],
+      months: [],
+      weeks: [],
+      nonWorking: [],
+      today: null,
+    });
+  });
+});
+
+describe("linkDependencies", () => {
+  let data;
+  const byName = (name) => data.all.find((t) => t.name === name);
+
+  beforeAll(() => {
+    data = processRecords(loadTestData(), new Date("2026-01-15"));
+  });
+
+  test("resolves Blocked By references by Task ID", () => {
+    expect(byName("Task Two").blockedBy.map((t) => t.name)).toEqual([
+      "Task One",
+    ]);
+    expect(byName("Task One").blocking.map((t) => t.name)).toEqual([
+      "Task Two",
+    ]);
+  });
+
+  test("resolves references by task name", () => {
+    expect(
+      byName("Task Four")
+        .blockedBy.map((t) => t.name)
+        .sort(),
+    ).toEqual(["Task Five", "Task Three"]);
+  });
+
+  test("links from the Blocking column appear on both tasks", () => {
+    expect(byName("Task Five").blocking.map((t) => t.name)).toEqual([
+      "Task Four",
+    ]);
+  });
+
+  test("marks open tasks with an open blocker as blocked", () => {
+    expect(byName("Task Two").isBlocked).toBe(true);
+    expect(byName("Task Four").isBlocked).toBe(true);
+    expect(byName("Task One").isBlocked).toBe(false);
+    expect(data.stats.blocked).toBe(2);
+  });
+
+  test("flags tasks waiting on overdue work", () => {
+    // Task One (due 2026-01-10) and Task Three (due 2026-01-08) are overdue
+    expect(byName("Task Two").isBlockedByOverdue).toBe(true);
+    expect(byName("Task Four").isBlockedByOverdue).toBe(true);
+  });
+
+  test("is not blocked once every blocker is done", () => {
+    const tasks = [
+      { id: "1", name: "A", isDone: true, isOverdue: false },
+      { id: "2", name: "B", isDone: false, isOverdue: false },
+    ];
+    linkDependencies(tasks, [
+      {},
+      { "Blocked By (Dependencies)": "1", "Blocking (Dependencies)": "" },
+    ]);
+    expect(tasks[1].blockedBy).toHaveLength(1);
+    expect(tasks[1].isBlocked).toBe(false);
+  });
+
+  test("de-duplicates links listed in both columns", () => {
+    const tasks = [
+      { id: "1", name: "A", isDone: false },
+      { id: "2", name: "B", isDone: false },
+    ];
+    linkDependencies(tasks, [
+      { "Blocking (Dependencies)": "B" },
+      { "Blocked By (Dependencies)": "1" },
+    ]);
+    expect(tasks[1].blockedBy).toHaveLength(1);
+    expect(tasks[0].blocking).toHaveLength(1);
+  });
+
+  test("treats a whole cell matching a name with commas as one reference", () => {
+    const tasks = [
+      { id: "1", name: "Design, review", isDone: false },
+      { id: "2", name: "Build", isDone: false },
+    ];
+    const result = linkDependencies(tasks, [
+      {},
+      { "Blocked By (Dependencies)": "Design, review" },
+    ]);
+    expect(tasks[1].blockedBy.map((t) => t.name)).toEqual(["Design, review"]);
+    expect(result.unresolved).toEqual([]);
+  });
+
+  test("reports references that match no task", () => {
+    const tasks = [{ id: "1", name: "A", isDone: false }];
+    const result = linkDependencies(tasks, [
+      { "Blocked By (Dependencies)": "Missing task" },
+    ]);
+    expect(result.unresolved).toEqual([{ task: "A", ref: "Missing task" }]);
+    expect(tasks[0].blockedBy).toEqual([]);
+  });
+});
+
+describe("buildDependencyGraph", () => {
+  let graph;
+
+  beforeAll(() => {
+    graph = processRecords(
+      loadTestData(),
+      new Date("2026-01-15"),
+    ).dependencyGraph;
+  });
+
+  test("includes only tasks with dependencies", () => {
+    expect(graph.nodes.map((n) => n.name).sort()).toEqual([
+      "Task Five",
+      "Task Four",
+      "Task One",
+      "Task Three",
+      "Task Two",
+    ]);
+  });
+
+  test("places blocked tasks in a later column than their blockers", () => {
+    const layer = (name) => graph.nodes.find((n) => n.name === name).layer;
+    expect(layer("Task One")).toBe(0);
+    expect(layer("Task Two")).toBe(1);
+    expect(layer("Task Four")).toBe(1);
+    expect(layer("Task Three")).toBe(0);
+  });
+
+  test("has one edge per link, drawn left to right", () => {
+    expect(graph.edges).toHaveLength(3);
+    graph.edges.forEach((edge) => {
+      // "M x1 y1 C cx1 cy1, cx2 cy2, x2 y2"
+      const coords = edge.path.match(/-?[\d.]+/g).map(Number);
+      expect(coords[6]).toBeGreaterThan(coords[0]);
+    });
+  });
+
+  test("sizes the canvas to fit every node", () => {
+    graph.nodes.forEach((node) => {
+      expect(node.x + graph.nodeWidth).toBeLessThanOrEqual(graph.width);
+      expect(node.y + graph.nodeHeight).toBeLessThanOrEqual(graph.height);
+    });
+  });
+
+  test("keeps tasks that share a name apart", () => {
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+    const { dependencyGraph: result } = processRecords(
+      [
+        { Name: "Build web" },
+        { Name: "Build app" },
+        { Name: "QA review", "Blocked By (Dependencies)": "Build web" },
+        { Name: "QA review", "Blocked By (Dependencies)": "Build app" },
+      ],
+      new Date("2026-01-15"),
+    );
+    warn.mockRestore();
+    const reviews = result.nodes.filter((n) => n.name === "QA review");
+    expect(reviews).toHaveLength(2);
+    // Each edge ends at its own review, not both at the same node
+    const ends = result.edges.map((edge) =>
+      edge.path
+        .match(/-?[\d.]+/g)
+        .map(Number)
+        .slice(6),
+    );
+    expect(ends).toEqual(
+      reviews.map((n) => [n.x, n.y + result.nodeHeight / 2]),
+    );
+  });
+
+  test("terminates on dependency cycles", () => {
+    const tasks = [
+      { id: "1", key: "1", name: "A", isDone: false },
+      { id: "2", key: "2", name: "B", isDone: false },
+    ];
+    linkDependencies(tasks, [
+      { "Blocked By (Dependencies)": "2" },
+      { "Blocked By (Dependencies)": "1" },
+    ]);
+    const result = buildDependencyGraph(tasks);
+    expect(result.nodes).toHaveLength(2);
+    expect(result.edges).toHaveLength(2);
+  });
+
+  test("is empty when no task has dependencies", () => {
+    const tasks = [{ id: "1", key: "1", name: "A", isDone: false }];
+    linkDependencies(tasks, [{}]);
+    expect(buildDependencyGraph(tasks)).toEqual(
+      expect.objectContaining({ nodes: [], edges: [], width: 0, height: 0 }),
+    );
+  });
+});
+
+describe("computeCriticalPath", () => {
+  const task = (name, startDate, dueDate) => ({
+    id: name,
+    name,
+    startDate,
+    dueDate,
+  });
+
+  test("follows the fixture's dependency chain past the project end", () => {
+    const data = processRecords(loadTestData(), new Date("2026-01-05"));
+    // Task Two (4 days) can't start until Task One finishes on 2026-01-10
+    expect(data.criticalPath.end).toBe("2026-01-14");
+    expect(data.criticalPath.slipDays).toBe(4);
+    expect(data.criticalPath.tasks.map((t) => t.name)).toEqual([
+      "Task One",
+      "Task Two",
+    ]);
+  });
+
+  test("computes total float for each dated task", () => {
+    const data = processRecords(loadTestData(), new Date("2026-01-05"));
+    const slack = (name) => data.all.find((t) => t.name === name).slackDays;
+    expect(slack("Task One")).toBe(0);
+    expect(slack("Task Two")).toBe(0);
+    expect(slack("Task Three")).toBe(6);
+    expect(slack("Task Five")).toBe(11);
+  });
+
+  test("leaves undated tasks without float", () => {
+    const data = processRecords(loadTestData(), new Date("2026-01-05"));
+    const taskSix = data.all.find((t) => t.name === "Task Six");
+    expect(taskSix.slackDays).toBeNull();
+    expect(taskSix.isCritical).toBe(false);
+  });
+
+  test("without dependencies the latest finishing task is critical", () => {
+    const tasks = [
+      task("A", "2026-03-01", "2026-03-05"),
+      task("B", "2026-03-02", "2026-03-10"),
+    ];
+    const result = computeCriticalPath(tasks, []);
+    expect(result.end).toBe("2026-03-10");
+    expect(result.tasks.map((t) => t.name)).toEqual(["B"]);
+    expect(tasks[0].slackDays).toBe(5);
+  });
+
+  test("blocked tasks start the day after their blocker finishes", () => {
+    const a = task("A", "2026-03-01", "2026-03-05");
+    const b = task("B", "2026-03-03", "2026-03-04");
+    const result = computeCriticalPath([a, b], [{ from: a, to: b }]);
+    // B (2 days) is pushed to 2026-03-06 .. 2026-03-07
+    expect(result.end).toBe("2026-03-07");
+    expect(a.isCritical).toBe(true);
+    expect(b.isCritical).toBe(true);
+  });
+
+  test("parallel branches get float from the longer one", () => {
+    const start = task("Start", "2026-03-01", "2026-03-01");
+    const short = task("Short", "2026-03-02", "2026-03-03");
+    const long = task("Long", "2026-03-02", "2026-03-08");
+    const end = task("End", "2026-03-09", "2026-03-09");
+    computeCriticalPath(
+      [start, short, long, end],
+      [
+        { from: start, to: short },
+        { from: start, to: long },
+        { from: short, to: end },
+        { from: long, to: end },
+      ],
+    );
+    expect(short.slackDays).toBe(5);
+    expect([start, long, end].every((t) => t.isCritical)).toBe(true);
+  });
+
+  test("leaves tasks in a dependency cycle out", () => {
+    const a = task("A", "2026-03-01", "2026-03-02");
+    const b = task("B", "2026-03-03", "2026-03-04");
+    const c = task("C", "2026-03-01", "2026-03-01");
+    const result = computeCriticalPath(
+      [a, b, c],
+      [
+        { from: a, to: b },
+        { from: b, to: a },
+      ],
+    );
+    expect(a.slackDays).toBeNull();
+    expect(b.slackDays).toBeNull();
+    expect(result.tasks.map((t) => t.name)).toEqual(["C"]);
+  });
+
+  test("a report whose dated tasks all form a cycle has no critical path", () => {
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+    const data = processRecords(
+      [
+        {
+          Name: "A",
+          "Due Date": "2026-03-02",
+          "Blocked By (Dependencies)": "B",
+        },
+        {
+          Name: "B",
+          "Due Date": "2026-03-04",
+          "Blocked By (Dependencies)": "A",
+        },
+      ],
+      "2026-03-01",
+    );
+    warn.mockRestore();
+    expect(data.criticalPath).toMatchObject({ tasks: [], end: null });
+    expect(data.all.map((t) => t.slackDays)).toEqual([null, null]);
+  });
+
+  test("tasks leading into a cycle still get float", () => {
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+    const data = processRecords(
+      [
+        { Name: "Z", "Due Date": "2026-03-01" },
+        {
+          Name: "A",
+          "Due Date": "2026-03-03",
+          "Blocked By (Dependencies)": "Z, B",
+        },
+        {
+          Name: "B",
+          "Due Date": "2026-03-05",
+          "Blocked By (Dependencies)": "A",
+        },
+      ],
+      "2026-03-01",
+    );
+    warn.mockRestore();
+    const z = data.all.find((t) => t.name === "Z");
+    expect(z.slackDays).toBe(0);
+    expect(data.criticalPath.end).toBe("2026-03-01");
+  });
+
+  test("has no end date when no task has dates", () => {
+    expect(computeCriticalPath([task("A", null, null)], [])).toEqual({
+      tasks: [],
+      end: null,
+    });
+  });
+});
+
+describe("As-of date", () => {
+  afterEach(() => {
+    delete process.env.DASHANA_CSV_PATH;
+    delete process.env.DASHANA_AS_OF;
+    delete process.env.DASHANA_VERSION;
+    jest.restoreAllMocks();
+  });
+
+  test("parseAsOfDate returns the YYYY-MM-DD day", () => {
+    expect(parseAsOfDate("2026-01-15")).toBe("2026-01-15");
+    expect(parseAsOfDate(" 2026-01-15 ")).toBe("2026-01-15");
+  });
+
+  test("parseAsOfDate rejects invalid and rollover dates", () => {
+    expect(parseAsOfDate("2026-02-30")).toBeNull();
+    expect(parseAsOfDate("15/01/2026")).toBeNull();
+    expect(parseAsOfDate("")).toBeNull();
+    expect(parseAsOfDate(undefined)).toBeNull();
+  });
+
+  test("resolveAsOfDate uses the snapshot version date", () => {
+    expect(resolveAsOfDate({ DASHANA_VERSION: "2026-01-05" })).toBe(
+      "2026-01-05",
+    );
+  });
+
+  test("DASHANA_AS_OF overrides the version date", () => {
+    const date = resolveAsOfDate({
+      DASHANA_VERSION: "2026-01-05",
+      DASHANA_AS_OF: "2026-01-09",
+    });
+    expect(date).toBe("2026-01-09");
+  });
+
+  test("resolveAsOfDate returns null (today) when unset", () => {
+    expect(resolveAsOfDate({})).toBeNull();
+  });
+
+  test("resolveAsOfDate warns and falls back to today for invalid values", () => {
+    const warnSpy = jest.spyOn(console, "warn").mockImplementation();
+    expect(resolveAsOfDate({ DASHANA_AS_OF: "last tuesday" })).toBeNull();
+    expect(warnSpy).toHaveBeenCalled();
+  });
+
+  test("versioned builds evaluate overdue as of the snapshot date", () => {
+    process.env.DASHANA_CSV_PATH = path.join(
+      __dirname,
+      "fixtures/test-project.csv",
+    );
+
+    // Before any due date has passed
+    process.env.DASHANA_VERSION = "2026-01-01";
+    const early = tasksModule();
+    expect(early.stats.overdue).toBe(0);
+    expect(early.asOf).toBe("2026-01-01");
+
+    // Task One, Two and Three are past due
+    process.env.DASHANA_VERSION = "2026-01-15";
+    const later = tasksModule();
+    expect(later.stats.overdue).toBe(3);
+    const taskOne = later.all.find((t) => t.name === "Task One");
+    expect(taskOne.daysUntilDue).toBe(-5);
+  });
+
+  test("duration progress is evaluated as of the snapshot date", () => {
+    process.env.DASHANA_CSV_PATH = path.join(
+      __dirname,
+      "fixtures/test-project.csv",
+    );
+    process.env.DASHANA_AS_OF = "2026-01-05";
+    const result = tasksModule();
+    // Task One runs 2026-01-01 to 2026-01-10
+    const taskOne = result.all.find((t) => t.name === "Task One");
+    expect(taskOne.duration.elapsed).toBe(4);
+    expect(taskOne.duration.hasStarted).toBe(true);
+  });
+
+  test("asOf is null for ordinary builds", () => {
+    process.env.DASHANA_CSV_PATH = path.join(
+      __dirname,
+      "fixtures/test-project.csv",
+    );
+    expect(tasksModule().asOf).toBeNull();
+  });
+});
+
+describe("loadTasks", () => {
+  const csvPath = path.join(__dirname, "fixtures/test-project.csv");
+  const config = require("../src/_data/config.js")();
+
+  test("processes an export once per path, as-of date and settings", () => {
+    const first = tasksModule.loadTasks(csvPath, "2026-01-15", config);
+    expect(tasksModule.loadTasks(csvPath, "2026-01-15", config)).toBe(first);
+    expect(tasksModule.loadTasks(csvPath, "2026-01-01", config)).not.toBe(
+      first,
+    );
+    expect(
+      tasksModule.loadTasks(csvPath, "2026-01-15", {
+        ...config,
+        staleDays: 0,
+      }),
+    ).not.toBe(first);
+  });
+
+  test("reloads an export that has changed", () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "dashana-"));
+    const copy = path.join(dir, "project.csv");
+    fs.copyFileSync(csvPath, copy);
+    fs.utimesSync(copy, new Date("2026-01-01"), new Date("2026-01-01"));
+    const first = tasksModule.loadTasks(copy, "2026-01-15", config);
+
+    fs.utimesSync(copy, new Date("2026-01-02"), new Date("2026-01-02"));
+    expect(tasksModule.loadTasks(copy, "2026-01-15", config)).not.toBe(first);
+    fs.rmSync(dir, { recursive: true });
+  });
+});
+
+describe("Nested subtasks", () => {
+  let data;
+  const byId = (id) => data.all.find((t) => t.id === id);
+
+  beforeAll(() => {
+    const warnSpy = jest.spyOn(console, "warn").mockImplementation();
+    const content = fs.readFileSync(
+      path.join(__dirname, "fixtures/test-project-nested.csv"),
+      "utf-8",
+    );
+    const records = parse(content, { columns: true, skip_empty_lines: true });
+    data = processRecords(records, new Date("2026-01-01"));
+    warnSpy.mockRestore();
+  });
+
+  test("resolves parents by Task ID when names are duplicated", () => {
+    // Three tasks are named "QA review"; each subtask names its parent by ID
+    expect(byId("4").parentKey).toBe("3");
+    expect(byId("7").parentKey).toBe("6");
+    expect(byId("9").parentKey).toBe("4");
+  });
+
+  test("falls back to the first task with a matching name", () => {
+    expect(byId("2").parentKey).toBe("1");
+    expect(byId("10").parentKey).toBe("2");
+  });
+
+  test("supports arbitrarily deep subtasks", () => {
+    expect(byId("5").depth).toBe(0);
+    expect(byId("6").depth).toBe(1);
+    expect(byId("7").depth).toBe(2);
+    expect(byId("8").depth).toBe(3);
+    expect(byId("8").ancestorKeys).toEqual(["5", "6", "7"]);
+  });
+
+  test("inherits the nearest ancestor's section", () => {
+    expect(byId("8").section).toBe("To do");
+    expect(byId("10").section).toBe("To do");
+  });
+
+  test("places each subtree directly after its parent", () => {
+    expect(data.all.map((t) => t.id)).toEqual([
+      "1",
+      "2",
+      "10",
+      "5",
+      "6",
+      "7",
+      "8",
+      "3",
+      "4",
+      "9",
+    ]);
+  });
+
+  test("groups subtasks in the same section for the board", () => {
+    expect(byId("6").subtasksInSection.map((t) => t.id)).toEqual(["7"]);
+    expect(byId("4").subtasksInSection).toEqual([]);
+    expect(byId("4").subtasksElsewhereCount).toBe(1);
+    expect(byId("9").parentInSameSection).toBe(false);
+  });
+
+  test("nests Gantt rows at every depth", () => {
+    const depths = Object.fromEntries(
+      data.gantt.rows.map((row) => [row.task.id, row.depth]),
+    );
+    expect(depths).toMatchObject({ 5: 0, 6: 1, 7: 2, 8: 3 });
+  });
+});
+
+describe("buildFilterFacets", () => {
+  let data;
+
+  beforeAll(() => {
+    data = processRecords(loadTestData(), new Date("2026-01-15"));
+  });
+
+  test("builds facets in dashboard order", () => {
+    const facets = Object.fromEntries(
+      data.filterFacets.map((f) => [f.key, f.values]),
+    );
+    expect(facets.assignee).toEqual(["Alice", "Bob", "Unassigned"]);
+    expect(facets.section).toEqual([
+      "To do",
+      "In Progress",
+      "Done",
+      "Completed",
+    ]);
+    expect(facets.priority).toEqual(["High", "Medium", "Low", "No priority"]);
+  });
+
+  test("adds a facet per custom field", () => {
+    const sprint = data.filterFacets.find((f) => f.key === "cf-sprint");
+    expect(sprint.label).toBe("Sprint");
+    expect(sprint.values).toEqual(["Sprint 1", "Sprint 2"]);
+  });
+
+  test("sets filterValues on each task", () => {
+    const taskTwo = data.all.find((t) => t.name === "Task Two");
+    expect(taskTwo.filterValues).toMatchObject({
+      key: "2",
+      assignee: "Bob",
+      section: "To do",
+      priority: "Medium",
+      status: "At risk",
+      tag: ["Backend"],
+      due: "2026-01-05",
+      overdue: true,
+      "cf-sprint": "Sprint 1",
+    });
+  });
+
+  test("drops facets with no values", () => {
+    const tasks = [{ key: "1", assignee: "Alice", section: "To do", tags: [] }];
+    const facets = buildFilterFacets(tasks, ["To do"], []);
+    expect(facets.map((f) => f.key)).not.toContain("tag");
+    expect(tasks[0].filterValues.priority).toBe("No priority");
+  });
+});
+
+describe("Task keys", () => {
+  test("use the Task ID, made safe for URLs", () => {
+    const result = processRecords(
+      [
+        { "Task ID": "PROJ 12/a", Name: "Spaced", "Section/Column": "To do" },
+        { "Task ID": "", Name: "No ID", "Section/Column": "To do" },
+      ],
+      new Date("2026-01-15"),
+    );
+    expect(result.all.map((t) => t.key).sort()).toEqual(["PROJ-12-a", "row-2"]);
+  });
+});
+
+describe("buildSearchIndex", () => {
+  test("indexes name, notes, tags, assignee and custom fields", () => {
+    const data = processRecords(loadTestData(), new Date("2026-01-15"));
+    const taskOne = data.searchIndex.find((entry) => entry.key === "1");
+    expect(taskOne).toEqual({
+      key: "1",
+      name: "Task One",
+      section: "To do",
+      fields: {
+        Notes: "First task with important details",
+        Tags: "Frontend, UI",
+        Assignee: "Alice",
+        Sprint: "Sprint 1",
+        "Story Points": "3",
+      },
+    });
+  });
+
+  test("leaves out empty fields and Unassigned", () => {
+    const [entry] = buildSearchIndex(
+      [
+        {
+          key: "9",
+          name: "Bare",
+          section: "To do",
+          notes: "",
+          tags: [],
+          assignee: "Unassigned",
+          customFields: { Sprint: "" },
+        },
+      ],
+      ["Sprint"],
+    );
+    expect(entry.fields).toEqual({});
+  });
+});
+
+describe("resolveParents", () => {
+  let warnSpy;
+
+  beforeEach(() => {
+    warnSpy = jest.spyOn(console, "warn").mockImplementation();
+  });
+
+  afterEach(() => {
+    warnSpy.mockRestore();
+  });
+
+  test("matches a Parent task value that is a Task ID", () => {
+    const { parentIndex } = resolveParents([
+      { "Task ID": "10", Name: "Parent" },
+      { "Task ID": "11", Name: "Child", "Parent task": "10" },
+    ]);
+    expect(parentIndex).toEqual([-1, 0]);
+  });
+
+  test("reports parents that match no task", () => {
+    const { parentIndex, unresolved } = resolveParents([
+      { "Task ID": "1", Name: "Child", "Parent task": "Missing" },
+    ]);
+    expect(parentIndex).toEqual([-1]);
+    expect(unresolved).toEqual([{ task: "Child", ref: "Missing" }]);
+    expect(warnSpy).toHaveBeenCalled();
+  });
+
+  test("breaks circular parent references", () => {
+    const { parentIndex } = resolveParents([
+      { "Task ID": "1", Name: "A", "Parent Task ID": "2" },
+      { "Task ID": "2", Name: "B", "Parent Task ID": "1" },
+      { "Task ID": "3", Name: "C", "Parent Task ID": "2" },
+    ]);
+    expect(parentIndex).toEqual([-1, 0, 1]);
+    expect(warnSpy).toHaveBeenCalled();
+  });
+
+  test("subtasks whose parent is missing become top-level tasks", () => {
+    const result = processRecords(
+      [
+        {
+          "Task ID": "1",
+          Name: "Orphan",
+          "Section/Column": "To do",
+          "Parent task": "Gone",
+        },
+      ],
+      new Date("2026-01-15"),
+    );
+    expect(result.all).toHaveLength(1);
+    expect(result.all[0].isSubtask).toBe(false);
+    expect(result.all[0].parentTask).toBe("Gone");
+  });
+});
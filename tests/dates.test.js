@@ -0,0 +1,303 @@
+/**
+ * Date Parsing Tests
+ *
+ * Tests dates.js (DATE_FORMAT day order, TIMEZONE for timestamps, day
+ * arithmetic) and that processRecords reads every date through it.
+ *
+ * Fixture: test-project-dmy.csv, a UK export with DD/MM/YYYY dates, as of
+ * 2026-04-01 with DATE_FORMAT=DMY and TIMEZONE=Europe/London
+ * (config-dates-uk.config). Its Last Modified timestamps fall either side
+ * of midnight in London around the start of British Summer Time:
+ * - Plan launch: 2026-03-28T23:30:00Z is 23:30 GMT on the 28th
+ * - Write copy: 2026-03-29T23:30:00Z is 00:30 BST on the 30th
+ */
+const fs = require("fs");
+const path = require("path");
+const { execSync } = require("child_process");
+const cheerio = require("cheerio");
+
+const {
+  parseDate,
+  dateInTimeZone,
+  toDay,
+  todayIn,
+  daysBetween,
+  addDays,
+  weekday,
+  dateOptionsFromConfig,
+} = require("../src/_data/dates.js");
+const { loadRecords, processRecords } = require("../src/_data/tasks.js");
+const loadConfig = require("../src/_data/config.js");
+
+const FIXTURE_CSV = path.join(__dirname, "fixtures/test-project-dmy.csv");
+const FIXTURE_CONFIG = path.join(__dirname, "fixtures/config-dates-uk.config");
+const AS_OF = "2026-04-01";
+const UK = { format: "DMY", timeZone: "Europe/London" };
+const SITE_DIR = path.join(__dirname, "../_site");
+
+describe("parseDate", () => {
+  test("reads ISO dates and rejects days that don't exist", () => {
+    expect(parseDate("2026-01-12")).toBe("2026-01-12");
+    expect(parseDate(" 2026-1-5 ")).toBe("2026-01-05");
+    expect(parseDate("2026-02-30")).toBeNull();
+    expect(parseDate("2026-13-01")).toBeNull();
+    expect(parseDate("2028-02-29")).toBe("2028-02-29");
+  });
+
+  test("returns null for empty and unparseable values", () => {
+    expect(parseDate("")).toBeNull();
+    expect(parseDate(null)).toBeNull();
+    expect(parseDate("next week")).toBeNull();
+    expect(parseDate("Done")).toBeNull();
+  });
+
+  test("reads ambiguous numeric dates in the configured order", () => {
+    expect(parseDate("01/04/2026", { format: "DMY" })).toBe("2026-04-01");
+    expect(parseDate("01/04/2026", { format: "MDY" })).toBe("2026-01-04");
+    expect(parseDate("01.04.26", { format: "DMY" })).toBe("2026-04-01");
+  });
+
+  test("AUTO takes the day first only when the first number can't be a month", () => {
+    expect(parseDate("13/03/2026")).toBe("2026-03-13");
+    expect(parseDate("03/13/2026")).toBe("2026-03-13");
+    // Both could be a month: read month first, as JavaScript does
+    expect(parseDate("02/03/2026")).toBe("2026-02-03");
+  });
+
+  test("rejects numbers that don't fit the configured order", () => {
+    expect(parseDate("03/13/2026", { format: "DMY" })).toBeNull();
+    expect(parseDate("13/03/2026", { format: "MDY" })).toBeNull();
+    expect(parseDate("31/02/2026", { format: "DMY" })).toBeNull();
+  });
+
+  test("ISO format accepts only year-first numeric dates", () => {
+    expect(parseDate("2026-04-01", { format: "ISO" })).toBe("2026-04-01");
+    expect(parseDate("01/04/2026", { format: "ISO" })).toBeNull();
+  });
+
+  test("reads month names in any format", () => {
+    expect(parseDate("09/Jan/26 4:00 PM", { format: "MDY" })).toBe(
+      "2026-01-09",
+    );
+    expect(parseDate("12 March 2026", { format: "ISO" })).toBe("2026-03-12");
+    expect(parseDate("Sept 3, 2026", { format: "DMY" })).toBe("2026-09-03");
+    expect(parseDate("12/Foo/26")).toBeNull();
+  });
+
+  test("keeps the date of timestamps without a UTC offset", () => {
+    expect(parseDate("2026-03-29 23:30", { timeZone: "Asia/Tokyo" })).toBe(
+      "2026-03-29",
+    );
+    expect(parseDate("29/03/2026 23:30", UK)).toBe("2026-03-29");
+  });
+
+  test("dates timestamps with an offset in the project timezone", () => {
+    const tokyo = { timeZone: "Asia/Tokyo" };
+    expect(parseDate("2026-03-29T16:30:00Z", tokyo)).toBe("2026-03-30");
+    expect(parseDate("2026-03-30T08:30:00+09:00", tokyo)).toBe("2026-03-30");
+    expect(parseDate("2026-03-29T23:30:00-0100", tokyo)).toBe("2026-03-30");
+    expect(parseDate("2026-03-29T16:30:00.000Z", { timeZone: "UTC" })).toBe(
+      "2026-03-29",
+    );
+  });
+});
+
+describe("Daylight saving boundaries", () => {
+  const london = { timeZone: "Europe/London" };
+
+  test("British Summer Time starts at 01:00 UTC on 2026-03-29", () => {
+    expect(parseDate("2026-03-28T23:30:00Z", london)).toBe("2026-03-28");
+    expect(parseDate("2026-03-29T00:30:00Z", london)).toBe("2026-03-29");
+    expect(parseDate("2026-03-29T22:59:00Z", london)).toBe("2026-03-29");
+    expect(parseDate("2026-03-29T23:30:00Z", london)).toBe("2026-03-30");
+  });
+
+  test("British Summer Time ends at 01:00 UTC on 2026-10-25", () => {
+    expect(parseDate("2026-10-24T22:30:00Z", london)).toBe("2026-10-24");
+    expect(parseDate("2026-10-24T23:30:00Z", london)).toBe("2026-10-25");
+    expect(parseDate("2026-10-25T23:30:00Z", london)).toBe("2026-10-25");
+  });
+
+  test("US and southern hemisphere changes", () => {
+    const newYork = { timeZone: "America/New_York" };
+    // EST until 07:00 UTC on 2026-03-08, EDT until 06:00 UTC on 2026-11-01
+    expect(parseDate("2026-03-08T04:30:00Z", newYork)).toBe("2026-03-07");
+    expect(parseDate("2026-03-09T03:30:00Z", newYork)).toBe("2026-03-08");
+    expect(parseDate("2026-11-01T03:30:00Z", newYork)).toBe("2026-10-31");
+    expect(parseDate("2026-11-02T04:30:00Z", newYork)).toBe("2026-11-01");
+    // Sydney leaves daylight time (UTC+11 to +10) on 2026-04-05
+    const sydney = { timeZone: "Australia/Sydney" };
+    expect(parseDate("2026-04-04T13:30:00Z", sydney)).toBe("2026-04-05");
+    expect(parseDate("2026-04-05T13:30:00Z", sydney)).toBe("2026-04-05");
+    expect(parseDate("2026-04-05T14:30:00Z", sydney)).toBe("2026-04-06");
+  });
+
+  test("days are counted whole across a clock change", () => {
+    expect(daysBetween("2026-03-28", "2026-03-30")).toBe(2);
+    expect(daysBetween("2026-10-24", "2026-10-26")).toBe(2);
+    expect(addDays("2026-03-28", 1)).toBe("2026-03-29");
+    expect(addDays("2026-10-25", 7)).toBe("2026-11-01");
+  });
+});
+
+describe("Day helpers", () => {
+  test("dateInTimeZone and todayIn use the given timezone", () => {
+    const instant = new Date("2026-03-31T12:30:00Z");
+    expect(dateInTimeZone(instant, "Pacific/Auckland")).toBe("2026-04-01");
+    expect(dateInTimeZone(instant, "Pacific/Honolulu")).toBe("2026-03-31");
+    expect(todayIn("Pacific/Auckland", instant)).toBe("2026-04-01");
+    expect(dateInTimeZone(new Date("nope"), "UTC")).toBeNull();
+  });
+
+  test("toDay reads strings with parseDate and Dates by their UTC date", () => {
+    expect(toDay("13/03/2026")).toBe("2026-03-13");
+    expect(toDay("01/04/2026", { format: "DMY" })).toBe("2026-04-01");
+    expect(toDay(new Date("2026-01-15T23:59:59Z"))).toBe("2026-01-15");
+    expect(toDay(null)).toBeNull();
+  });
+
+  test("daysBetween, addDays and weekday", () => {
+    expect(daysBetween("2026-01-01", "2026-01-05")).toBe(4);
+    expect(daysBetween("2026-01-05", "2026-01-01")).toBe(-4);
+    expect(addDays("2026-12-30", 3)).toBe("2027-01-02");
+    expect(addDays("2026-03-01", -1)).toBe("2026-02-28");
+    expect(weekday("2026-03-29")).toBe(0);
+    expect(weekday("2026-03-30")).toBe(1);
+    expect(weekday("1969-12-31")).toBe(3);
+  });
+});
+
+describe("dateOptionsFromConfig", () => {
+  test("reads DATE_FORMAT and TIMEZONE", () => {
+    process.env.DASHANA_CONFIG_PATH = FIXTURE_CONFIG;
+    const config = loadConfig();
+    delete process.env.DASHANA_CONFIG_PATH;
+    expect(dateOptionsFromConfig(config)).toEqual(UK);
+    expect(
+      dateOptionsFromConfig({ dates: { format: " dmy ", timeZone: "" } }),
+    ).toEqual({ format: "DMY", timeZone: "" });
+  });
+
+  test("warns about unknown values and falls back to the defaults", () => {
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+    try {
+      expect(
+        dateOptionsFromConfig({
+          dates: { format: "YMD", timeZone: "Mars/Olympus" },
+        }),
+      ).toEqual({ format: "AUTO", timeZone: "" });
+      expect(warn).toHaveBeenCalledWith(expect.stringContaining("YMD"));
+      expect(warn).toHaveBeenCalledWith(
+        expect.stringContaining("Mars/Olympus"),
+      );
+    } finally {
+      warn.mockRestore();
+    }
+  });
+});
+
+describe("processRecords with DATE_FORMAT and TIMEZONE", () => {
+  const records = loadRecords(FIXTURE_CSV);
+  const byId = (data, id) => data.all.find((t) => t.id === id);
+  const uk = processRecords(records, AS_OF, { dates: UK });
+
+  test("task dates are read day first and kept as YYYY-MM-DD", () => {
+    const launch = byId(uk, "4");
+    expect(launch.startDate).toBe("2026-04-01");
+    expect(launch.dueDate).toBe("2026-04-30");
+    expect(launch.createdAt).toBe("2026-03-20");
+    expect(byId(uk, "3").completedAt).toBe("2026-03-12");
+  });
+
+  test("project range, overdue and durations use the parsed days", () => {
+    expect(uk.projectRange).toEqual({
+      start: "2026-03-02",
+      end: "2026-04-30",
+      days: 60,
+    });
+    expect(byId(uk, "1").isOverdue).toBe(true);
+    expect(byId(uk, "2").isOverdue).toBe(false);
+    expect(byId(uk, "2").daysUntilDue).toBe(9);
+    expect(byId(uk, "4").duration.days).toBe(29);
+    expect(byId(uk, "4").timeline.startPercent).toBe(50);
+    expect(byId(uk, "3").cycleTimeDays).toBe(8);
+  });
+
+  test("the same export read month first is a different project", () => {
+    const us = processRecords(records, AS_OF);
+    expect(byId(us, "4").startDate).toBe("2026-01-04");
+    expect(us.projectRange.start).toBe("2026-01-04");
+    expect(byId(us, "2").dueDate).toBe("2026-10-04");
+  });
+
+  test("timestamps are dated in the project timezone", () => {
+    expect(byId(uk, "1").lastModified).toBe("2026-03-28");
+    expect(byId(uk, "2").lastModified).toBe("2026-03-30");
+    expect(byId(uk, "2").staleDays).toBe(2);
+
+    const utc = processRecords(records, AS_OF, {
+      dates: { format: "DMY", timeZone: "UTC" },
+    });
+    expect(byId(utc, "2").lastModified).toBe("2026-03-29");
+    expect(byId(utc, "2").staleDays).toBe(3);
+  });
+
+  test("dates that don't fit the format are data quality errors", () => {
+    const iso = processRecords(records, AS_OF, { dates: { format: "ISO" } });
+    const invalid = iso.dataQuality.issues.filter(
+      (i) => i.check === "invalid-date",
+    );
+    // Every date column except the Last Modified timestamps of rows 2 and 3
+    expect(invalid).toHaveLength(15);
+    expect(uk.dataQuality.errors).toBe(0);
+  });
+
+  test("without an as-of date, today is the date in the project timezone", () => {
+    jest.useFakeTimers({ now: new Date("2026-03-31T12:30:00Z") });
+    try {
+      const auckland = processRecords(records, null, {
+        dates: { format: "DMY", timeZone: "Pacific/Auckland" },
+      });
+      const honolulu = processRecords(records, null, {
+        dates: { format: "DMY", timeZone: "Pacific/Honolulu" },
+      });
+      expect(byId(auckland, "2").daysUntilDue).toBe(9);
+      expect(byId(honolulu, "2").daysUntilDue).toBe(10);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
+
+describe("UK dates build", () => {
+  beforeAll(() => {
+    execSync("npm run build", {
+      cwd: path.join(__dirname, ".."),
+      env: {
+        ...process.env,
+        DASHANA_CSV_PATH: FIXTURE_CSV,
+        DASHANA_CONFIG_PATH: FIXTURE_CONFIG,
+        DASHANA_AS_OF: AS_OF,
+      },
+      stdio: "pipe",
+    });
+  });
+
+  test("task pages show the dates read day first", () => {
+    const $ = cheerio.load(
+      fs.readFileSync(path.join(SITE_DIR, "task/4/index.html"), "utf-8"),
+    );
+    const text = $("main").text();
+    expect(text).toContain("2026-04-01");
+    expect(text).toContain("2026-04-30");
+  });
+
+  test("the tasks table flags the overdue task", () => {
+    const $ = cheerio.load(
+      fs.readFileSync(path.join(SITE_DIR, "tasks/index.html"), "utf-8"),
+    );
+    const overdue = $("tr.row-overdue");
+    expect(overdue).toHaveLength(1);
+    expect(overdue.text()).toContain("Plan launch");
+  });
+});
@@ -0,0 +1,256 @@
+/**
+ * Asana API Fetch Tests
+ *
+ * Tests scripts/fetch-asana.js against a local stand-in for the Asana API
+ * serving the tasks in test-project.json: top-level tasks two per page,
+ * subtasks from /tasks/<gid>/subtasks, and a 401 for any other token.
+ */
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { execFile } = require("child_process");
+
+const {
+  createClient,
+  fetchProjectTasks,
+  toCsv,
+  parseArgs,
+} = require("../scripts/fetch-asana.js");
+const { loadRecords, processRecords } = require("../src/_data/tasks.js");
+
+const TOKEN = "test-token";
+const FIXTURE_JSON = path.join(__dirname, "fixtures/test-project.json");
+const FIXTURE_CONFIG = path.join(__dirname, "fixtures/test-dashana.config");
+
+const fixtureTasks = JSON.parse(fs.readFileSync(FIXTURE_JSON, "utf-8")).data;
+const withSubtaskCount = (task) => ({
+  ...task,
+  num_subtasks: fixtureTasks.filter((t) => t.parent?.gid === task.gid).length,
+});
+
+let server;
+let baseUrl;
+let requests;
+
+function page(items, offset, size) {
+  const start = Number(offset) || 0;
+  const next = start + size < items.length ? String(start + size) : null;
+  return {
+    data: items.slice(start, start + size),
+    next_page: next ? { offset: next } : null,
+  };
+}
+
+beforeAll((done) => {
+  server = http.createServer((req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    requests.push(url);
+    const send = (status, body) => {
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(body));
+    };
+
+    if (req.headers.authorization !== `Bearer ${TOKEN}`) {
+      return send(401, { errors: [{ message: "Not Authorized" }] });
+    }
+    const offset = url.searchParams.get("offset");
+    if (url.pathname === "/api/projects/500/tasks") {
+      const topLevel = fixtureTasks.filter((t) => !t.parent);
+      return send(200, page(topLevel.map(withSubtaskCount), offset, 2));
+    }
+    const subtasks = url.pathname.match(/^\/api\/tasks\/(\d+)\/subtasks$/);
+    if (subtasks) {
+      const children = fixtureTasks.filter(
+        (t) => t.parent?.gid === subtasks[1],
+      );
+      return send(200, page(children.map(withSubtaskCount), offset, 2));
+    }
+    return send(404, { errors: [{ message: "project: Unknown object" }] });
+  });
+  server.listen(0, "127.0.0.1", () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+    done();
+  });
+});
+
+afterAll((done) => {
+  server.close(done);
+});
+
+beforeEach(() => {
+  requests = [];
+});
+
+describe("fetchProjectTasks", () => {
+  test("follows pagination and fetches subtasks", async () => {
+    const client = createClient({ token: TOKEN, baseUrl });
+    const tasks = await fetchProjectTasks(client, "500");
+    expect(tasks.map((t) => t.gid)).toEqual([
+      "1201",
+      "1204",
+      "1202",
+      "1203",
+      "1205",
+    ]);
+    // Two pages of project tasks, then one request per parent
+    const paths = requests.map((u) => u.pathname);
+    expect(paths.filter((p) => p.endsWith("/projects/500/tasks"))).toHaveLength(
+      2,
+    );
+    expect(paths.filter((p) => p.endsWith("/subtasks"))).toHaveLength(2);
+  });
+
+  test("asks for the fields the importer reads", async () => {
+    const client = createClient({ token: TOKEN, baseUrl });
+    await fetchProjectTasks(client, "500");
+    const fields = requests[0].searchParams.get("opt_fields").split(",");
+    expect(fields).toEqual(
+      expect.arrayContaining([
+        "memberships.project.gid",
+        "memberships.project.name",
+        "memberships.section.name",
+        "parent.name",
+      ]),
+    );
+  });
+
+  test("reports API errors with Asana's message", async () => {
+    const client = createClient({ token: "wrong", baseUrl });
+    await expect(fetchProjectTasks(client, "500")).rejects.toThrow(
+      "Asana API 401 for /projects/500/tasks: Not Authorized",
+    );
+  });
+
+  test("uses the HTTP function it is given", async () => {
+    const fetchImpl = jest.fn(async () => ({
+      ok: true,
+      status: 200,
+      json: async () => ({ data: [{ gid: "1", name: "Only task" }] }),
+    }));
+    const client = createClient({
+      token: TOKEN,
+      baseUrl: "https://asana.test/api/1.0/",
+      fetchImpl,
+    });
+    const tasks = await fetchProjectTasks(client, "42");
+    expect(tasks).toHaveLength(1);
+    expect(fetchImpl.mock.calls[0][0]).toMatch(
+      /^https:\/\/asana\.test\/api\/1\.0\/projects\/42\/tasks\?/,
+    );
+    expect(fetchImpl.mock.calls[0][1].headers.Authorization).toBe(
+      `Bearer ${TOKEN}`,
+    );
+  });
+});
+
+describe("toCsv", () => {
+  test("writes a CSV that loads like the JSON export", () => {
+    const tmp = path.join(os.tmpdir(), `fetch-${process.pid}.csv`);
+    fs.writeFileSync(tmp, toCsv(fixtureTasks));
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+    try {
+      const today = new Date("2026-01-15");
+      const fromCsv = processRecords(loadRecords(tmp), today).all;
+      const fromJson = processRecords(loadRecords(FIXTURE_JSON), today).all;
+      expect(fromCsv.map((t) => [t.id, t.parentTask, t.notes])).toEqual(
+        fromJson.map((t) => [t.id, t.parentTask, t.notes]),
+      );
+      expect(fromCsv.find((t) => t.id === "1201").customFields.Teams).toBe(
+        "Design, Web",
+      );
+    } finally {
+      warn.mockRestore();
+      fs.unlinkSync(tmp);
+    }
+  });
+
+  test("dates timestamps in the configured timezone", () => {
+    const tmp = path.join(os.tmpdir(), `fetch-tz-${process.pid}.csv`);
+    // Due 2026-01-12T17:00Z is already the 13th at UTC+14
+    const config = { dates: { timeZone: "Pacific/Kiritimati" } };
+    fs.writeFileSync(tmp, toCsv(fixtureTasks, "500", config));
+    try {
+      const [, record] = loadRecords(tmp);
+      expect(record["Task ID"]).toBe("1202");
+      expect(record["Due Date"]).toBe("2026-01-13");
+    } finally {
+      fs.unlinkSync(tmp);
+    }
+  });
+
+  test("uses the sections of the fetched project", () => {
+    const tmp = path.join(os.tmpdir(), `fetch-project-${process.pid}.csv`);
+    fs.writeFileSync(tmp, toCsv(fixtureTasks, "501"));
+    try {
+      const [, record] = loadRecords(tmp);
+      expect(record["Section/Column"]).toBe("Web");
+      expect(record["Other Sections"]).toBeUndefined();
+    } finally {
+      fs.unlinkSync(tmp);
+    }
+  });
+});
+
+describe("parseArgs", () => {
+  test("reads option pairs", () => {
+    expect(parseArgs(["--project", "500", "--output", "out.json"])).toEqual({
+      project: "500",
+      output: "out.json",
+    });
+  });
+
+  test("rejects unknown or incomplete options", () => {
+    expect(() => parseArgs(["--token", "x"])).toThrow("--token");
+    expect(() => parseArgs(["--project"])).toThrow("--project");
+  });
+});
+
+describe("fetch-asana script", () => {
+  const run = (args, env) =>
+    new Promise((resolve) => {
+      execFile(
+        "node",
+        [path.join(__dirname, "../scripts/fetch-asana.js"), ...args],
+        {
+          env: { ...process.env, DASHANA_CONFIG_PATH: FIXTURE_CONFIG, ...env },
+        },
+        (error, stdout, stderr) =>
+          resolve({ code: error ? error.code : 0, stdout, stderr }),
+      );
+    });
+
+  test("writes the project to the output file", async () => {
+    const output = path.join(os.tmpdir(), `fetch-${process.pid}.json`);
+    const result = await run(
+      ["--project", "500", "--output", output, "--api-url", baseUrl],
+      { ASANA_TOKEN: TOKEN },
+    );
+    expect(result.stdout).toContain("Fetched 5 tasks");
+    const written = JSON.parse(fs.readFileSync(output, "utf-8"));
+    fs.unlinkSync(output);
+    expect(written.data).toHaveLength(5);
+  });
+
+  test("asks for --output when DATA_FILES lists several exports", async () => {
+    const result = await run(["--project", "500", "--api-url", baseUrl], {
+      ASANA_TOKEN: TOKEN,
+      DASHANA_CONFIG_PATH: path.join(
+        __dirname,
+        "fixtures/config-data-files.config",
+      ),
+      DASHANA_DATA_DIR: path.join(__dirname, "fixtures/merge"),
+    });
+    expect(result.code).toBe(1);
+    expect(result.stderr).toContain(
+      "DATA_FILES lists 2 exports: pass --output to choose the file to write",
+    );
+    expect(requests).toHaveLength(0);
+  });
+
+  test("needs a token", async () => {
+    const result = await run(["--project", "500"], { ASANA_TOKEN: "" });
+    expect(result.code).toBe(1);
+    expect(result.stderr).toContain("ASANA_TOKEN is not set");
+  });
+});
@@ -0,0 +1,200 @@
+/**
+ * Lead Time, Cycle Time and Throughput Tests
+ *
+ * Tests the flow metrics computed from Created At, Start Date and
+ * Completed At, and the dashboard cards that show them.
+ *
+ * Fixture: test-project-flow.csv, as of Wednesday 2026-03-04
+ * - Four tasks done: lead times 11, 32, 1 and 0 days; cycle times 4, 18
+ *   and 0 (Write docs has no start date)
+ * - Hotfix is completed 2026-03-10, after the as-of date, so not counted
+ * - Completions fall in the weeks of Jan 12, Feb 2 (two) and Feb 16
+ */
+const fs = require("fs");
+const path = require("path");
+const { execSync } = require("child_process");
+const cheerio = require("cheerio");
+
+const {
+  loadRecords,
+  processRecords,
+  daysToComplete,
+  buildFlowMetrics,
+} = require("../src/_data/tasks.js");
+const { createCalendar } = require("../src/_data/calendar.js");
+
+const FIXTURE_CSV = path.join(__dirname, "fixtures/test-project-flow.csv");
+const FIXTURE_CONFIG = path.join(__dirname, "fixtures/test-dashana.config");
+const AS_OF = "2026-03-04";
+const SITE_DIR = path.join(__dirname, "../_site");
+
+describe("daysToComplete", () => {
+  test("counts calendar days from start to completion", () => {
+    expect(daysToComplete("2026-01-05", "2026-01-16")).toBe(11);
+    expect(daysToComplete("2026-02-16", "2026-02-16")).toBe(0);
+  });
+
+  test("needs both dates in order", () => {
+    expect(daysToComplete(null, "2026-01-16")).toBeNull();
+    expect(daysToComplete("2026-01-05", null)).toBeNull();
+    expect(daysToComplete("2026-01-16", "2026-01-05")).toBeNull();
+    expect(daysToComplete("soon", "2026-01-05")).toBeNull();
+  });
+
+  test("counts working days with a calendar", () => {
+    const calendar = createCalendar({});
+    // Friday to the next Friday is five working days
+    expect(daysToComplete("2026-01-09", "2026-01-16", calendar)).toBe(5);
+  });
+});
+
+describe("Flow metrics", () => {
+  let data;
+
+  beforeAll(() => {
+    data = processRecords(loadRecords(FIXTURE_CSV), new Date(AS_OF));
+  });
+
+  test("tasks carry their dates and lead and cycle times", () => {
+    const api = data.all.find((t) => t.id === "2");
+    expect(api.createdAt).toBe("2026-01-05");
+    expect(api.completedAt).toBe("2026-02-06");
+    expect(api.leadTimeDays).toBe(32);
+    expect(api.cycleTimeDays).toBe(18);
+    const open = data.all.find((t) => t.id === "5");
+    expect(open.leadTimeDays).toBeNull();
+  });
+
+  test("lead time summarises tasks completed by the as-of date", () => {
+    const { leadTime } = data.flowMetrics;
+    expect(leadTime.count).toBe(4);
+    expect(leadTime.average).toBe(11);
+    expect(leadTime.median).toBe(1);
+    expect(leadTime.p85).toBe(32);
+  });
+
+  test("lead time histogram buckets", () => {
+    const counts = data.flowMetrics.leadTime.histogram.map((b) => b.count);
+    expect(counts).toEqual([1, 1, 0, 0, 1, 0, 1]);
+    expect(data.flowMetrics.leadTime.histogram[0].percent).toBe(100);
+  });
+
+  test("lead time by section and assignee", () => {
+    const { leadTime } = data.flowMetrics;
+    expect(leadTime.bySection).toEqual({ Done: { average: 11, count: 4 } });
+    expect(leadTime.byAssignee).toEqual({
+      Alice: { average: 6, count: 2 },
+      Bob: { average: 16, count: 2 },
+    });
+  });
+
+  test("cycle time only counts tasks with a start date", () => {
+    const { cycleTime } = data.flowMetrics;
+    expect(cycleTime.count).toBe(3);
+    expect(cycleTime.average).toBe(7.3);
+    expect(cycleTime.median).toBe(4);
+    expect(cycleTime.p85).toBe(18);
+  });
+
+  test("throughput counts completions per week up to the as-of week", () => {
+    const { throughput } = data.flowMetrics;
+    expect(throughput.weeks.map((w) => [w.start, w.count])).toEqual([
+      ["2026-01-12", 1],
+      ["2026-01-19", 0],
+      ["2026-01-26", 0],
+      ["2026-02-02", 2],
+      ["2026-02-09", 0],
+      ["2026-02-16", 1],
+      ["2026-02-23", 0],
+      ["2026-03-02", 0],
+    ]);
+    expect(throughput.total).toBe(4);
+    expect(throughput.averagePerWeek).toBe(0.5);
+    expect(throughput.weeks[3].percent).toBe(100);
+  });
+
+  test("throughput is limited to the most recent twelve weeks", () => {
+    const { throughput } = buildFlowMetrics(
+      [{ completedAt: "2025-06-02", leadTimeDays: null, cycleTimeDays: null }],
+      new Date(AS_OF),
+      [],
+    );
+    expect(throughput.weeks).toHaveLength(12);
+    expect(throughput.weeks[0].start).toBe("2025-12-15");
+    expect(throughput.total).toBe(0);
+  });
+
+  test("metrics are null without completion dates", () => {
+    expect(buildFlowMetrics([], new Date(AS_OF), [])).toEqual({
+      leadTime: null,
+      cycleTime: null,
+      throughput: null,
+    });
+  });
+});
+
+describe("Flow Metrics on the Dashboard", () => {
+  let $;
+
+  beforeAll(() => {
+    execSync("npm run build", {
+      cwd: path.join(__dirname, ".."),
+      stdio: "pipe",
+      env: {
+        ...process.env,
+        DASHANA_CSV_PATH: FIXTURE_CSV,
+        DASHANA_CONFIG_PATH: FIXTURE_CONFIG,
+        DASHANA_AS_OF: AS_OF,
+      },
+    });
+    $ = cheerio.load(
+      fs.readFileSync(path.join(SITE_DIR, "index.html"), "utf-8"),
+    );
+  });
+
+  test("shows lead time with its breakdowns", () => {
+    const card = $(".metric-lead-time");
+    expect(card.find(".flow-average").text()).toBe("11d");
+    expect(card.find(".custom-total-detail").text()).toContain(
+      "85% within 32d",
+    );
+    const assignees = card
+      .find(".flow-by-assignee .custom-breakdown-item")
+      .map((_i, el) => $(el).text().replace(/\s+/g, " ").trim())
+      .get();
+    expect(assignees).toEqual(["Alice 6d", "Bob 16d"]);
+  });
+
+  test("shows the cycle time histogram", () => {
+    const labels = $(".metric-cycle-time .flow-histogram .priority-name")
+      .map((_i, el) => $(el).text())
+      .get();
+    expect(labels).toEqual([
+      "0d",
+      "1d",
+      "2–3d",
+      "4–7d",
+      "8–14d",
+      "15–30d",
+      "31+d",
+    ]);
+  });
+
+  test("shows weekly throughput", () => {
+    const card = $(".metric-throughput");
+    expect(card.find(".flow-average").text()).toBe("0.5");
+    expect(card.find(".throughput-week")).toHaveLength(8);
+    expect(card.find(".throughput-week").eq(3).attr("title")).toBe(
+      "Week of 2026-02-02: 2 done",
+    );
+  });
+
+  test("task pages show lead and cycle time", () => {
+    const page = cheerio.load(
+      fs.readFileSync(path.join(SITE_DIR, "task/2/index.html"), "utf-8"),
+    );
+    const fields = page(".task-fields").text().replace(/\s+/g, " ");
+    expect(fields).toContain("Lead time 32d");
+    expect(fields).toContain("Cycle time 18d");
+  });
+});
@@ -0,0 +1,232 @@
+/**
+ * Completion Forecast Tests
+ *
+ * Tests the Monte Carlo forecast (forecast.js) and its dashboard card.
+ *
+ * Fixtures:
+ * - test-project-flow.csv as of 2026-03-04: 2 open tasks, weekly
+ *   completions 1, 0, 0, 2, 0, 1, 0 before the current week, project end
+ *   2026-03-10
+ * - test-project.csv with test-history.json: no completion dates, so the
+ *   forecast falls back to the done counts of tagged versions
+ */
+const fs = require("fs");
+const path = require("path");
+const { execSync } = require("child_process");
+const cheerio = require("cheerio");
+
+const forecastModule = require("../src/_data/forecast.js");
+const {
+  createRandom,
+  samplesFromThroughput,
+  samplesFromHistory,
+  simulateWeeks,
+  buildForecast,
+} = forecastModule;
+
+const FLOW_CSV = path.join(__dirname, "fixtures/test-project-flow.csv");
+const PROJECT_CSV = path.join(__dirname, "fixtures/test-project.csv");
+const FIXTURE_CONFIG = path.join(__dirname, "fixtures/test-dashana.config");
+const FIXTURE_HISTORY = path.join(__dirname, "fixtures/test-history.json");
+const SITE_DIR = path.join(__dirname, "../_site");
+
+// Run the data module with the given environment
+function forecastWith(env) {
+  const saved = { ...process.env };
+  Object.assign(process.env, env);
+  const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+  try {
+    return forecastModule();
+  } finally {
+    warn.mockRestore();
+    process.env = saved;
+  }
+}
+
+describe("createRandom", () => {
+  test("repeats for the same seed and stays in [0, 1)", () => {
+    const a = createRandom(42);
+    const b = createRandom(42);
+    const values = Array.from({ length: 100 }, () => a());
+    expect(values).toEqual(Array.from({ length: 100 }, () => b()));
+    expect(values.every((v) => v >= 0 && v < 1)).toBe(true);
+    expect(createRandom(43)()).not.toBe(values[0]);
+  });
+});
+
+describe("Throughput samples", () => {
+  test("leave out the current, unfinished week", () => {
+    const weeks = [{ count: 1 }, { count: 3 }, { count: 0 }];
+    expect(samplesFromThroughput({ weeks })).toEqual([1, 3]);
+    expect(samplesFromThroughput({ weeks: [{ count: 2 }] })).toEqual([2]);
+    expect(samplesFromThroughput(null)).toEqual([]);
+  });
+
+  test("spread the done count between snapshots over the weeks", () => {
+    expect(
+      samplesFromHistory([
+        { date: "2026-01-01", done: 0 },
+        { date: "2026-01-03", done: 5 },
+        { date: "2026-01-17", done: 9 },
+        { date: "2026-02-14", done: 8 },
+      ]),
+    ).toEqual([2, 2, 0, 0, 0, 0]);
+  });
+});
+
+describe("simulateWeeks", () => {
+  test("a steady pace always needs the same weeks", () => {
+    const weeks = simulateWeeks([2], 5, 10, createRandom(1));
+    expect(weeks).toEqual(Array(10).fill(3));
+  });
+
+  test("results are sorted", () => {
+    const weeks = simulateWeeks([0, 1, 4], 6, 200, createRandom(7));
+    expect(weeks).toEqual([...weeks].sort((a, b) => a - b));
+    expect(weeks[0]).toBeGreaterThanOrEqual(2);
+  });
+});
+
+describe("buildForecast", () => {
+  const today = "2026-03-04";
+
+  test("dates each confidence level from today", () => {
+    const forecast = buildForecast({
+      remaining: 5,
+      samples: [2],
+      source: "completions",
+      today,
+    });
+    expect(forecast.status).toBe("forecast");
+    expect(forecast.outcomes).toEqual([
+      { confidence: 50, weeks: 3, date: "2026-03-25" },
+      { confidence: 85, weeks: 3, date: "2026-03-25" },
+      { confidence: 95, weeks: 3, date: "2026-03-25" },
+    ]);
+    expect(forecast.likely.date).toBe("2026-03-25");
+    expect(forecast.averagePerWeek).toBe(2);
+    expect(forecast.chanceByPlannedEnd).toBeNull();
+  });
+
+  test("compares with the planned end date", () => {
+    const late = buildForecast({
+      remaining: 5,
+      samples: [2],
+      today,
+      plannedEnd: "2026-03-18",
+    });
+    expect(late.chanceByPlannedEnd).toBe(0);
+    expect(late.slipDays).toBe(7);
+
+    const early = buildForecast({
+      remaining: 5,
+      samples: [2],
+      today,
+      plannedEnd: "2026-03-25",
+    });
+    expect(early.chanceByPlannedEnd).toBe(100);
+    expect(early.slipDays).toBe(0);
+  });
+
+  test("later confidence levels never come earlier", () => {
+    const { outcomes } = buildForecast({
+      remaining: 10,
+      samples: [0, 1, 2, 5],
+      today,
+    });
+    expect(outcomes[0].weeks).toBeLessThanOrEqual(outcomes[1].weeks);
+    expect(outcomes[1].weeks).toBeLessThanOrEqual(outcomes[2].weeks);
+  });
+
+  test("reports why there is no forecast", () => {
+    const status = (remaining, samples) =>
+      buildForecast({ remaining, samples, today }).status;
+    expect(status(0, [1])).toBe("done");
+    expect(status(3, [])).toBe("no-data");
+    expect(status(3, [0, 0])).toBe("no-progress");
+  });
+});
+
+describe("Forecast data", () => {
+  test("uses completion dates when there are some", () => {
+    const forecast = forecastWith({
+      DASHANA_CSV_PATH: FLOW_CSV,
+      DASHANA_CONFIG_PATH: FIXTURE_CONFIG,
+      DASHANA_AS_OF: "2026-03-04",
+    });
+    expect(forecast.status).toBe("forecast");
+    expect(forecast.source).toBe("completions");
+    expect(forecast.remaining).toBe(2);
+    expect(forecast.sampleWeeks).toBe(7);
+    expect(forecast.averagePerWeek).toBe(0.6);
+    expect(forecast.plannedEnd).toBe("2026-03-10");
+  });
+
+  test("falls back to tagged versions without completion dates", () => {
+    const forecast = forecastWith({
+      DASHANA_CSV_PATH: PROJECT_CSV,
+      DASHANA_CONFIG_PATH: FIXTURE_CONFIG,
+      DASHANA_HISTORY_PATH: FIXTURE_HISTORY,
+      DASHANA_AS_OF: "2026-01-15",
+    });
+    expect(forecast.source).toBe("history");
+    // Dec 15 to Jan 1 (2 weeks), Jan 1 to Jan 15 (2 weeks)
+    expect(forecast.sampleWeeks).toBe(4);
+    expect(forecast.status).toBe("forecast");
+  });
+
+  test("has nothing to go on without either", () => {
+    const forecast = forecastWith({
+      DASHANA_CSV_PATH: PROJECT_CSV,
+      DASHANA_CONFIG_PATH: FIXTURE_CONFIG,
+      DASHANA_HISTORY_PATH: path.join(__dirname, "fixtures/missing.json"),
+      DASHANA_AS_OF: "2026-01-15",
+    });
+    expect(forecast.status).toBe("no-data");
+  });
+});
+
+describe("Forecast on the Dashboard", () => {
+  let $;
+  let expected;
+
+  beforeAll(() => {
+    const env = {
+      DASHANA_CSV_PATH: FLOW_CSV,
+      DASHANA_CONFIG_PATH: FIXTURE_CONFIG,
+      DASHANA_AS_OF: "2026-03-04",
+    };
+    expected = forecastWith(env);
+    execSync("npm run build", {
+      cwd: path.join(__dirname, ".."),
+      stdio: "pipe",
+      env: { ...process.env, ...env },
+    });
+    $ = cheerio.load(
+      fs.readFileSync(path.join(SITE_DIR, "index.html"), "utf-8"),
+    );
+  });
+
+  test("shows the 85% date and each confidence level", () => {
+    const card = $(".metric-forecast");
+    expect(card.find(".forecast-date").text()).toBe(expected.likely.date);
+    expect(card.find(".forecast-outcomes li")).toHaveLength(3);
+    expect(card.find(".forecast-basis").text()).toContain(
+      "2 open tasks at 0.6 per week, from 7 weeks of completion dates",
+    );
+  });
+
+  test("compares with the project end date", () => {
+    const card = $(".metric-forecast");
+    expect(card.hasClass("is-late")).toBe(expected.slipDays > 0);
+    expect(card.find(".forecast-compare").text()).toContain(
+      `${expected.chanceByPlannedEnd}% chance of finishing by then`,
+    );
+  });
+
+  test("the completion card mentions the forecast", () => {
+    expect($(".completion-forecast").text()).toBe(
+      `Forecast: done by ${expected.likely.date} (85% likely)`,
+    );
+  });
+});
@@ -0,0 +1,204 @@
+/**
+ * Trend History Tests
+ *
+ * Tests snapshot stats collection (history.js, scripts/collect-history.js)
+ * and the burn-up / burn-down / overdue trend charts on the dashboard.
+ *
+ * Uses test-history.json fixture with two past snapshots
+ * (2025-12-15, 2026-01-01) and one future snapshot (2099-01-01) that
+ * should never appear in a build made before that date.
+ */
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execSync } = require("child_process");
+const cheerio = require("cheerio");
+
+const historyModule = require("../src/_data/history.js");
+const { snapshotStats, buildTrendChart } = historyModule;
+const { loadRecords } = require("../src/_data/tasks.js");
+
+const FIXTURE_CSV = path.join(__dirname, "fixtures/test-project.csv");
+const FIXTURE_HISTORY = path.join(__dirname, "fixtures/test-history.json");
+const FIXTURE_CONFIG = path.join(__dirname, "fixtures/test-dashana.config");
+const SITE_DIR = path.join(__dirname, "../_site");
+
+function loadPage(pagePath) {
+  const filePath = path.join(SITE_DIR, pagePath);
+  const html = fs.readFileSync(filePath, "utf-8");
+  return cheerio.load(html);
+}
+
+describe("snapshotStats", () => {
+  test("summarises a snapshot as of its own date", () => {
+    const stats = snapshotStats(loadRecords(FIXTURE_CSV), "2026-01-15");
+    expect(stats).toEqual({
+      date: "2026-01-15",
+      total: 10,
+      done: 3,
+      open: 7,
+      overdue: 3,
+      bySection: { "To do": 5, "In Progress": 2, Done: 2, Completed: 1 },
+    });
+  });
+
+  test("counts overdue relative to the snapshot date, not today", () => {
+    // Nothing is due before 2026-01-01
+    const stats = snapshotStats(loadRecords(FIXTURE_CSV), "2026-01-01");
+    expect(stats.overdue).toBe(0);
+  });
+});
+
+describe("buildTrendChart", () => {
+  const snapshots = [
+    { date: "2026-01-01", total: 8, done: 0 },
+    { date: "2026-01-03", total: 8, done: 2 },
+    { date: "2026-01-11", total: 10, done: 6 },
+  ];
+
+  test("has one series per requested key", () => {
+    const chart = buildTrendChart(snapshots, [
+      { key: "total", label: "Total scope" },
+      { key: "done", label: "Done" },
+    ]);
+    expect(chart.series.map((s) => s.key)).toEqual(["total", "done"]);
+    expect(chart.series[0].dots).toHaveLength(3);
+  });
+
+  test("spaces points proportionally to snapshot dates", () => {
+    const chart = buildTrendChart(snapshots, [{ key: "done", label: "Done" }]);
+    const xs = chart.series[0].dots.map((d) => d.x);
+    // 2 days then 8 days: the second gap is four times the first
+    expect(xs[0]).toBe(chart.plot.left);
+    expect(xs[2]).toBe(chart.plot.right);
+    expect(Math.round((xs[2] - xs[1]) / (xs[1] - xs[0]))).toBe(4);
+  });
+
+  test("scales the y axis to the largest value", () => {
+    const chart = buildTrendChart(snapshots, [
+      { key: "total", label: "Total scope" },
+    ]);
+    const top = chart.yTicks[chart.yTicks.length - 1];
+    expect(top.value).toBeGreaterThanOrEqual(10);
+    expect(top.y).toBe(chart.plot.top);
+    expect(chart.yTicks[0]).toEqual({ value: 0, y: chart.plot.bottom });
+  });
+
+  test("higher values are drawn higher on the chart", () => {
+    const chart = buildTrendChart(snapshots, [{ key: "done", label: "Done" }]);
+    const ys = chart.series[0].dots.map((d) => d.y);
+    expect(ys[0]).toBeGreaterThan(ys[1]);
+    expect(ys[1]).toBeGreaterThan(ys[2]);
+  });
+
+  test("handles all-zero series without NaN", () => {
+    const chart = buildTrendChart(
+      [
+        { date: "2026-01-01", overdue: 0 },
+        { date: "2026-01-02", overdue: 0 },
+      ],
+      [{ key: "overdue", label: "Overdue" }],
+    );
+    expect(chart.series[0].points).not.toContain("NaN");
+  });
+});
+
+describe("history data", () => {
+  afterEach(() => {
+    delete process.env.DASHANA_HISTORY_PATH;
+    delete process.env.DASHANA_CSV_PATH;
+    delete process.env.DASHANA_VERSION;
+  });
+
+  test("has no trends without earlier snapshots", () => {
+    process.env.DASHANA_HISTORY_PATH = path.join(
+      __dirname,
+      "fixtures/nonexistent-history.json",
+    );
+    process.env.DASHANA_CSV_PATH = FIXTURE_CSV;
+    const history = historyModule();
+    expect(history.hasTrends).toBe(false);
+    expect(history.snapshots).toHaveLength(1);
+  });
+
+  test("appends the current build after past snapshots", () => {
+    process.env.DASHANA_HISTORY_PATH = FIXTURE_HISTORY;
+    process.env.DASHANA_CSV_PATH = FIXTURE_CSV;
+    process.env.DASHANA_VERSION = "2026-01-15";
+    const history = historyModule();
+    expect(history.hasTrends).toBe(true);
+    expect(history.snapshots.map((s) => s.date)).toEqual([
+      "2025-12-15",
+      "2026-01-01",
+      "2026-01-15",
+    ]);
+    expect(history.snapshots[2].total).toBe(10);
+  });
+
+  test("versioned builds exclude later snapshots", () => {
+    process.env.DASHANA_HISTORY_PATH = FIXTURE_HISTORY;
+    process.env.DASHANA_CSV_PATH = FIXTURE_CSV;
+    process.env.DASHANA_VERSION = "2026-01-01";
+    const history = historyModule();
+    expect(history.snapshots.map((s) => s.date)).toEqual([
+      "2025-12-15",
+      "2026-01-01",
+    ]);
+  });
+});
+
+describe("collect-history script", () => {
+  test("writes stats for each date=csv argument in date order", () => {
+    const outputPath = path.join(os.tmpdir(), `history-${process.pid}.json`);
+    execSync(
+      `node scripts/collect-history.js "${outputPath}" "2026-01-15=${FIXTURE_CSV}" "2026-01-01=${FIXTURE_CSV}"`,
+      { cwd: path.join(__dirname, ".."), stdio: "pipe" },
+    );
+    const history = JSON.parse(fs.readFileSync(outputPath, "utf-8"));
+    fs.unlinkSync(outputPath);
+
+    expect(history.map((s) => s.date)).toEqual(["2026-01-01", "2026-01-15"]);
+    expect(history[0].overdue).toBe(0);
+    expect(history[1].overdue).toBe(3);
+  });
+});
+
+describe("Dashboard Trend Charts", () => {
+  let $;
+
+  beforeAll(() => {
+    execSync("npm run build", {
+      cwd: path.join(__dirname, ".."),
+      stdio: "pipe",
+      env: {
+        ...process.env,
+        DASHANA_CSV_PATH: FIXTURE_CSV,
+        DASHANA_CONFIG_PATH: FIXTURE_CONFIG,
+        DASHANA_HISTORY_PATH: FIXTURE_HISTORY,
+      },
+    });
+    $ = loadPage("index.html");
+  });
+
+  test("renders burn-up, burn-down and overdue charts", () => {
+    expect($(".metric-burnup .trend-chart").length).toBe(1);
+    expect($(".metric-burndown .trend-chart").length).toBe(1);
+    expect($(".metric-overdue-trend .trend-chart").length).toBe(1);
+  });
+
+  test("burn-up plots total scope and done", () => {
+    expect($(".metric-burnup .trend-line.trend-total").length).toBe(1);
+    expect($(".metric-burnup .trend-line.trend-done").length).toBe(1);
+  });
+
+  test("plots one point per snapshot plus the current build", () => {
+    // 2 past snapshots + current (future snapshot excluded)
+    expect($(".metric-burndown .trend-dot").length).toBe(3);
+  });
+
+  test("charts have an accessible label", () => {
+    const label = $(".metric-burnup .trend-chart").attr("aria-label");
+    expect(label).toContain("Burn-up");
+    expect(label).toContain("2025-12-15");
+  });
+});
@@ -0,0 +1,317 @@
+/**
+ * Localization Tests
+ *
+ * Tests i18n.js (translation bundles, plurals, TEXT.<key> overrides, the
+ * date display format) and that a LOCALE=de build renders German labels
+ * and dates.
+ *
+ * Fixture: test-project.csv as of 2026-01-05 with config-locale-de.config,
+ * which keeps a custom dashboard name (Cockpit) and overrides the card's
+ * "Due:" label.
+ */
+const fs = require("fs");
+const path = require("path");
+const { execSync } = require("child_process");
+const cheerio = require("cheerio");
+
+const {
+  loadBundle,
+  resolveLocale,
+  textOverrides,
+  lookup,
+  interpolate,
+  pluralForm,
+  formatDate,
+  createI18n,
+} = require("../src/_data/i18n.js");
+
+const FIXTURE_CSV = path.join(__dirname, "fixtures/test-project.csv");
+const FIXTURE_CONFIG = path.join(__dirname, "fixtures/config-locale-de.config");
+const AS_OF = "2026-01-05";
+const SITE_DIR = path.join(__dirname, "../_site");
+const LOCALES = ["en", "de", "fr"];
+
+// Dotted keys of every message in a bundle (plural forms count as one)
+function messageKeys(messages, prefix = "") {
+  return Object.entries(messages).flatMap(([key, value]) =>
+    value && typeof value === "object" && !Array.isArray(value) && !value.other
+      ? messageKeys(value, `${prefix}${key}.`)
+      : [`${prefix}${key}`],
+  );
+}
+
+function withConfig(overrides = {}) {
+  return {
+    viewNames: { dashboard: "Dashboard", board: "Board" },
+    pageHeadings: { dashboard: "Project Overview" },
+    i18n: { locale: "en", dateFormat: "" },
+    text: {},
+    ...overrides,
+  };
+}
+
+describe("Translation bundles", () => {
+  test.each(
+    LOCALES.slice(1),
+  )("%s translates every English key and nothing else", (locale) => {
+    expect(messageKeys(loadBundle(locale)).sort()).toEqual(
+      messageKeys(loadBundle("en")).sort(),
+    );
+  });
+
+  test.each(LOCALES)("%s names twelve months and seven weekdays", (locale) => {
+    const { dates } = loadBundle(locale);
+    expect(dates.months).toHaveLength(12);
+    expect(dates.monthsShort).toHaveLength(12);
+    expect(dates.weekdays).toHaveLength(7);
+    expect(dates.weekdaysShort).toHaveLength(7);
+  });
+
+  test("returns null for locales without a bundle", () => {
+    expect(loadBundle("xx")).toBeNull();
+  });
+});
+
+describe("resolveLocale", () => {
+  test("uses the exact bundle, then the language", () => {
+    expect(resolveLocale("fr")).toEqual({ locale: "fr", bundle: "fr" });
+    expect(resolveLocale("de-AT")).toEqual({ locale: "de-AT", bundle: "de" });
+    expect(resolveLocale("de_CH")).toEqual({ locale: "de-CH", bundle: "de" });
+    expect(resolveLocale("")).toEqual({ locale: "en", bundle: "en" });
+  });
+
+  test("warns and falls back to English for unknown locales", () => {
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+    try {
+      expect(resolveLocale("tlh")).toEqual({ locale: "en", bundle: "en" });
+      expect(resolveLocale("../en")).toEqual({ locale: "en", bundle: "en" });
+      expect(warn).toHaveBeenCalledWith(expect.stringContaining("tlh"));
+    } finally {
+      warn.mockRestore();
+    }
+  });
+});
+
+describe("Message helpers", () => {
+  test("lookup follows dotted keys and ignores prototype names", () => {
+    const messages = { board: { due: "Due: {date}" } };
+    expect(lookup(messages, "board.due")).toBe("Due: {date}");
+    expect(lookup(messages, "board.missing")).toBeUndefined();
+    expect(lookup(messages, "board.due.deeper")).toBeUndefined();
+    expect(lookup(messages, "constructor")).toBeUndefined();
+  });
+
+  test("interpolate fills {name} and leaves unknown placeholders", () => {
+    expect(interpolate("{done} of {total} done", { done: 2, total: 5 })).toBe(
+      "2 of 5 done",
+    );
+    expect(interpolate("Due: {date}", {})).toBe("Due: {date}");
+    expect(interpolate("{count} tasks", { count: 0 })).toBe("0 tasks");
+  });
+
+  test("pluralForm follows each language's rules", () => {
+    const tasks = { one: "one", other: "other" };
+    expect(pluralForm(tasks, 1, "en")).toBe("one");
+    expect(pluralForm(tasks, 0, "en")).toBe("other");
+    // French counts zero as singular
+    expect(pluralForm(tasks, 0, "fr")).toBe("one");
+    expect(pluralForm(tasks, 2, "de")).toBe("other");
+  });
+
+  test("textOverrides nests TEXT.<key> settings", () => {
+    expect(
+      textOverrides({ "board.due": "Termin: {date}", "nav.board": "Tafel" }),
+    ).toEqual({ board: { due: "Termin: {date}" }, nav: { board: "Tafel" } });
+    expect(textOverrides({})).toEqual({});
+  });
+});
+
+describe("formatDate", () => {
+  const english = loadBundle("en");
+  const german = loadBundle("de");
+
+  test("formats days with the pattern tokens", () => {
+    expect(formatDate("2026-03-05", "YYYY-MM-DD", english)).toBe("2026-03-05");
+    expect(formatDate("2026-03-05", "DD.MM.YYYY", german)).toBe("05.03.2026");
+    expect(formatDate("2026-03-05", "D/M/YY", english)).toBe("5/3/26");
+    expect(formatDate("2026-03-05", "dddd, D. MMMM YYYY", german)).toBe(
+      "Donnerstag, 5. März 2026",
+    );
+    expect(formatDate("2026-03-05", "ddd MMM D", english)).toBe("Thu Mar 5");
+  });
+
+  test("keeps text in brackets", () => {
+    expect(formatDate("2026-03-05", "[Day] D [of] MMMM", english)).toBe(
+      "Day 5 of March",
+    );
+  });
+
+  test("formats Dates by their UTC day", () => {
+    expect(formatDate(new Date("2026-03-05"), "DD.MM.YYYY", german)).toBe(
+      "05.03.2026",
+    );
+  });
+
+  test("returns anything that isn't a day unchanged", () => {
+    expect(formatDate("v1.2", "DD.MM.YYYY", german)).toBe("v1.2");
+    expect(formatDate("2026-02-30", "DD.MM.YYYY", german)).toBe("2026-02-30");
+    expect(formatDate("Sprint 1", "DD.MM.YYYY", german)).toBe("Sprint 1");
+    expect(formatDate("", "DD.MM.YYYY", german)).toBe("");
+    expect(formatDate(null, "DD.MM.YYYY", german)).toBe("");
+  });
+});
+
+describe("createI18n", () => {
+  test("English keeps ISO dates and the config's names", () => {
+    const i18n = createI18n(withConfig());
+    expect(i18n.locale).toBe("en");
+    expect(i18n.formatDate("2026-01-10")).toBe("2026-01-10");
+    expect(i18n.t("common.tasks", { count: 1 })).toBe("1 task");
+    expect(i18n.t("common.tasks", { count: 3 })).toBe("3 tasks");
+    expect(i18n.viewNames.dashboard).toBe("Dashboard");
+    expect(i18n.pageHeadings.dashboard).toBe("Project Overview");
+  });
+
+  test("translates labels and default names, keeps renamed views", () => {
+    const i18n = createI18n(
+      withConfig({
+        viewNames: { dashboard: "Cockpit", board: "Board" },
+        i18n: { locale: "de", dateFormat: "" },
+      }),
+    );
+    expect(i18n.t("common.done")).toBe("Erledigt");
+    expect(i18n.t("board.due", { date: "10.01.2026" })).toBe(
+      "Fällig: 10.01.2026",
+    );
+    expect(i18n.formatDate("2026-01-10")).toBe("10.01.2026");
+    expect(i18n.viewNames.dashboard).toBe("Cockpit");
+    expect(i18n.viewNames.board).toBe("Board");
+    expect(i18n.viewNames.tasks).toBe("Aufgaben");
+    expect(i18n.pageHeadings.dashboard).toBe("Projektübersicht");
+  });
+
+  test("DATE_DISPLAY_FORMAT wins over the bundle's format", () => {
+    const i18n = createI18n(
+      withConfig({ i18n: { locale: "fr", dateFormat: "D MMMM YYYY" } }),
+    );
+    expect(i18n.formatDate("2026-01-10")).toBe("10 janvier 2026");
+    expect(i18n.formatDate("2026-01-10", "DD/MM")).toBe("10/01");
+  });
+
+  test("TEXT overrides replace single strings and plural forms", () => {
+    const i18n = createI18n(
+      withConfig({
+        i18n: { locale: "de", dateFormat: "" },
+        text: {
+          "board.due": "Termin: {date}",
+          "common.tasks.other": "{count} Vorgänge",
+          "dates.monthsShort": "J,F,M,A,M,J,J,A,S,O,N,D",
+        },
+      }),
+    );
+    expect(i18n.t("board.due", { date: "x" })).toBe("Termin: x");
+    expect(i18n.t("common.tasks", { count: 3 })).toBe("3 Vorgänge");
+    expect(i18n.t("common.tasks", { count: 1 })).toBe("1 Aufgabe");
+    expect(i18n.formatDate("2026-03-05", "MMM YYYY")).toBe("M 2026");
+    // Untouched keys still come from the bundle
+    expect(i18n.t("common.open")).toBe("Offen");
+  });
+
+  test("falls back to English for keys a bundle lacks, then to the key", () => {
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+    try {
+      const i18n = createI18n(
+        withConfig({ text: { "custom.greeting": "Hello {name}" } }),
+      );
+      expect(i18n.t("custom.greeting", { name: "Ada" })).toBe("Hello Ada");
+      expect(i18n.t("no.such.key")).toBe("no.such.key");
+      expect(warn).toHaveBeenCalledWith(expect.stringContaining("no.such.key"));
+    } finally {
+      warn.mockRestore();
+    }
+  });
+});
+
+describe("German build", () => {
+  beforeAll(() => {
+    execSync("npm run build", {
+      cwd: path.join(__dirname, ".."),
+      env: {
+        ...process.env,
+        DASHANA_CSV_PATH: FIXTURE_CSV,
+        DASHANA_CONFIG_PATH: FIXTURE_CONFIG,
+        DASHANA_AS_OF: AS_OF,
+      },
+      stdio: "pipe",
+    });
+  });
+
+  const load = (page) =>
+    cheerio.load(
+      fs.readFileSync(path.join(SITE_DIR, page, "index.html"), "utf-8"),
+    );
+
+  test("sets the page language and translates the navigation", () => {
+    const $ = load("");
+    expect($("html").attr("lang")).toBe("de");
+    const nav = $(".nav-link")
+      .map((_, el) => $(el).text().trim())
+      .get();
+    expect(nav).toEqual([
+      "Cockpit",
+      "Board",
+      "Aufgaben",
+      "Zeitplan",
+      "Abhängigkeiten",
+    ]);
+    expect($("title").text()).toBe("Cockpit | Test German Report");
+  });
+
+  test("the dashboard shows German labels and dates", () => {
+    const $ = load("");
+    expect($(".dashboard h2").text()).toBe("Projektübersicht");
+    expect($(".dashboard-subtitle").text()).toBe(
+      "10 Aufgaben insgesamt · Stand 05.01.2026",
+    );
+    expect($(".metric-overdue .metric-title").text()).toBe("Überfällig");
+    expect($(".overdue-label").text()).toMatch(/^Aufgaben? überfällig$/);
+  });
+
+  test("cards use the overridden due label and German dates", () => {
+    const $ = load("board");
+    const card = $("#task-1");
+    expect(card.find(".task-due").text().trim()).toBe("Termin: 10.01.2026");
+    expect(card.find(".completion-label").text()).toBe("Offen");
+    expect($(".filter-apply").text()).toBe("Anwenden");
+  });
+
+  test("the tasks table has German headers and dates", () => {
+    const $ = load("tasks");
+    const headers = $(".task-table th")
+      .map((_, el) => $(el).text())
+      .get();
+    expect(headers).toEqual(
+      expect.arrayContaining(["Name", "Abschnitt", "Fälligkeitsdatum"]),
+    );
+    expect($("#task-1 .col-due").text().trim()).toBe("10.01.2026");
+  });
+
+  test("Gantt months use German month names", () => {
+    const $ = load("timeline");
+    expect($(".gantt-month").first().text()).toBe("Jan. 2026");
+    expect($(".timeline-table th.col-start").text()).toBe("Beginn");
+  });
+
+  test("the data quality page explains issues in German", () => {
+    const $ = load("quality");
+    expect($("#check-no-assignee .quality-message").first().text()).toBe(
+      "Offene Aufgabe hat keinen Bearbeiter",
+    );
+  });
+
+  test("the search script gets the German messages", () => {
+    const html = fs.readFileSync(path.join(SITE_DIR, "index.html"), "utf-8");
+    expect(html).toContain('"noMatches":"Keine passenden Aufgaben"');
+    expect(html).toContain('"Notes":"Notizen"');
+  });
+});
@@ -0,0 +1,412 @@
+/**
+ * Importer Tests
+ *
+ * Tests the Jira, Trello and GitHub Projects importers (importers.js) that
+ * turn other tools' CSV exports into Asana-shaped records.
+ *
+ * Fixtures:
+ * - test-jira.csv: epic SHOP-1 with stories SHOP-2 (done, Sprint 1) and
+ *   SHOP-3 (Sprints 1 and 2, blocked by SHOP-2); sub-task SHOP-4 under SHOP-2
+ *   by Issue id. Labels and Sprint are repeated columns.
+ * - test-trello.csv: 3 open cards in To Do / Doing (one due-complete) and
+ *   one archived card
+ * - test-github.csv: issue app#2 (Done) is a sub-issue of app#1; one draft
+ * - test-project.json: Asana JSON export with two subtasks both named
+ *   "Write copy" (parents by gid), a dependency, HTML-only notes, typed
+ *   custom fields and a task in a second project's section
+ */
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execSync } = require("child_process");
+const cheerio = require("cheerio");
+
+const {
+  getImporter,
+  toIsoDate,
+  normalizePriority,
+  githubRef,
+  htmlToText,
+  importAsanaJson,
+} = require("../src/_data/importers.js");
+const {
+  loadRecords,
+  processRecords,
+  resolveDataPath,
+} = require("../src/_data/tasks.js");
+
+const fixture = (name) => path.join(__dirname, "fixtures", name);
+const SITE_DIR = path.join(__dirname, "../_site");
+
+function importFixture(name, importer) {
+  return processRecords(
+    loadRecords(fixture(name), { importer }),
+    new Date("2026-01-15"),
+  );
+}
+
+describe("toIsoDate", () => {
+  test("keeps the date part of ISO dates and timestamps", () => {
+    expect(toIsoDate("2026-01-12")).toBe("2026-01-12");
+    expect(toIsoDate("2026-01-12T17:00:00.000Z")).toBe("2026-01-12");
+  });
+
+  test("parses Jira dates", () => {
+    expect(toIsoDate("09/Jan/26 4:00 PM")).toBe("2026-01-09");
+    expect(toIsoDate("31/Jan/2026")).toBe("2026-01-31");
+  });
+
+  test("parses GitHub dates", () => {
+    expect(toIsoDate("Jan 9, 2026")).toBe("2026-01-09");
+  });
+
+  test("returns empty for anything else", () => {
+    expect(toIsoDate("")).toBe("");
+    expect(toIsoDate("next week")).toBe("");
+  });
+});
+
+describe("normalizePriority", () => {
+  test("maps other scales onto High / Medium / Low", () => {
+    expect(normalizePriority("Highest")).toBe("High");
+    expect(normalizePriority("Major")).toBe("Medium");
+    expect(normalizePriority("Trivial")).toBe("Low");
+    expect(normalizePriority("P0")).toBe("High");
+  });
+
+  test("keeps unknown values", () => {
+    expect(normalizePriority("Someday")).toBe("Someday");
+  });
+
+  test("keeps values of the configured ladder", () => {
+    const ladder = ["P0", "P1", "P2", "P3"];
+    expect(normalizePriority("P0", ladder)).toBe("P0");
+    expect(normalizePriority("p1", ladder)).toBe("p1");
+    // Others still map onto the built-in scale
+    expect(normalizePriority("Highest", ladder)).toBe("High");
+  });
+});
+
+describe("githubRef", () => {
+  test("shortens issue URLs and references", () => {
+    expect(githubRef("https://github.com/acme/app/issues/12")).toBe("app#12");
+    expect(githubRef("acme/app#12")).toBe("app#12");
+  });
+});
+
+describe("getImporter", () => {
+  test("is case-insensitive and defaults to Asana", () => {
+    expect(getImporter("JIRA").name).toBe("jira");
+    expect(getImporter(undefined).name).toBe("asana");
+  });
+
+  test("warns and falls back to Asana for unknown importers", () => {
+    const warnSpy = jest.spyOn(console, "warn").mockImplementation();
+    expect(getImporter("Basecamp").name).toBe("asana");
+    expect(warnSpy).toHaveBeenCalled();
+    warnSpy.mockRestore();
+  });
+});
+
+describe("Jira importer", () => {
+  let data;
+  const byId = (id) => data.all.find((t) => t.id === id);
+
+  beforeAll(() => {
+    data = importFixture("test-jira.csv", "jira");
+  });
+
+  test("uses the latest sprint as the section", () => {
+    expect(data.sectionNames).toEqual(["Backlog", "Sprint 1", "Sprint 2"]);
+    expect(byId("SHOP-3").section).toBe("Sprint 2");
+  });
+
+  test("marks resolved issues as done", () => {
+    expect(byId("SHOP-2").isDone).toBe(true);
+    expect(byId("SHOP-3").isDone).toBe(false);
+  });
+
+  test("nests issues under epics and parents", () => {
+    expect(byId("SHOP-2").parentTask).toBe("Checkout redesign");
+    // Parent given by Issue id
+    expect(byId("SHOP-4").parentTask).toBe("Payment form");
+  });
+
+  test("joins repeated label columns into tags", () => {
+    expect(byId("SHOP-2").tags).toEqual(["frontend", "payments"]);
+  });
+
+  test("reads dates, priorities and links", () => {
+    expect(byId("SHOP-2").dueDate).toBe("2026-01-10");
+    expect(byId("SHOP-2").priority).toBe("High");
+    expect(byId("SHOP-3").blockedBy.map((t) => t.name)).toEqual([
+      "Payment form",
+    ]);
+  });
+
+  test("keeps the workflow status and non-empty custom fields", () => {
+    expect(data.customFieldNames).toEqual(["Jira Status", "Story Points"]);
+    expect(byId("SHOP-3").customFields["Jira Status"]).toBe("In Progress");
+  });
+
+  test("fills Status only from configured statuses", () => {
+    expect(byId("SHOP-3").status).toBeNull();
+    const records = loadRecords(fixture("test-jira.csv"), {
+      importer: "jira",
+      workflow: { statuses: "On track:ok, in progress:warning" },
+    });
+    expect(records.map((r) => r.Status)).toEqual([
+      "in progress",
+      "",
+      "in progress",
+      "",
+    ]);
+  });
+});
+
+describe("Trello importer", () => {
+  let data;
+  const byId = (id) => data.all.find((t) => t.id === id);
+
+  beforeAll(() => {
+    data = importFixture("test-trello.csv", "trello");
+  });
+
+  test("uses lists as sections and leaves out archived cards", () => {
+    expect(data.sectionNames).toEqual(["To Do", "Doing"]);
+    expect(data.all).toHaveLength(3);
+  });
+
+  test("strips label colours", () => {
+    expect(byId("c1").tags).toEqual(["Content", "Urgent"]);
+  });
+
+  test("treats due-complete cards as done", () => {
+    expect(byId("c3").isDone).toBe(true);
+    expect(byId("c2").isDone).toBe(false);
+    // The due date is not a completion date
+    expect(byId("c3").completedAt).toBeNull();
+  });
+
+  test("keeps extra columns as custom fields", () => {
+    expect(data.customFieldNames).toEqual(["Points"]);
+  });
+});
+
+describe("GitHub Projects importer", () => {
+  let data;
+  const byName = (name) => data.all.find((t) => t.name === name);
+
+  beforeAll(() => {
+    data = importFixture("test-github.csv", "github");
+  });
+
+  test("uses the Status field as the section", () => {
+    expect(data.sectionNames).toEqual(["In Progress", "Done", "Todo"]);
+    expect(byName("Login page").isDone).toBe(true);
+  });
+
+  test("identifies issues by repository and number", () => {
+    expect(byName("Launch v2").id).toBe("app#1");
+    expect(byName("Login page").parentTask).toBe("Launch v2");
+  });
+
+  test("draft items have no Task ID", () => {
+    expect(byName("Draft: metrics").id).toBe("");
+  });
+
+  test("reads GitHub dates and priorities", () => {
+    expect(byName("Login page").dueDate).toBe("2026-01-09");
+    expect(byName("Login page").priority).toBe("High");
+    expect(data.customFieldNames).toEqual(["Iteration"]);
+  });
+
+  test("keeps P0-P3 priorities when PRIORITIES lists them", () => {
+    const records = loadRecords(fixture("test-github.csv"), {
+      importer: "github",
+      workflow: { priorities: "P0:red, P1:amber, P2, P3" },
+    });
+    expect(records.map((r) => r.Priority).slice(0, 2)).toEqual(["P1", "P0"]);
+  });
+});
+
+describe("htmlToText", () => {
+  test("turns Asana rich text into plain lines", () => {
+    expect(
+      htmlToText(
+        "<body>Hero &amp; pricing<ul><li>Copy</li><li>Images</li></ul></body>",
+      ),
+    ).toBe("Hero & pricing\n• Copy\n• Images");
+    expect(htmlToText("<body>One<br>Two</body>")).toBe("One\nTwo");
+  });
+});
+
+describe("Asana JSON export", () => {
+  let data;
+  const byId = (id) => data.all.find((t) => t.id === id);
+
+  beforeAll(() => {
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    data = processRecords(
+      loadRecords(fixture("test-project.json")),
+      new Date("2026-01-15"),
+    );
+  });
+
+  afterAll(() => {
+    console.warn.mockRestore();
+  });
+
+  test("uses the first section as the column", () => {
+    expect(data.sectionNames).toEqual(["To do", "In Progress", "Done"]);
+    expect(byId("1205").isDone).toBe(true);
+  });
+
+  test("attaches subtasks by parent gid even when names repeat", () => {
+    expect(byId("1203").parentTask).toBe("Build landing page");
+    expect(byId("1203").section).toBe("In Progress");
+    expect(byId("1204").parentTask).toBe("Plan launch");
+    expect(byId("1204").section).toBe("To do");
+  });
+
+  test("links dependencies by gid", () => {
+    expect(byId("1202").blockedBy.map((t) => t.name)).toEqual(["Plan launch"]);
+  });
+
+  test("reads dates, notes and assignees", () => {
+    expect(byId("1202").dueDate).toBe("2026-01-12");
+    expect(byId("1202").notes).toBe("Hero & pricing\n• Copy\n• Images");
+    expect(byId("1201").assignee).toBe("Alice");
+  });
+
+  test("flattens typed custom fields", () => {
+    expect(byId("1201").priority).toBe("High");
+    expect(byId("1202").priority).toBe("Medium");
+    expect(byId("1201").status).toBe("On track");
+    expect(byId("1201").customFields).toMatchObject({
+      Estimate: "3",
+      "Review date": "2026-01-08",
+      Teams: "Design, Web",
+    });
+  });
+
+  test("keeps sections from other projects", () => {
+    expect(data.customFieldNames).toContain("Other Sections");
+    expect(byId("1202").customFields["Other Sections"]).toBe("Web");
+  });
+
+  test("lists every project a task is in", () => {
+    expect(byId("1202").projects).toEqual(["Launch", "Marketing"]);
+    expect(byId("1201").projects).toEqual(["Launch"]);
+    expect(data.filterFacets.find((f) => f.key === "project").values).toEqual([
+      "Launch",
+      "Marketing",
+    ]);
+  });
+
+  test("reads only the given project's sections", () => {
+    const json = JSON.parse(
+      fs.readFileSync(fixture("test-project.json"), "utf-8"),
+    );
+    const [, task] = importAsanaJson(json, {}, "501");
+    expect(task["Task ID"]).toBe("1202");
+    expect(task["Section/Column"]).toBe("Web");
+    expect(task["Other Sections"]).toBeUndefined();
+  });
+
+  test("accepts a bare array of tasks", () => {
+    const json = JSON.parse(
+      fs.readFileSync(fixture("test-project.json"), "utf-8"),
+    );
+    const tmp = path.join(os.tmpdir(), `asana-${process.pid}.json`);
+    fs.writeFileSync(tmp, JSON.stringify(json.data));
+    try {
+      expect(loadRecords(tmp)).toHaveLength(5);
+    } finally {
+      fs.unlinkSync(tmp);
+    }
+  });
+});
+
+describe("resolveDataPath", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "dashana-data-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("prefers project.csv", () => {
+    fs.writeFileSync(path.join(dir, "project.csv"), "");
+    fs.writeFileSync(path.join(dir, "project.json"), "[]");
+    expect(resolveDataPath(dir)).toBe(path.join(dir, "project.csv"));
+  });
+
+  test("falls back to project.json", () => {
+    fs.writeFileSync(path.join(dir, "project.json"), "[]");
+    expect(resolveDataPath(dir)).toBe(path.join(dir, "project.json"));
+  });
+});
+
+describe("Site built from a Jira export", () => {
+  let $;
+
+  beforeAll(() => {
+    execSync("npm run build", {
+      cwd: path.join(__dirname, ".."),
+      stdio: "pipe",
+      env: {
+        ...process.env,
+        DASHANA_CSV_PATH: fixture("test-jira.csv"),
+        DASHANA_CONFIG_PATH: fixture("config-importer-jira.config"),
+      },
+    });
+    $ = cheerio.load(
+      fs.readFileSync(path.join(SITE_DIR, "board/index.html"), "utf-8"),
+    );
+  });
+
+  test("renders a board column per sprint", () => {
+    const columns = $(".column-title")
+      .map((_i, el) => $(el).text().trim())
+      .get();
+    expect(columns).toEqual(["Backlog", "Sprint 1", "Sprint 2"]);
+  });
+
+  test("names the source on the dashboard", () => {
+    const index = cheerio.load(
+      fs.readFileSync(path.join(SITE_DIR, "index.html"), "utf-8"),
+    );
+    expect(index(".dashboard-subtitle").text()).toContain("from Jira");
+  });
+});
+
+describe("Site built from an Asana JSON export", () => {
+  test("renders every task", () => {
+    execSync("npm run build", {
+      cwd: path.join(__dirname, ".."),
+      stdio: "pipe",
+      env: {
+        ...process.env,
+        DASHANA_CSV_PATH: fixture("test-project.json"),
+        DASHANA_CONFIG_PATH: fixture("test-dashana.config"),
+      },
+    });
+    const $ = cheerio.load(
+      fs.readFileSync(path.join(SITE_DIR, "tasks/index.html"), "utf-8"),
+    );
+    expect($(".task-table tbody tr").length).toBe(5);
+    expect($("#task-1203").text()).toContain("Write copy");
+
+    // Date custom fields go through the date filter on the board too
+    const board = cheerio.load(
+      fs.readFileSync(path.join(SITE_DIR, "board/index.html"), "utf-8"),
+    );
+    expect(board("#task-1201 time.custom-field-value").attr("datetime")).toBe(
+      "2026-01-08",
+    );
+  });
+});
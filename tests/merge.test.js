@@ -0,0 +1,243 @@
+/**
+ * Merged Export Tests
+ *
+ * Tests merging several exports of one project (DATA_FILES) by Task ID,
+ * and the Projects membership the views group and filter by.
+ *
+ * Fixtures: tests/fixtures/merge/, as of 2026-01-05
+ * - website.csv: tasks 1-3 in the Website project
+ * - mobile-app.csv: task 3 again, modified later (now Done); task 2
+ *   again, modified earlier (renamed "Write copy"); task 4
+ * - Merged: four tasks; 2 and 3 belong to both projects, 2 keeps the
+ *   Website copy and 3 the Mobile App copy
+ */
+const fs = require("fs");
+const path = require("path");
+const { execSync } = require("child_process");
+const cheerio = require("cheerio");
+
+const {
+  loadRecords,
+  mergeRecords,
+  parseList,
+  processRecords,
+  resolveDataPath,
+} = require("../src/_data/tasks.js");
+
+const MERGE_DIR = path.join(__dirname, "fixtures/merge");
+const FIXTURE_CONFIG = path.join(
+  __dirname,
+  "fixtures/config-data-files.config",
+);
+const AS_OF = "2026-01-05";
+const SITE_DIR = path.join(__dirname, "../_site");
+
+const DATA_FILES = [
+  path.join(MERGE_DIR, "website.csv"),
+  path.join(MERGE_DIR, "mobile-app.csv"),
+];
+
+const record = (id, lastModified, fields = {}) => ({
+  "Task ID": id,
+  Name: `Task ${id}`,
+  "Last Modified": lastModified,
+  ...fields,
+});
+
+describe("parseList", () => {
+  test("splits a comma-separated cell into trimmed values", () => {
+    expect(parseList("Website, Mobile App")).toEqual(["Website", "Mobile App"]);
+    expect(parseList("12, Design review,34")).toEqual([
+      "12",
+      "Design review",
+      "34",
+    ]);
+    expect(parseList(" , Website,")).toEqual(["Website"]);
+    expect(parseList("")).toEqual([]);
+    expect(parseList(undefined)).toEqual([]);
+  });
+});
+
+describe("mergeRecords", () => {
+  test("keeps the copy modified last, wherever it comes from", () => {
+    const merged = mergeRecords([
+      [record("1", "2026-01-04", { Name: "Newer" })],
+      [record("1", "2026-01-02", { Name: "Older" })],
+    ]);
+    expect(merged).toHaveLength(1);
+    expect(merged[0].Name).toBe("Newer");
+
+    const reversed = mergeRecords([
+      [record("1", "2026-01-02", { Name: "Older" })],
+      [record("1", "2026-01-04", { Name: "Newer" })],
+    ]);
+    expect(reversed[0].Name).toBe("Newer");
+  });
+
+  test("reads Last Modified in the configured date format", () => {
+    const merged = mergeRecords(
+      [
+        [record("1", "05/01/2026", { Name: "5 January" })],
+        [record("1", "02/01/2026", { Name: "2 January" })],
+      ],
+      { format: "DMY" },
+    );
+    expect(merged[0].Name).toBe("5 January");
+  });
+
+  test("the later export wins on a tie or when neither is dated", () => {
+    const tie = mergeRecords([
+      [record("1", "2026-01-04", { Name: "First" })],
+      [record("1", "2026-01-04", { Name: "Second" })],
+    ]);
+    expect(tie[0].Name).toBe("Second");
+
+    const undated = mergeRecords([
+      [record("1", "", { Name: "First" })],
+      [record("1", "", { Name: "Second" })],
+    ]);
+    expect(undated[0].Name).toBe("Second");
+  });
+
+  test("a dated copy wins over an undated one", () => {
+    const undatedLater = mergeRecords([
+      [record("1", "2026-01-04", { Name: "Dated" })],
+      [record("1", "", { Name: "Undated" })],
+    ]);
+    expect(undatedLater[0].Name).toBe("Dated");
+
+    const undatedFirst = mergeRecords([
+      [record("1", "", { Name: "Undated" })],
+      [record("1", "2026-01-04", { Name: "Dated" })],
+    ]);
+    expect(undatedFirst[0].Name).toBe("Dated");
+  });
+
+  test("lists the projects of every copy", () => {
+    const merged = mergeRecords([
+      [record("1", "2026-01-04", { Projects: "Website" })],
+      [record("1", "2026-01-02", { Projects: "Mobile App, Website" })],
+      [record("1", "2026-01-01", { Projects: "" })],
+    ]);
+    expect(merged[0].Projects).toBe("Website, Mobile App");
+  });
+
+  test("keeps export order, with each task where it first appeared", () => {
+    const merged = mergeRecords([
+      [record("1", ""), record("2", "")],
+      [record("3", ""), record("1", "")],
+    ]);
+    expect(merged.map((r) => r["Task ID"])).toEqual(["1", "2", "3"]);
+  });
+
+  test("leaves tasks without a Task ID and repeats within an export", () => {
+    const merged = mergeRecords([
+      [record("", ""), record("1", ""), record("1", "")],
+      [record("", "")],
+    ]);
+    expect(merged.map((r) => r["Task ID"])).toEqual(["", "1", "1", ""]);
+  });
+});
+
+describe("Loading several exports", () => {
+  test("resolveDataPath lists the DATA_FILES in the data folder", () => {
+    expect(
+      resolveDataPath(MERGE_DIR, {
+        dataFiles: "website.csv, mobile-app.csv",
+      }),
+    ).toEqual(DATA_FILES);
+    expect(resolveDataPath(MERGE_DIR, { dataFiles: "" })).toBe(
+      path.join(MERGE_DIR, "project.csv"),
+    );
+  });
+
+  test("loadRecords merges a list of files", () => {
+    const records = loadRecords(DATA_FILES);
+    expect(records.map((r) => r["Task ID"])).toEqual(["1", "2", "3", "4"]);
+    expect(records[1].Name).toBe("Write launch copy");
+    expect(records[2]["Section/Column"]).toBe("Done");
+  });
+
+  test("tasks list their projects and are counted in each", () => {
+    const data = processRecords(loadRecords(DATA_FILES), AS_OF);
+    const byId = Object.fromEntries(data.all.map((t) => [t.id, t]));
+    expect(byId["1"].projects).toEqual(["Website"]);
+    expect(byId["2"].projects).toEqual(["Website", "Mobile App"]);
+    expect(byId["3"].isDone).toBe(true);
+    expect(data.stats.total).toBe(4);
+    expect(data.stats.byProject).toEqual({ Website: 3, "Mobile App": 3 });
+    // No duplicate Task IDs left to report
+    expect(
+      data.dataQuality.issues.filter((i) => i.check === "duplicate-id"),
+    ).toEqual([]);
+  });
+
+  test("adds a project filter only when tasks span several projects", () => {
+    const merged = processRecords(loadRecords(DATA_FILES), AS_OF);
+    const project = merged.filterFacets.find((f) => f.key === "project");
+    expect(project.values).toEqual(["Mobile App", "Website"]);
+
+    const single = processRecords(loadRecords(DATA_FILES[0]), AS_OF);
+    expect(single.filterFacets.map((f) => f.key)).not.toContain("project");
+  });
+});
+
+describe("Site built from merged exports", () => {
+  beforeAll(() => {
+    execSync("npm run build", {
+      cwd: path.join(__dirname, ".."),
+      env: {
+        ...process.env,
+        DASHANA_DATA_DIR: MERGE_DIR,
+        DASHANA_CONFIG_PATH: FIXTURE_CONFIG,
+        DASHANA_AS_OF: AS_OF,
+      },
+      stdio: "pipe",
+    });
+  });
+
+  const load = (page) =>
+    cheerio.load(
+      fs.readFileSync(path.join(SITE_DIR, page, "index.html"), "utf-8"),
+    );
+
+  test("the dashboard counts tasks by project", () => {
+    const $ = load("");
+    expect($(".dashboard-subtitle").text()).toContain("4 total tasks");
+    const projects = $(".metric-projects .project-item")
+      .map((_, el) => [
+        [
+          $(el).find(".project-name").text(),
+          $(el).find(".project-count").text(),
+        ],
+      ])
+      .get();
+    expect(projects).toEqual([
+      ["Website", "3"],
+      ["Mobile App", "3"],
+    ]);
+  });
+
+  test("the filter bar offers each project", () => {
+    const $ = load("tasks");
+    const options = $('select[name="project"] option')
+      .map((_, el) => $(el).attr("value"))
+      .get();
+    expect(options).toEqual(["", "Mobile App", "Website"]);
+    expect(JSON.parse($("#task-2").attr("data-filter")).project).toEqual([
+      "Website",
+      "Mobile App",
+    ]);
+  });
+
+  test("task pages list the task's projects", () => {
+    const $ = load("task/2");
+    const fields = Object.fromEntries(
+      $(".task-fields dt")
+        .map((_, el) => [[$(el).text(), $(el).next("dd").text()]])
+        .get(),
+    );
+    expect(fields.Projects).toBe("Website, Mobile App");
+    expect($("h2").first().text()).toContain("Write launch copy");
+  });
+});
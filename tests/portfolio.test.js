@@ -0,0 +1,216 @@
+/**
+ * Portfolio Build Tests
+ *
+ * Tests portfolio.js (finding the projects in data/ and summarising each
+ * one) and scripts/build-portfolio.js, which builds every project under
+ * its own path plus a landing page comparing them.
+ *
+ * Fixtures: tests/fixtures/portfolio/ holds two projects, alpha.csv
+ * (test-project.csv) and "Beta Rollout.csv" (test-project-flow.csv), each
+ * with its own .config, and a holidays.csv that isn't a project. The
+ * shared settings are config-portfolio.config.
+ */
+const fs = require("fs");
+const path = require("path");
+const { execSync } = require("child_process");
+const cheerio = require("cheerio");
+
+const {
+  projectSlug,
+  discoverProjects,
+  summarizeProject,
+} = require("../src/_data/portfolio.js");
+
+const PORTFOLIO_DIR = path.join(__dirname, "fixtures/portfolio");
+const SHARED_CONFIG = path.join(__dirname, "fixtures/config-portfolio.config");
+const AS_OF = "2026-01-05";
+const SITE_DIR = path.join(__dirname, "../_site");
+
+// Config with the given PORTFOLIO_PROJECTS list
+const withProjects = (projects = "") => ({ portfolio: { projects } });
+
+describe("projectSlug", () => {
+  test("uses the file name as a lowercase path segment", () => {
+    expect(projectSlug("alpha.csv")).toBe("alpha");
+    expect(projectSlug("Beta Rollout.csv")).toBe("beta-rollout");
+    expect(projectSlug("ACME (Phase 2).json")).toBe("acme-phase-2");
+    expect(projectSlug("--.csv")).toBe("");
+  });
+});
+
+describe("discoverProjects", () => {
+  test("finds every CSV in the data folder except holidays", () => {
+    const projects = discoverProjects(withProjects(), PORTFOLIO_DIR);
+    expect(projects).toEqual([
+      {
+        slug: "alpha",
+        dataPath: path.join(PORTFOLIO_DIR, "alpha.csv"),
+        configPath: path.join(PORTFOLIO_DIR, "alpha.config"),
+      },
+      {
+        slug: "beta-rollout",
+        dataPath: path.join(PORTFOLIO_DIR, "Beta Rollout.csv"),
+        configPath: path.join(PORTFOLIO_DIR, "Beta Rollout.config"),
+      },
+    ]);
+  });
+
+  test("PORTFOLIO_PROJECTS picks and orders the projects", () => {
+    const projects = discoverProjects(
+      withProjects("Beta Rollout.csv, alpha.csv"),
+      PORTFOLIO_DIR,
+    );
+    expect(projects.map((p) => p.slug)).toEqual(["beta-rollout", "alpha"]);
+  });
+
+  test("projects without a .config file use the shared settings", () => {
+    const [project] = discoverProjects(
+      withProjects("holidays.csv"),
+      PORTFOLIO_DIR,
+    );
+    expect(project.configPath).toBeNull();
+  });
+
+  test("rejects listed files that don't exist", () => {
+    expect(() =>
+      discoverProjects(withProjects("gamma.csv"), PORTFOLIO_DIR),
+    ).toThrow("PORTFOLIO_PROJECTS: gamma.csv not found");
+  });
+
+  test("rejects projects that would share a path", () => {
+    expect(() =>
+      discoverProjects(withProjects("alpha.csv, alpha.csv"), PORTFOLIO_DIR),
+    ).toThrow("would both be /alpha/");
+  });
+});
+
+describe("summarizeProject", () => {
+  const [alpha] = discoverProjects(withProjects(), PORTFOLIO_DIR);
+  let config;
+
+  beforeAll(() => {
+    process.env.DASHANA_CONFIG_PATH = SHARED_CONFIG;
+    config = require("../src/_data/config.js")();
+    delete process.env.DASHANA_CONFIG_PATH;
+  });
+
+  test("counts completion, overdue and the date range as of a day", () => {
+    const summary = summarizeProject(
+      alpha,
+      { ...config, projectName: "Alpha", customerName: "Alpha Inc" },
+      "2026-01-08",
+    );
+    expect(summary).toEqual({
+      slug: "alpha",
+      file: "alpha.csv",
+      name: "Alpha",
+      customer: "Alpha Inc",
+      total: 10,
+      done: 3,
+      open: 7,
+      overdue: 1,
+      completionPercent: 30,
+      start: "2026-01-01",
+      end: "2026-01-10",
+    });
+  });
+
+  test("reports an unreadable export instead of counts", () => {
+    const summary = summarizeProject(
+      { slug: "gone", dataPath: path.join(PORTFOLIO_DIR, "gone.csv") },
+      config,
+      AS_OF,
+    );
+    expect(summary.file).toBe("gone.csv");
+    expect(summary.error).toMatch(/ENOENT/);
+    expect(summary.total).toBeUndefined();
+  });
+});
+
+describe("Portfolio build", () => {
+  beforeAll(() => {
+    execSync("node scripts/build-portfolio.js", {
+      cwd: path.join(__dirname, ".."),
+      env: {
+        ...process.env,
+        DASHANA_DATA_DIR: PORTFOLIO_DIR,
+        DASHANA_CONFIG_PATH: SHARED_CONFIG,
+        DASHANA_AS_OF: AS_OF,
+      },
+      stdio: "pipe",
+    });
+  });
+
+  const load = (page) =>
+    cheerio.load(
+      fs.readFileSync(path.join(SITE_DIR, page, "index.html"), "utf-8"),
+    );
+
+  test("the landing page lists each project with its numbers", () => {
+    const $ = load("");
+    expect($(".site-title").text()).toBe("Test Portfolio");
+    expect($(".page-subtitle").text()).toBe("2 projects · as of 2026-01-05");
+    expect($(".main-nav").length).toBe(0);
+
+    const alpha = $("#project-alpha");
+    expect(alpha.find(".col-name a").attr("href")).toBe("/alpha/");
+    expect(alpha.find(".col-name a").text()).toBe("Alpha Launch");
+    expect(alpha.find(".portfolio-customer").text()).toBe("Alpha Inc");
+    expect(alpha.find(".portfolio-percent").text()).toBe("30%");
+    expect(alpha.find(".completion-detail").text()).toBe("3 of 10 done");
+    expect(alpha.find(".col-start").text()).toBe("2026-01-01");
+    expect(alpha.find(".col-due").text()).toBe("2026-01-10");
+
+    const beta = $("#project-beta-rollout");
+    expect(beta.find(".col-name a").text()).toBe("Beta Rollout");
+    // No CUSTOMER_NAME of its own
+    expect(beta.find(".portfolio-customer").text()).toBe("Test Agency");
+  });
+
+  test("writes the summaries next to the landing page", () => {
+    const portfolio = JSON.parse(
+      fs.readFileSync(path.join(SITE_DIR, "portfolio.json"), "utf-8"),
+    );
+    expect(portfolio.asOf).toBe(AS_OF);
+    expect(portfolio.projects.map((p) => p.slug)).toEqual([
+      "alpha",
+      "beta-rollout",
+    ]);
+  });
+
+  test("each project gets its full set of views under its own path", () => {
+    ["", "board", "tasks", "timeline", "dependencies", "task/1"].forEach(
+      (page) => {
+        expect(
+          fs.existsSync(path.join(SITE_DIR, "alpha", page, "index.html")),
+        ).toBe(true);
+      },
+    );
+    expect(fs.existsSync(path.join(SITE_DIR, "alpha/css/styles.css"))).toBe(
+      true,
+    );
+    // Shared data files aren't built as projects
+    expect(fs.existsSync(path.join(SITE_DIR, "holidays"))).toBe(false);
+  });
+
+  test("project pages link within the project and back to the portfolio", () => {
+    const $ = load("alpha/tasks");
+    expect($(".site-title").text()).toBe("Alpha Launch");
+    expect($(".portfolio-link").attr("href")).toBe("/");
+    expect($('link[rel="stylesheet"]').first().attr("href")).toBe(
+      "/alpha/css/styles.css",
+    );
+    expect($("#task-1 .task-link").attr("href")).toBe("/alpha/task/1/");
+  });
+
+  test("a project's own settings apply only to that project", () => {
+    const navLinks = (page) => {
+      const $ = load(page);
+      return $(".nav-link")
+        .map((_, el) => $(el).attr("href"))
+        .get();
+    };
+    expect(navLinks("beta-rollout")).not.toContain("/beta-rollout/board/");
+    expect(navLinks("alpha")).toContain("/alpha/board/");
+  });
+});
@@ -0,0 +1,259 @@
+/**
+ * Data Quality Tests
+ *
+ * Tests the data quality checks (checkDataQuality), strict mode
+ * (DATA_QUALITY_STRICT / DATA_QUALITY_MAX_ERRORS) and the /quality/ page.
+ *
+ * Fixture: test-project-quality.csv has one of each error - a missing
+ * name, a reused Task ID, two unreadable dates, due before start, an
+ * unknown parent and an unknown dependency (7 errors) - plus an open task
+ * with no assignee and no dates (2 warnings).
+ */
+const fs = require("fs");
+const path = require("path");
+const { execSync } = require("child_process");
+const cheerio = require("cheerio");
+
+const {
+  loadRecords,
+  processRecords,
+  enforceDataQuality,
+} = require("../src/_data/tasks.js");
+
+const FIXTURE_CSV = path.join(__dirname, "fixtures/test-project-quality.csv");
+const FIXTURE_CONFIG = path.join(__dirname, "fixtures/test-dashana.config");
+const STRICT_CONFIG = path.join(
+  __dirname,
+  "fixtures/config-quality-strict.config",
+);
+const SITE_DIR = path.join(__dirname, "../_site");
+
+function qualityOf(records) {
+  const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+  try {
+    return processRecords(records, new Date("2026-01-15")).dataQuality;
+  } finally {
+    warn.mockRestore();
+  }
+}
+
+describe("checkDataQuality", () => {
+  const quality = qualityOf(loadRecords(FIXTURE_CSV));
+  const messagesOf = (check) =>
+    quality.issues.filter((i) => i.check === check).map((i) => i.message);
+
+  test("counts errors and warnings", () => {
+    expect(quality.errors).toBe(7);
+    expect(quality.warnings).toBe(2);
+  });
+
+  test("finds duplicate Task IDs", () => {
+    const [issue] = quality.issues.filter((i) => i.check === "duplicate-id");
+    expect(issue).toMatchObject({
+      row: 4,
+      task: "Build",
+      message: "Task ID 2 is also used on row 3",
+    });
+  });
+
+  test("gives each message a translation key and its values", () => {
+    const [issue] = quality.issues.filter((i) => i.check === "duplicate-id");
+    expect(issue.messageKey).toBe("quality.messages.duplicateId");
+    expect(issue.params).toEqual({ id: "2", row: 3 });
+  });
+
+  test("finds unreadable dates and due before start", () => {
+    expect(messagesOf("invalid-date")).toEqual([
+      'Created At "sometime" is not a date',
+      'Due Date "next week" is not a date',
+    ]);
+    expect(messagesOf("due-before-start")).toEqual([
+      "Due 2026-01-10 is before start 2026-01-20",
+    ]);
+  });
+
+  test("finds unknown parents and dependencies", () => {
+    expect(messagesOf("unknown-parent")).toEqual([
+      'Parent "Missing parent" matches no task',
+    ]);
+    expect(messagesOf("unknown-dependency")).toEqual([
+      'Dependency "Ghost task" matches no task',
+    ]);
+  });
+
+  test("finds open tasks without an assignee or dates", () => {
+    const rows = (check) =>
+      quality.issues.filter((i) => i.check === check).map((i) => i.task);
+    expect(rows("no-assignee")).toEqual(["Review"]);
+    expect(rows("no-dates")).toEqual(["Review"]);
+  });
+
+  test("issue links use the task key", () => {
+    const [issue] = quality.issues.filter((i) => i.check === "missing-name");
+    expect(issue.row).toBe(5);
+    expect(issue.key).toBe("4");
+  });
+
+  test("lists every check with its count, errors first", () => {
+    expect(quality.checks.map((c) => c.severity)).toEqual([
+      "error",
+      "error",
+      "error",
+      "error",
+      "error",
+      "error",
+      "warning",
+      "warning",
+      "warning",
+    ]);
+    const count = (check) => quality.checks.find((c) => c.check === check);
+    expect(count("invalid-date").count).toBe(2);
+    expect(count("missing-column").count).toBe(0);
+  });
+
+  test("reports missing columns and circular parents", () => {
+    const issues = qualityOf([
+      { Name: "A", "Parent task": "B" },
+      { Name: "B", "Parent task": "A" },
+    ]).issues;
+    expect(
+      issues.filter((i) => i.check === "missing-column").map((i) => i.message),
+    ).toEqual([
+      'No "Section/Column" column',
+      'No "Assignee" column',
+      'No "Due Date" column',
+    ]);
+    expect(
+      issues.filter((i) => i.check === "unknown-parent").map((i) => i.message),
+    ).toEqual(['Parent "B" leads back to this task']);
+  });
+
+  test("reports unknown dependencies on the row that holds them", () => {
+    const issues = qualityOf([
+      { Name: "QA review" },
+      { Name: "QA review", "Blocked By (Dependencies)": "Ghost task" },
+    ]).issues;
+    const [issue] = issues.filter((i) => i.check === "unknown-dependency");
+    expect(issue).toMatchObject({ row: 3, key: "row-2" });
+  });
+
+  test("accepts done without a date and other export date formats", () => {
+    const issues = qualityOf([
+      {
+        Name: "Imported",
+        "Section/Column": "Done",
+        Assignee: "Alice",
+        "Due Date": "Jan 20, 2026",
+        "Created At": "2026-01-02T09:30:00.000Z",
+        "Completed At": "Done",
+      },
+    ]).issues;
+    expect(issues).toEqual([]);
+  });
+});
+
+describe("enforceDataQuality", () => {
+  const quality = qualityOf(loadRecords(FIXTURE_CSV));
+  const config = (strict, maxErrors) => ({
+    dataQuality: { strict, maxErrors },
+  });
+
+  test("does nothing unless strict", () => {
+    expect(() => enforceDataQuality(quality, config(false, 0))).not.toThrow();
+  });
+
+  test("allows errors up to the threshold", () => {
+    expect(() => enforceDataQuality(quality, config(true, 7))).not.toThrow();
+  });
+
+  test("fails above the threshold, listing the errors", () => {
+    let error;
+    try {
+      enforceDataQuality(quality, config(true, 3));
+    } catch (e) {
+      error = e;
+    }
+    expect(error.code).toBe("DATA_QUALITY");
+    expect(error.message).toContain(
+      "Data quality check failed: 7 error(s), at most 3 allowed",
+    );
+    expect(error.message).toContain(
+      'Row 7: Due Date "next week" is not a date (Polish)',
+    );
+    // Warnings are not listed
+    expect(error.message).not.toContain("no assignee");
+  });
+});
+
+describe("Strict Mode Build", () => {
+  test("fails the build above DATA_QUALITY_MAX_ERRORS", () => {
+    let error;
+    try {
+      execSync("npx eleventy", {
+        cwd: path.join(__dirname, ".."),
+        stdio: "pipe",
+        env: {
+          ...process.env,
+          DASHANA_CSV_PATH: FIXTURE_CSV,
+          DASHANA_CONFIG_PATH: STRICT_CONFIG,
+        },
+      });
+    } catch (e) {
+      error = e;
+    }
+    expect(error).toBeDefined();
+    expect(error.stderr.toString()).toContain(
+      "Data quality check failed: 7 error(s), at most 3 allowed",
+    );
+  });
+});
+
+describe("Data Quality Page", () => {
+  let $;
+
+  beforeAll(() => {
+    execSync("npm run build", {
+      cwd: path.join(__dirname, ".."),
+      stdio: "pipe",
+      env: {
+        ...process.env,
+        DASHANA_CSV_PATH: FIXTURE_CSV,
+        DASHANA_CONFIG_PATH: FIXTURE_CONFIG,
+      },
+    });
+    $ = cheerio.load(
+      fs.readFileSync(path.join(SITE_DIR, "quality/index.html"), "utf-8"),
+    );
+  });
+
+  test("summarises the errors and warnings", () => {
+    const subtitle = $(".page-subtitle").text().replace(/\s+/g, " ");
+    expect(subtitle).toContain("7 errors · 2 warnings in 7 tasks");
+    expect(subtitle).toContain("strict mode off");
+  });
+
+  test("lists every check with its count", () => {
+    const rows = $(".quality-checks tbody tr");
+    expect(rows).toHaveLength(9);
+    const invalid = rows.filter((_i, el) =>
+      $(el).text().includes("Unreadable date"),
+    );
+    expect(invalid.find(".quality-count").text()).toBe("2");
+    expect($(".quality-check.is-clean")).toHaveLength(1);
+  });
+
+  test("lists each issue with its row and a link to the task", () => {
+    const issues = $("#check-due-before-start .quality-issue");
+    expect(issues).toHaveLength(1);
+    expect(issues.find(".quality-row").text()).toBe("Row 3");
+    expect(issues.find(".quality-message").text()).toBe(
+      "Due 2026-01-10 is before start 2026-01-20",
+    );
+    expect(issues.find(".quality-task").attr("href")).toBe("/task/2/");
+  });
+
+  test("is kept out of the navigation and search engines", () => {
+    expect($('meta[name="robots"]').attr("content")).toBe("noindex");
+    expect($('.main-nav a[href$="/quality/"]')).toHaveLength(0);
+  });
+});
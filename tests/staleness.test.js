@@ -0,0 +1,201 @@
+/**
+ * Stale and Aging Task Tests
+ *
+ * Tests ageDays / staleDays from Created At and Last Modified, the
+ * STALE_DAYS threshold, the stale badges and the aging WIP card.
+ *
+ * Fixture: test-project-flow.csv as of 2026-03-04 with STALE_DAYS=5
+ * (config-stale.config). Two tasks are open:
+ * - Release notes: created 2026-02-20, modified 2026-02-25 (7 days ago)
+ * - Plan sprint: created and modified 2026-03-01 (3 days ago)
+ */
+const fs = require("fs");
+const path = require("path");
+const { execSync } = require("child_process");
+const cheerio = require("cheerio");
+
+const {
+  loadRecords,
+  processRecords,
+  daysSince,
+  buildAgingWip,
+} = require("../src/_data/tasks.js");
+const loadConfig = require("../src/_data/config.js");
+
+const FIXTURE_CSV = path.join(__dirname, "fixtures/test-project-flow.csv");
+const FIXTURE_CONFIG = path.join(__dirname, "fixtures/config-stale.config");
+const AS_OF = "2026-03-04";
+const SITE_DIR = path.join(__dirname, "../_site");
+
+function loadPage(pagePath) {
+  return cheerio.load(fs.readFileSync(path.join(SITE_DIR, pagePath), "utf-8"));
+}
+
+describe("daysSince", () => {
+  const today = "2026-03-04";
+
+  test("counts whole days to today", () => {
+    expect(daysSince("2026-02-25", today)).toBe(7);
+    expect(daysSince("2026-03-04", today)).toBe(0);
+  });
+
+  test("reads timestamps and other export formats", () => {
+    expect(daysSince("2026-02-25T16:30:00", today)).toBe(7);
+    expect(daysSince("25/Feb/26 4:30 PM", today)).toBe(7);
+  });
+
+  test("is 0 for future dates and null without a date", () => {
+    expect(daysSince("2026-03-10", today)).toBe(0);
+    expect(daysSince("", today)).toBeNull();
+    expect(daysSince("someday", today)).toBeNull();
+  });
+});
+
+describe("Stale tasks", () => {
+  const records = loadRecords(FIXTURE_CSV);
+  const byId = (data, id) => data.all.find((t) => t.id === id);
+
+  test("tasks carry their age and days since last modified", () => {
+    const data = processRecords(records, new Date(AS_OF));
+    const notes = byId(data, "5");
+    expect(notes.ageDays).toBe(12);
+    expect(notes.staleDays).toBe(7);
+    expect(notes.lastModified).toBe("2026-02-25");
+  });
+
+  test("open tasks are stale after 30 days by default", () => {
+    const data = processRecords(records, new Date("2026-03-27"));
+    expect(byId(data, "5").isStale).toBe(true);
+    expect(byId(data, "6").isStale).toBe(false);
+    // Done tasks are never stale
+    expect(byId(data, "1").isStale).toBe(false);
+    expect(data.stats.stale).toBe(1);
+  });
+
+  test("follow the configured threshold", () => {
+    process.env.DASHANA_CONFIG_PATH = FIXTURE_CONFIG;
+    const config = loadConfig();
+    delete process.env.DASHANA_CONFIG_PATH;
+    expect(config.staleDays).toBe(5);
+    const data = processRecords(records, new Date(AS_OF), {
+      staleAfterDays: config.staleDays,
+    });
+    expect(data.all.filter((t) => t.isStale).map((t) => t.id)).toEqual(["5"]);
+  });
+
+  test("a threshold of 0 turns staleness off", () => {
+    const data = processRecords(records, new Date("2027-01-01"), {
+      staleAfterDays: 0,
+    });
+    expect(data.stats.stale).toBe(0);
+  });
+
+  test("fall back to Created At without Last Modified", () => {
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+    const data = processRecords(
+      [{ Name: "Old task", "Created At": "2026-01-01" }],
+      new Date(AS_OF),
+    );
+    warn.mockRestore();
+    expect(data.all[0].staleDays).toBe(62);
+    expect(data.all[0].isStale).toBe(true);
+  });
+});
+
+describe("buildAgingWip", () => {
+  test("buckets open tasks by age and lists the stalest", () => {
+    const task = (name, ageDays, staleDays, isStale, isDone = false) => ({
+      name,
+      ageDays,
+      staleDays,
+      isStale,
+      isDone,
+    });
+    const aging = buildAgingWip(
+      [
+        task("New", 2, 2, false),
+        task("Month old", 31, 31, true),
+        task("Ancient", 200, 45, true),
+        task("Finished", 300, 300, false, true),
+        task("Undated", null, null, false),
+      ],
+      30,
+    );
+    expect(aging.buckets.map((b) => b.count)).toEqual([1, 0, 0, 1, 0, 1]);
+    expect(aging.buckets[3].stale).toBe(1);
+    expect(aging.noCreatedDate).toBe(1);
+    expect(aging.stalest.map((t) => t.name)).toEqual(["Ancient", "Month old"]);
+  });
+
+  test("has no buckets without Created At dates", () => {
+    expect(
+      buildAgingWip([{ ageDays: null, isDone: false }], 30).buckets,
+    ).toEqual([]);
+  });
+});
+
+describe("Stale Tasks in the Views", () => {
+  beforeAll(() => {
+    execSync("npm run build", {
+      cwd: path.join(__dirname, ".."),
+      stdio: "pipe",
+      env: {
+        ...process.env,
+        DASHANA_CSV_PATH: FIXTURE_CSV,
+        DASHANA_CONFIG_PATH: FIXTURE_CONFIG,
+        DASHANA_AS_OF: AS_OF,
+      },
+    });
+  });
+
+  test("board cards of stale tasks get a badge", () => {
+    const $ = loadPage("board/index.html");
+    const stale = $(".task-card.is-stale");
+    expect(stale).toHaveLength(1);
+    expect(stale.find(".task-link").text()).toBe("Release notes");
+    expect(stale.find(".stale-badge").attr("title")).toBe(
+      "No update for 7 days",
+    );
+  });
+
+  test("task rows of stale tasks get a badge", () => {
+    const $ = loadPage("tasks/index.html");
+    expect($(".task-table tr.row-stale .task-link").text()).toBe(
+      "Release notes",
+    );
+    expect($(".task-table .stale-badge")).toHaveLength(1);
+  });
+
+  test("the dashboard buckets open tasks by age", () => {
+    const $ = loadPage("index.html");
+    const card = $(".metric-aging");
+    expect(card.hasClass("has-stale")).toBe(true);
+    expect(card.find(".aging-stale-count").text()).toBe("1");
+    const counts = card
+      .find(".aging-buckets .priority-item")
+      .map(
+        (_i, el) =>
+          $(el).find(".priority-name").text() +
+          "=" +
+          $(el).find(".priority-count").text(),
+      )
+      .get();
+    expect(counts).toEqual([
+      "0–7d old=1",
+      "8–14d old=1",
+      "15–30d old=0",
+      "31–60d old=0",
+      "61–90d old=0",
+      "91+d old=0",
+    ]);
+    expect(card.find(".aging-stalest a").attr("href")).toBe("/task/5/");
+  });
+
+  test("task pages show age and last update", () => {
+    const $ = loadPage("task/5/index.html");
+    expect($(".page-subtitle .stale-badge")).toHaveLength(1);
+    const fields = $(".task-fields").text().replace(/\s+/g, " ");
+    expect(fields).toContain("Age 12d");
+    expect(fields).toContain("Last modified 2026-02-25 7d ago");
+  });
+});
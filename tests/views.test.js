@@ -28,10 +28,10 @@ function loadPage(pagePath) {
 /*
  * Test fixture contains 10 tasks:
  * - Task One: To do, Alice, High, On track, due 2026-01-10, Sprint 1, 3 pts
- * - Task Two: To do, Bob, Medium, At risk, due 2026-01-05, Sprint 1, 5 pts
+ * - Task Two: To do, Bob, Medium, At risk, due 2026-01-05, Sprint 1, 5 pts, blocked by Task One (by ID)
  * - Task Three: In Progress, Alice, Low, On track, due 2026-01-08, Sprint 2, 2 pts
- * - Task Four: In Progress, unassigned, High, Off track, no due, no sprint, 8 pts
- * - Task Five: Done, Bob, no priority, On track, due 2026-01-03, Sprint 1, no pts
+ * - Task Four: In Progress, unassigned, High, Off track, no due, no sprint, 8 pts, blocked by Task Three
+ * - Task Five: Done, Bob, no priority, On track, due 2026-01-03, Sprint 1, no pts, blocking Task Four
  * - Task Six: Done, unassigned, no priority, no status, no sprint, no pts
  * - Task Seven: To do, unassigned, no priority, no status, Sprint 2, 1 pt
  * - Task Eight: Completed, Alice, Medium, no status, no sprint, no pts
@@ -44,6 +44,8 @@ function loadPage(pagePath) {
  * Priority: High (2), Medium (2), Low (1), No priority (5)
  * Assignees: Alice (3), Bob (2), Unassigned (5)
  * Custom Fields: Sprint (Sprint 1: 4, Sprint 2: 2, empty: 4), Story Points (has value: 5, empty: 5)
+ * Dependencies: 3 edges; blocked (open blocker): Task Two, Task Four
+ * Critical path: Task One -> Task Two, ends 2026-01-14 (4 days after the 2026-01-10 project end)
  */
 
 describe("Dashboard View", () => {
@@ -313,6 +315,301 @@ describe("Timeline View", () => {
   });
 });
 
+describe("Gantt Chart", () => {
+  let $;
+
+  beforeAll(() => {
+    $ = loadPage("timeline/index.html");
+  });
+
+  test("renders a Gantt chart above the timeline table", () => {
+    expect($(".gantt").length).toBe(1);
+  });
+
+  test("has one row per task", () => {
+    expect($(".gantt-row").length).toBe(10);
+  });
+
+  test("draws bars for tasks with dates", () => {
+    // 4 tasks with dates: Task One, Two, Three, Five
+    expect($(".gantt-bar").length).toBe(4);
+    expect($(".gantt-no-dates").length).toBe(6);
+  });
+
+  test("positions bars on the shared date axis", () => {
+    const style = $(".gantt-bar").first().attr("style");
+    expect(style).toMatch(/left: [\d.]+%; width: [\d.]+%/);
+  });
+
+  test("shows month labels on the axis", () => {
+    expect($(".gantt-month").first().text().trim()).toBe("Jan 2026");
+  });
+
+  test("nests subtasks under their parent row", () => {
+    const names = $(".gantt-row .gantt-label")
+      .map((_i, el) => $(el).text().trim().replace(/^↳\s*/, ""))
+      .get();
+    const taskTwoIndex = names.indexOf("Task Two");
+    expect(names[taskTwoIndex + 1]).toBe("Subtask A");
+    expect(names[taskTwoIndex + 2]).toBe("Subtask B");
+    expect($(".gantt-row.is-subtask").length).toBe(4);
+  });
+
+  test("marks done rows so the open-only filter can hide them", () => {
+    expect($(".gantt-row.is-done").length).toBe(3);
+  });
+
+  test("highlights critical path rows", () => {
+    const names = $(".gantt-row.is-critical .gantt-label")
+      .map((_i, el) => $(el).text().trim())
+      .get();
+    expect(names).toEqual(["Task One", "Task Two"]);
+  });
+});
+
+describe("Critical Path", () => {
+  test("timeline highlights critical rows and shows slack", () => {
+    const $ = loadPage("timeline/index.html");
+    expect($(".timeline-table .row-critical").length).toBe(2);
+    expect($(".timeline-table .critical-badge").length).toBe(2);
+
+    const taskThree = $(".timeline-table tbody tr").filter(
+      (_i, el) =>
+        $(el).find(".col-name").text().replace("↳", "").trim() === "Task Three",
+    );
+    expect(taskThree.find(".col-slack").text().trim()).toBe("6d");
+  });
+
+  test("dashboard compares critical path end with project end", () => {
+    const $ = loadPage("index.html");
+    const card = $(".metric-critical-path");
+    expect(card.length).toBe(1);
+    expect(card.hasClass("is-late")).toBe(true);
+    expect(card.find(".critical-path-end").text().trim()).toBe("2026-01-14");
+    expect(card.find(".critical-path-compare").text()).toContain(
+      "4 days after the project end date (2026-01-10)",
+    );
+    expect(card.find(".critical-path-tasks li").length).toBe(2);
+  });
+});
+
+describe("Dependencies View", () => {
+  let $;
+
+  beforeAll(() => {
+    $ = loadPage("dependencies/index.html");
+  });
+
+  test("renders the dependency graph", () => {
+    expect($(".dependency-graph").length).toBe(1);
+  });
+
+  test("draws one node per task with dependencies", () => {
+    // Task One, Two, Three, Four, Five
+    expect($(".dependency-node").length).toBe(5);
+  });
+
+  test("draws one edge per dependency", () => {
+    expect($(".dependency-edge").length).toBe(3);
+  });
+
+  test("marks edges from done blockers", () => {
+    // Task Five (done) -> Task Four
+    expect($(".dependency-edge.is-done").length).toBe(1);
+  });
+
+  test("lists tasks blocked by open work", () => {
+    const names = $(".blocked-table tbody .col-name")
+      .map((_i, el) => $(el).text().trim())
+      .get();
+    expect(names.sort()).toEqual(["Task Four", "Task Two"]);
+  });
+
+  test("shows blocked count in subtitle", () => {
+    expect($(".page-subtitle").text()).toContain("2 blocked");
+  });
+
+  test("has a navigation link", () => {
+    const navLinks = $(".nav-link")
+      .map((_i, el) => $(el).text().trim())
+      .get();
+    expect(navLinks).toContain("Dependencies");
+  });
+});
+
+describe("Dependencies on Cards and Rows", () => {
+  test("board cards show dependencies and a blocked badge", () => {
+    const $ = loadPage("board/index.html");
+    // Task One, Two, Three, Four, Five
+    expect($(".card-dependencies").length).toBe(5);
+    expect($(".task-card.is-blocked").length).toBe(2);
+
+    const taskFour = $(".task-card").filter(
+      (_i, el) => $(el).find(".task-name").text().trim() === "Task Four",
+    );
+    expect(taskFour.find(".blocked-badge").length).toBe(1);
+    expect(taskFour.find(".card-dependencies").text()).toContain("Task Three");
+    expect(taskFour.find(".card-dependencies").text()).toContain("Task Five");
+  });
+
+  test("tasks table has a Dependencies column", () => {
+    const $ = loadPage("tasks/index.html");
+    const headers = $(".task-table th")
+      .map((_i, el) => $(el).text().trim())
+      .get();
+    expect(headers).toContain("Dependencies");
+    expect($(".task-table .row-blocked").length).toBe(2);
+  });
+
+  test("resolves Task ID references to task names", () => {
+    const $ = loadPage("tasks/index.html");
+    const taskTwo = $(".task-table tbody tr").filter(
+      (_i, el) => $(el).find(".col-name").text().trim() === "Task Two",
+    );
+    expect(taskTwo.find(".col-dependencies").text()).toContain("Task One");
+  });
+});
+
+describe("Filter Bar", () => {
+  test("is shown on the board, tasks and timeline pages", () => {
+    for (const page of [
+      "board/index.html",
+      "tasks/index.html",
+      "timeline/index.html",
+    ]) {
+      expect(loadPage(page)("form.task-filters").length).toBe(1);
+    }
+    expect(loadPage("index.html")(".task-filters").length).toBe(0);
+  });
+
+  test("has a select per facet with an All option", () => {
+    const $ = loadPage("tasks/index.html");
+    const assignee = $('.task-filters select[name="assignee"] option')
+      .map((_i, el) => $(el).text().trim())
+      .get();
+    expect(assignee).toEqual(["All", "Alice", "Bob", "Unassigned"]);
+    expect($('.task-filters select[name="priority"] option').length).toBe(5);
+    expect($('.task-filters select[name="cf-sprint"]').length).toBe(1);
+  });
+
+  test("has due range and overdue controls", () => {
+    const $ = loadPage("board/index.html");
+    expect($('.task-filters input[name="due_from"]').attr("type")).toBe("date");
+    expect($('.task-filters input[name="due_to"]').attr("type")).toBe("date");
+    expect($('.task-filters input[name="overdue"]').attr("type")).toBe(
+      "checkbox",
+    );
+  });
+
+  test("cards and rows carry their filter values", () => {
+    const $ = loadPage("board/index.html");
+    expect($(".task-card:not([data-filter])").length).toBe(0);
+
+    const tasks = loadPage("tasks/index.html");
+    const row = tasks(".task-table tbody tr").filter(
+      (_i, el) => tasks(el).find(".col-name").text().trim() === "Task Two",
+    );
+    const values = JSON.parse(row.attr("data-filter"));
+    expect(values.assignee).toBe("Bob");
+    expect(values.overdue).toBe(true);
+
+    const timeline = loadPage("timeline/index.html");
+    expect(timeline(".timeline-table tbody tr[data-filter]").length).toBe(10);
+    expect(timeline(".gantt-row[data-filter]").length).toBeGreaterThan(0);
+  });
+});
+
+describe("Task Search", () => {
+  test("header has a search box pointing at the index", () => {
+    const $ = loadPage("index.html");
+    const search = $(".site-header .task-search");
+    expect(search.length).toBe(1);
+    expect(search.attr("data-index")).toBe("/search-index.json");
+    expect(search.attr("data-target")).toBe("/tasks/#task-");
+    expect(search.find('input[type="search"]').length).toBe(1);
+  });
+
+  test("writes a search index with every task", () => {
+    const index = JSON.parse(
+      fs.readFileSync(
+        path.join(__dirname, "../_site/search-index.json"),
+        "utf-8",
+      ),
+    );
+    expect(index).toHaveLength(10);
+    const taskTwo = index.find((entry) => entry.name === "Task Two");
+    expect(taskTwo.fields.Notes).toBe("Backend API implementation");
+  });
+
+  test("rows and cards have anchors for search results", () => {
+    const tasks = loadPage("tasks/index.html");
+    expect(tasks("#task-2 .col-name").text().trim()).toBe("Task Two");
+
+    const board = loadPage("board/index.html");
+    expect(board("#task-2 .task-name").first().text().trim()).toBe("Task Two");
+    expect(board(".task-card:not([id])").length).toBe(0);
+  });
+});
+
+describe("Task Pages", () => {
+  let $;
+
+  beforeAll(() => {
+    $ = loadPage("task/2/index.html");
+  });
+
+  test("writes a page per task at /task/<Task ID>/", () => {
+    for (let id = 1; id <= 10; id++) {
+      expect(
+        fs.existsSync(path.join(__dirname, `../_site/task/${id}/index.html`)),
+      ).toBe(true);
+    }
+    expect($("title").text()).toContain("Task Two");
+    expect($(".task-page h2").text().trim()).toBe("Task Two");
+  });
+
+  test("shows all fields including custom fields", () => {
+    const fields = {};
+    $(".task-fields dt").each((_i, el) => {
+      fields[$(el).text().trim()] = $(el).next("dd").text().trim();
+    });
+    expect(fields.Assignee).toContain("Bob");
+    expect(fields.Due).toBe("2026-01-05");
+    expect(fields.Priority).toBe("Medium");
+    expect(fields.Sprint).toBe("Sprint 1");
+    expect(fields["Story Points"]).toBe("5");
+  });
+
+  test("shows the full notes", () => {
+    expect($(".task-notes").text()).toBe("Backend API implementation");
+  });
+
+  test("links to subtasks, parent and dependencies", () => {
+    expect(
+      $(".task-subtasks a")
+        .map((_i, el) => $(el).attr("href"))
+        .get(),
+    ).toEqual(["/task/9/", "/task/10/"]);
+    expect($(".dependency-ref").attr("href")).toBe("/task/1/");
+
+    const subtask = loadPage("task/9/index.html");
+    expect(subtask(".task-parent a").attr("href")).toBe("/task/2/");
+  });
+
+  test("rows and cards link to the task page", () => {
+    const tasks = loadPage("tasks/index.html");
+    expect(tasks("#task-2 .col-name a.task-link").attr("href")).toBe(
+      "/task/2/",
+    );
+    const timeline = loadPage("timeline/index.html");
+    expect(timeline(".timeline-table .col-name a.task-link").length).toBe(10);
+
+    const board = loadPage("board/index.html");
+    expect(board(".task-card .task-name a.task-link").length).toBe(10);
+    expect(board("#task-9 .task-link").attr("href")).toBe("/task/9/");
+  });
+});
+
 describe("Theme Toggle", () => {
   let $;
 
@@ -508,6 +805,59 @@ describe("Custom Fields", () => {
     });
   });
 
+  describe("Dashboard", () => {
+    let $;
+
+    beforeAll(() => {
+      $ = loadPage("index.html");
+    });
+
+    test("has a total card for each number field", () => {
+      const card = $(".metric-custom-number");
+      expect(card.length).toBe(1);
+      expect(card.find(".metric-title").text()).toBe("Story Points");
+      expect(card.find(".custom-total").text()).toBe("19");
+      expect(card.find(".custom-total-detail").text()).toContain("avg 3.8");
+    });
+
+    test("breaks number totals down by section and assignee", () => {
+      const sections = $(".custom-by-section .custom-breakdown-name")
+        .map((_i, el) => $(el).text())
+        .get();
+      expect(sections).toEqual(["To do", "In Progress"]);
+      expect($(".custom-by-assignee .custom-breakdown-item").length).toBe(3);
+    });
+
+    test("has a distribution card for each enum field", () => {
+      const card = $(".metric-custom-enum");
+      expect(card.length).toBe(1);
+      expect(card.find(".metric-title").text()).toBe("Sprint");
+      const values = card
+        .find(".priority-name")
+        .map((_i, el) => $(el).text())
+        .get();
+      expect(values).toEqual(["Sprint 1", "Sprint 2", "No value"]);
+    });
+  });
+
+  describe("Board Column Headers", () => {
+    test("show number field totals per column", () => {
+      const $ = loadPage("board/index.html");
+      const totals = $(".board-column")
+        .map((_i, el) => $(el).find(".column-field-total").text().trim())
+        .get();
+      expect(totals).toEqual(["Story Points: 9", "Story Points: 10", "", ""]);
+    });
+  });
+
+  describe("Table Cells", () => {
+    test("number columns are marked for alignment", () => {
+      const $ = loadPage("tasks/index.html");
+      expect($(".task-table td.custom-number").length).toBeGreaterThan(0);
+      expect($(".task-table td.custom-enum").length).toBeGreaterThan(0);
+    });
+  });
+
   describe("Timeline Table", () => {
     let $;
 
@@ -943,3 +1293,59 @@ describe("Notes Text Column - Full Mode", () => {
     });
   });
 });
+
+describe("Nested Subtask Trees", () => {
+  const NESTED_CSV = path.join(__dirname, "fixtures/test-project-nested.csv");
+
+  beforeAll(() => {
+    execSync("npm run build", {
+      cwd: path.join(__dirname, ".."),
+      stdio: "pipe",
+      env: {
+        ...process.env,
+        DASHANA_CSV_PATH: NESTED_CSV,
+        DASHANA_CONFIG_PATH: FIXTURE_CONFIG,
+      },
+    });
+  });
+
+  test("board nests subtasks under the right parent at every depth", () => {
+    const $ = loadPage("board/index.html");
+    const group = $(".task-group").filter(
+      (_i, el) =>
+        $(el).children(".task-card").find(".task-name").text().trim() ===
+        "Release 3",
+    );
+    const nestedNames = group
+      .find(".subtasks-tree .task-name")
+      .map((_i, el) => $(el).text().trim())
+      .get();
+    expect(nestedNames).toEqual([
+      "QA review",
+      "Smoke tests",
+      "iOS smoke tests",
+    ]);
+    // Three levels of collapsible subtask lists
+    expect(group.find("details.subtasks-tree").length).toBe(3);
+  });
+
+  test("tasks table indents rows by depth with collapse toggles", () => {
+    const $ = loadPage("tasks/index.html");
+    const row = $(".task-table tbody tr").filter((_i, el) =>
+      $(el).find(".col-name").text().includes("iOS smoke tests"),
+    );
+    expect(row.attr("data-tree-ancestors")).toBe("5 6 7");
+    expect(row.find(".col-name").attr("style")).toContain("--tree-depth: 3");
+    // Three releases, three "QA review" tasks and Smoke tests
+    expect($(".task-table .tree-toggle").length).toBe(7);
+  });
+
+  test("Gantt rows are collapsible at every depth", () => {
+    const $ = loadPage("timeline/index.html");
+    expect($(".gantt[data-tree]").length).toBe(1);
+    const toggles = $(".gantt .tree-toggle")
+      .map((_i, el) => $(el).attr("data-tree-toggle"))
+      .get();
+    expect(toggles.sort()).toEqual(["1", "2", "3", "4", "5", "6", "7"]);
+  });
+});
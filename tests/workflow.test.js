@@ -0,0 +1,178 @@
+/**
+ * Workflow Semantics Tests
+ *
+ * Tests configurable done detection, priority ladder and status severities
+ * (workflow.js) and how the views render them.
+ *
+ * Fixtures:
+ * - test-project-workflow.csv: German sections (Offen, In Arbeit, Erledigt)
+ *   and statuses, priorities Critical and P0-P3 ("p3" in lower case)
+ * - config-workflow.config: done = section "erledigt" or status
+ *   "Abgeschlossen"; ladder Critical, P0, P1, P2, P3; "Blockiert" is
+ *   critical with a custom icon
+ */
+const fs = require("fs");
+const path = require("path");
+const { execSync } = require("child_process");
+const cheerio = require("cheerio");
+
+const {
+  createWorkflow,
+  loadWorkflow,
+  parsePriorities,
+  parseStatuses,
+} = require("../src/_data/workflow.js");
+const { loadRecords, processRecords } = require("../src/_data/tasks.js");
+const loadConfig = require("../src/_data/config.js");
+
+const FIXTURE_CSV = path.join(__dirname, "fixtures/test-project-workflow.csv");
+const FIXTURE_CONFIG = path.join(__dirname, "fixtures/config-workflow.config");
+const SITE_DIR = path.join(__dirname, "../_site");
+
+function loadPage(pagePath) {
+  return cheerio.load(fs.readFileSync(path.join(SITE_DIR, pagePath), "utf-8"));
+}
+
+describe("createWorkflow defaults", () => {
+  const workflow = createWorkflow();
+
+  test("treats English done sections as done", () => {
+    expect(workflow.isDoneSection("Done")).toBe(true);
+    expect(workflow.isDoneSection("Closed tickets")).toBe(true);
+    expect(workflow.isDoneSection("In Progress")).toBe(false);
+  });
+
+  test("ranks High, Medium, Low and puts others last", () => {
+    expect(
+      ["Low", "High", "Other", "Medium"].map(workflow.priorityOrder),
+    ).toEqual([3, 1, 4, 2]);
+  });
+
+  test("knows the Asana statuses", () => {
+    expect(workflow.status("At risk")).toEqual({
+      name: "At risk",
+      severity: "warning",
+      icon: "▲",
+    });
+  });
+});
+
+describe("parsePriorities and parseStatuses", () => {
+  test("ranks priorities in the order given", () => {
+    expect(parsePriorities("P0:red, P1:Amber, P2")).toEqual([
+      { name: "P0", rank: 1, color: "red" },
+      { name: "P1", rank: 2, color: "amber" },
+      { name: "P2", rank: 3, color: "gray" },
+    ]);
+  });
+
+  test("uses the severity's icon unless one is given", () => {
+    expect(parseStatuses("Fine:ok, Stuck:critical:✖")).toEqual([
+      { name: "Fine", severity: "ok", icon: "●" },
+      { name: "Stuck", severity: "critical", icon: "✖" },
+    ]);
+  });
+
+  test("warns about unknown colors and severities", () => {
+    const warnSpy = jest.spyOn(console, "warn").mockImplementation();
+    expect(parsePriorities("P0:purple")[0].color).toBe("gray");
+    expect(parseStatuses("Odd:scary")[0].severity).toBe("info");
+    expect(warnSpy).toHaveBeenCalledTimes(2);
+    warnSpy.mockRestore();
+  });
+});
+
+describe("Configured workflow", () => {
+  let data;
+  const byId = (id) => data.all.find((t) => t.id === id);
+
+  beforeAll(() => {
+    process.env.DASHANA_CONFIG_PATH = FIXTURE_CONFIG;
+    const workflow = loadWorkflow(loadConfig());
+    delete process.env.DASHANA_CONFIG_PATH;
+    data = processRecords(loadRecords(FIXTURE_CSV), new Date("2026-01-15"), {
+      workflow,
+    });
+  });
+
+  test("detects done by section and by status", () => {
+    expect(byId("3").isDone).toBe(true);
+    expect(byId("5").isDone).toBe(true);
+    expect(byId("1").isDone).toBe(false);
+  });
+
+  test("done tasks are never overdue", () => {
+    expect(byId("5").isOverdue).toBe(false);
+    expect(data.stats.overdue).toBe(2);
+  });
+
+  test("sorts by the configured priority ladder", () => {
+    const offen = data.sections.Offen.map((t) => t.priority);
+    expect(offen).toEqual(["Critical", "P2", "P3"]);
+    expect(Object.keys(data.stats.byPriority)).toEqual([
+      "Critical",
+      "P0",
+      "P1",
+      "P2",
+      "P3",
+    ]);
+  });
+
+  test("uses the configured spelling, color and status icon", () => {
+    expect(byId("5").priority).toBe("P3");
+    expect(byId("5").priorityColor).toBe("gray");
+    expect(byId("4").statusSeverity).toBe("critical");
+    expect(byId("4").statusIcon).toBe("✖");
+  });
+
+  test("lists statuses in the configured order", () => {
+    expect(Object.keys(data.stats.byStatus)).toEqual([
+      "Im Plan",
+      "Gefährdet",
+      "Blockiert",
+      "Abgeschlossen",
+    ]);
+  });
+});
+
+describe("Views with a Configured Workflow", () => {
+  beforeAll(() => {
+    execSync("npm run build", {
+      cwd: path.join(__dirname, ".."),
+      stdio: "pipe",
+      env: {
+        ...process.env,
+        DASHANA_CSV_PATH: FIXTURE_CSV,
+        DASHANA_CONFIG_PATH: FIXTURE_CONFIG,
+      },
+    });
+  });
+
+  test("task rows show configured priority colors and status icons", () => {
+    const $ = loadPage("tasks/index.html");
+    expect($(".priority-badge.priority-color-blue").text()).toBe("P2");
+    const blocked = $(".status-badge.severity-critical");
+    expect(blocked.text().trim()).toBe("✖ Blockiert");
+  });
+
+  test("done sections and statuses show as done", () => {
+    const $ = loadPage("tasks/index.html");
+    expect($(".task-table tbody tr.row-done").length).toBe(2);
+  });
+
+  test("dashboard priorities follow the ladder with its colors", () => {
+    const $ = loadPage("index.html");
+    const items = $(".metric-priority .priority-item")
+      .map((_i, el) => $(el).find(".priority-name").text())
+      .get();
+    expect(items).toEqual(["Critical", "P0", "P1", "P2", "P3"]);
+    expect($(".metric-priority .priority-color-gray").length).toBe(1);
+  });
+
+  test("dashboard statuses carry their severity", () => {
+    const $ = loadPage("index.html");
+    expect($(".metric-status .severity-warning .status-name").text()).toBe(
+      "Gefährdet",
+    );
+  });
+});